@@ -45,6 +45,10 @@ def for_sound_healing():
 def for_focus():
     return render_template('for-focus.html', active_page='for-focus')
 
+@app.route('/remote')
+def remote():
+    return render_template('remote.html')
+
 @app.route('/about')
 def about():
     return render_template('about.html', active_page='about')
@@ -0,0 +1,103 @@
+/**
+ * Binaural Layer
+ * Two sine carriers hard-panned left and right, a beat frequency apart.
+ * Heard on headphones, the difference between the ears is perceived as a
+ * slow pulse at the beat frequency; on speakers the tones simply mix.
+ *
+ * The carrier follows the drone's root, shifted by octaves into the range
+ * where binaural beats are heard most clearly. The layer feeds the master
+ * gain directly: the filter and the reverb would smear the channels.
+ */
+
+class BinauralLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        this.output = ctx.createGain();
+        this.output.gain.value = this.getLevel();
+
+        // Phased like the voices, so export chunks overlap without cancelling
+        const merger = ctx.createChannelMerger(2);
+        const [left, right] = this.getFrequencies();
+        this.left = generator.createPhasedSine(left);
+        this.right = generator.createPhasedSine(right);
+
+        [this.left, this.right].forEach((osc, channel) => {
+            osc.connect(merger, 0, channel);
+        });
+
+        merger.connect(this.output);
+        this.output.connect(generator.masterGain);
+
+        this.left.start();
+        this.right.start();
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    getLevel() {
+        const settings = this.generator.settings;
+        return settings.binaural ? settings.binauralLevel : 0;
+    }
+
+    // Left and right carriers in Hz
+    getFrequencies() {
+        const carrier = this.generator.getRootFrequencyInRange(BinauralLayer.MIN_CARRIER, BinauralLayer.MAX_CARRIER);
+        const beat = this.generator.settings.binauralBeat;
+        return [carrier - beat / 2, carrier + beat / 2];
+    }
+
+    // `move(param, value)` decides how each carrier gets to its new frequency
+    setFrequencies(move) {
+        const [left, right] = this.getFrequencies();
+        move(this.left.frequency, left);
+        move(this.right.frequency, right);
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        if ('binaural' in changes || 'binauralLevel' in changes) {
+            move(this.output.gain, this.getLevel());
+        }
+
+        if (['binauralBeat', ...DroneGenerator.PITCH_SETTINGS].some(key => key in changes)) {
+            this.setFrequencies(move);
+        }
+    }
+
+    // A cancelled morph leaves everything where it has got to
+    hold() {
+        this.generator.holdParams([this.output.gain, this.left.frequency, this.right.frequency]);
+    }
+}
+
+// Carrier range in Hz; beats are hard to hear on very low or high carriers
+BinauralLayer.MIN_CARRIER = 100;
+BinauralLayer.MAX_CARRIER = 500;
+
+// Beat frequency in Hz for each brainwave band
+BinauralLayer.BANDS = {
+    delta: 2,
+    theta: 6,
+    alpha: 10,
+    beta: 16
+};
+
+BinauralLayer.DEFAULT_SETTINGS = {
+    binaural: false,
+    binauralBeat: 6,
+    binauralLevel: 0.3
+};
+
+BinauralLayer.SETTINGS_SCHEMA = {
+    binaural: { type: 'boolean' },
+    binauralBeat: { type: 'number', min: 0.5, max: 40, scale: 'log' },
+    binauralLevel: { type: 'number', min: 0, max: 1 }
+};
+
+DroneGenerator.registerLayer('binaural', BinauralLayer);
@@ -0,0 +1,267 @@
+/**
+ * Breath Layer
+ * Paces a breathing pattern - inhale, hold, exhale, hold - for the guide
+ * on the display, and can swell the drone's volume or brightness with it:
+ * full on the held inhale, dipping by the depth as the lungs empty.
+ *
+ * One breath is drawn into a looping buffer, like the modulation LFOs, and
+ * played at a rate that makes the loop one cycle long, so the pattern runs
+ * on the audio clock and exports carry it. getState() reads the same
+ * pattern at the context's current time, which keeps the guide in step.
+ *
+ * Each play, and switching the guide on, starts from an inhale. A new
+ * pattern while breathing waits for the current breath to finish.
+ *
+ * breath buffer (level - 1) -> route gain (depth * range) -> volume or cutoff
+ */
+
+class BreathLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        // The cycle playing, and the one due to take over at the end of a breath
+        this.current = null;
+        this.next = null;
+
+        this.routes = {};
+        Object.keys(BreathLayer.DESTINATIONS).forEach(name => {
+            const route = ctx.createGain();
+            route.gain.value = this.getRouteGain(name);
+            route.connect(generator.modulationTargets[name]);
+            this.routes[name] = route;
+        });
+
+        // Start counting from time 0, so chunks of a longer export line up
+        this.schedule(0);
+
+        generator.on('play', () => {
+            if (!generator.isOffline()) this.restart();
+        });
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    // Seconds since the context started, counting any earlier export chunks
+    getTime() {
+        return this.generator.audioContext.currentTime + this.generator.timeOffset;
+    }
+
+    // Start over from an inhale now
+    restart() {
+        this.schedule(this.getTime());
+    }
+
+    // Let the current breath finish, then start the new pattern
+    scheduleNextBreath() {
+        const { origin, timings } = this.current;
+        const period = BreathLayer.getPeriod(timings);
+        this.schedule(origin + Math.ceil((this.getTime() - origin) / period) * period);
+    }
+
+    /**
+     * Run the current timings as a cycle starting at origin, taking over from
+     * what's playing then. An origin in the past picks the cycle up where it
+     * would be.
+     * @param {number} origin - Start of an inhale, in getTime() seconds
+     */
+    schedule(origin) {
+        const ctx = this.generator.audioContext;
+        const now = this.getTime();
+        const timings = BreathLayer.getTimings(this.generator.settings);
+        const period = BreathLayer.getPeriod(timings);
+        const when = Math.max(0, origin - now) + ctx.currentTime;
+
+        this.update();
+
+        const source = ctx.createBufferSource();
+        source.buffer = BreathLayer.createBreathBuffer(ctx, timings);
+        source.loop = true;
+        source.playbackRate.value = BreathLayer.CYCLE_SAMPLES / (period * ctx.sampleRate);
+        Object.values(this.routes).forEach(route => source.connect(route));
+
+        const position = Math.max(0, now - origin) % period;
+        source.start(when, position / period * source.buffer.duration);
+
+        // A pattern that was waiting its turn is replaced
+        if (this.next) BreathLayer.stopCycle(this.next);
+        this.next = null;
+
+        const cycle = { origin, timings, source };
+        if (this.current && when > ctx.currentTime) {
+            this.current.source.stop(when);
+            this.next = cycle;
+        } else {
+            if (this.current) BreathLayer.stopCycle(this.current);
+            this.current = cycle;
+        }
+    }
+
+    static stopCycle(cycle) {
+        cycle.source.stop();
+        cycle.source.disconnect();
+    }
+
+    // Hand over to the next cycle once its time has come
+    update() {
+        if (this.next && this.getTime() >= this.next.origin) {
+            this.current.source.disconnect();
+            this.current = this.next;
+            this.next = null;
+        }
+    }
+
+    /**
+     * Where the breath is now, for the guide.
+     * @returns {{phase: string, progress: number, remaining: number, level: number, timings: number[]}}
+     *     See BreathLayer.getBreath()
+     */
+    getState() {
+        this.update();
+        const { origin, timings } = this.current;
+        return Object.assign(BreathLayer.getBreath(timings, this.getTime() - origin), { timings });
+    }
+
+    // [inhale, hold, exhale, hold] in seconds
+    static getTimings(settings) {
+        return [settings.breathInhale, settings.breathHoldIn, settings.breathExhale, settings.breathHoldOut];
+    }
+
+    static getPeriod(timings) {
+        return timings.reduce((sum, length) => sum + length, 0);
+    }
+
+    /**
+     * The breath at a point in the pattern.
+     * @param {number[]} timings - From getTimings()
+     * @param {number} position - Seconds since the start of an inhale
+     * @returns {{phase: string, progress: number, remaining: number, level: number}} Phase
+     *     is one of BreathLayer.PHASES, progress runs 0-1 through it with remaining seconds
+     *     left, and level from 0 (empty) to 1 (full), eased in and out
+     */
+    static getBreath(timings, position) {
+        const period = BreathLayer.getPeriod(timings);
+        let time = ((position % period) + period) % period;
+
+        let index = 0;
+        while (index < timings.length - 1 && time >= timings[index]) {
+            time -= timings[index];
+            index++;
+        }
+
+        const length = timings[index];
+        const progress = length > 0 ? Math.min(1, time / length) : 1;
+        const ease = (1 - Math.cos(Math.PI * progress)) / 2;
+        const levels = [ease, 1, 1 - ease, 0];
+
+        return {
+            phase: BreathLayer.PHASES[index],
+            progress,
+            remaining: length - time,
+            level: levels[index]
+        };
+    }
+
+    // One breath from the start of an inhale, as level - 1 so it runs from -1 (empty) to 0
+    static createBreathBuffer(ctx, timings) {
+        const size = BreathLayer.CYCLE_SAMPLES;
+        const period = BreathLayer.getPeriod(timings);
+        const buffer = ctx.createBuffer(1, size, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < size; i++) {
+            data[i] = BreathLayer.getBreath(timings, i / size * period).level - 1;
+        }
+        return buffer;
+    }
+
+    getRouteGain(name) {
+        const settings = this.generator.settings;
+        const swell = settings.breathSwell;
+        if (!settings.breath || (swell !== name && swell !== 'both')) return 0;
+
+        return settings.breathDepth * BreathLayer.DESTINATIONS[name];
+    }
+
+    handleChange(changes, morph) {
+        const settings = this.generator.settings;
+
+        if (changes.breath) {
+            this.restart();
+        } else if (['breathInhale', 'breathHoldIn', 'breathExhale', 'breathHoldOut'].some(key => key in changes)) {
+            if (settings.breath && this.generator.isPlaying) {
+                this.scheduleNextBreath();
+            } else {
+                this.restart();
+            }
+        }
+
+        if (['breath', 'breathSwell', 'breathDepth'].some(key => key in changes)) {
+            // Outside a morph the swell fades in and out over a breath or so
+            const glide = morph || { startTime: this.generator.audioContext.currentTime, duration: BreathLayer.FADE };
+            Object.keys(this.routes).forEach(name => {
+                this.generator.moveParam(this.routes[name].gain, this.getRouteGain(name), glide);
+            });
+        }
+    }
+
+    hold() {
+        this.generator.holdParams(Object.values(this.routes).map(route => route.gain));
+    }
+
+    // Whole breaths per loop: the timings stretch or shrink together to fit
+    static snapToLoop(settings, loopSeconds) {
+        const timings = BreathLayer.getTimings(settings);
+        const period = BreathLayer.getPeriod(timings);
+        const scale = loopSeconds / (Math.max(1, Math.round(loopSeconds / period)) * period);
+
+        settings.breathInhale = timings[0] * scale;
+        settings.breathHoldIn = timings[1] * scale;
+        settings.breathExhale = timings[2] * scale;
+        settings.breathHoldOut = timings[3] * scale;
+    }
+}
+
+BreathLayer.CYCLE_SAMPLES = 4096;
+BreathLayer.PHASES = ['inhale', 'holdIn', 'exhale', 'holdOut'];
+
+// Seconds for the swell to fade in or out when switched
+BreathLayer.FADE = 4;
+
+// How far a full-depth swell moves each target: gain for volume, cents for the cutoff
+BreathLayer.DESTINATIONS = {
+    volume: 1,
+    cutoff: 2400
+};
+
+// [inhale, hold, exhale, hold] in seconds for each named pattern
+BreathLayer.PATTERNS = {
+    box: [4, 4, 4, 4],
+    relaxing: [4, 7, 8, 0],
+    // 5.5 breaths a minute, in and out evenly
+    coherent: [60 / 5.5 / 2, 0, 60 / 5.5 / 2, 0]
+};
+
+BreathLayer.DEFAULT_SETTINGS = {
+    breath: false,
+    breathInhale: 4,
+    breathHoldIn: 4,
+    breathExhale: 4,
+    breathHoldOut: 4,
+    breathSwell: 'none',
+    breathDepth: 0.3
+};
+
+BreathLayer.SETTINGS_SCHEMA = {
+    breath: { type: 'boolean' },
+    breathInhale: { type: 'number', min: 1, max: 20 },
+    breathHoldIn: { type: 'number', min: 0, max: 20 },
+    breathExhale: { type: 'number', min: 1, max: 20 },
+    breathHoldOut: { type: 'number', min: 0, max: 20 },
+    breathSwell: { type: 'enum', values: ['none', 'volume', 'cutoff', 'both'] },
+    breathDepth: { type: 'number', min: 0, max: 1 }
+};
+
+DroneGenerator.registerLayer('breath', BreathLayer);
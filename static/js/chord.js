@@ -0,0 +1,91 @@
+/**
+ * Custom Chords
+ * A user-built drone chord as a stack of voices, each an interval above the
+ * root plus a shift in whole octaves. Intervals come in three kinds:
+ *
+ *   ratio    3/2, or a whole number for a harmonic (5 is 5/1)
+ *   cents    702c
+ *   degree   d4, the fourth step of the current tuning above the root
+ *
+ * Chords travel as text, one token per voice, with the octave shift after
+ * the interval: "1 3/2 9/8+1" is root, fifth and ninth. Ratios and cents are
+ * exact; degrees follow the temperament like the built-in chords do.
+ */
+
+class CustomChord {
+    /**
+     * @param {string} text
+     * @returns {Array<{type: string, value: string|number, octave: number}>} Ratio
+     *     values keep their text, cents and degrees are numbers
+     * @throws {Error} Naming the voice that can't be read
+     */
+    static parse(text) {
+        const tokens = typeof text === 'string' ? text.trim().split(/\s+/).filter(Boolean) : [];
+        if (!tokens.length) {
+            throw new Error('A chord needs at least one voice');
+        }
+        if (tokens.length > CustomChord.MAX_VOICES) {
+            throw new Error(`A chord can have up to ${CustomChord.MAX_VOICES} voices, not ${tokens.length}`);
+        }
+
+        return tokens.map((token, index) => CustomChord.parseVoice(token, index + 1));
+    }
+
+    static parseVoice(token, number) {
+        const match = /^(.*?)([+-]\d+)?$/.exec(token);
+        const interval = match[1];
+        const octave = match[2] ? Number(match[2]) : 0;
+
+        if (Math.abs(octave) > CustomChord.MAX_OCTAVE_SHIFT) {
+            throw new Error(`Voice ${number}: octave shift ${octave} is outside ±${CustomChord.MAX_OCTAVE_SHIFT}`);
+        }
+
+        let voice;
+        if (/^\d+(\/\d+)?$/.test(interval)) {
+            voice = { type: 'ratio', value: interval, octave };
+            const ratio = CustomChord.getRatio(interval);
+            if (!(ratio > 0 && Number.isFinite(ratio))) {
+                throw new Error(`Voice ${number}: "${interval}" is not a positive ratio`);
+            }
+        } else if (/^-?\d+(\.\d+)?c$/i.test(interval)) {
+            voice = { type: 'cents', value: parseFloat(interval), octave };
+        } else if (/^d\d+$/i.test(interval)) {
+            voice = { type: 'degree', value: parseInt(interval.slice(1)), octave };
+        } else {
+            throw new Error(`Voice ${number}: "${token}" is not a ratio (3/2), cents (702c) or scale degree (d4)`);
+        }
+        return voice;
+    }
+
+    /**
+     * @param {Array<{type: string, value: string|number, octave: number}>} voices
+     * @returns {string} Chord text that parse() reads back
+     */
+    static format(voices) {
+        return voices.map(voice => {
+            const interval = voice.type === 'cents' ? `${voice.value}c`
+                : voice.type === 'degree' ? `d${voice.value}`
+                : String(voice.value);
+            const octave = voice.octave ? (voice.octave > 0 ? `+${voice.octave}` : `${voice.octave}`) : '';
+            return interval + octave;
+        }).join(' ');
+    }
+
+    static getRatio(text) {
+        const [numerator, denominator = 1] = text.split('/').map(Number);
+        return numerator / denominator;
+    }
+
+    // Error message for chord text that can't be used, or null
+    static check(text) {
+        try {
+            CustomChord.parse(text);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+}
+
+CustomChord.MAX_VOICES = 8;
+CustomChord.MAX_OCTAVE_SHIFT = 4;
@@ -0,0 +1,284 @@
+/**
+ * Drone Export
+ * Renders the current drone offline and encodes it as a WAV file.
+ *
+ * Long renders are split into chunks, each rendered by its own
+ * OfflineAudioContext running a fresh DroneGenerator with the same settings.
+ * Every chunk starts with a pre-roll at least as long as the reverb tail so
+ * the reverb and filter are already settled, and renders a little past its end so neighbouring chunks
+ * can be crossfaded together. Evolution drift is precomputed once for the
+ * whole render and scheduled into each chunk at its global time.
+ *
+ * Loop exports render one extra crossfade length past the loop end and fold
+ * it back over the head, snap the LFOs and any rhythmic layers to whole
+ * cycles and use a periodic evolution walk, so the file plays back seamlessly when repeated.
+ */
+
+class DroneExporter {
+    constructor(generator) {
+        this.generator = generator;
+
+        this.sampleRate = 44100;
+        this.chunkSeconds = 30;
+        this.prerollSeconds = 4;
+        this.overlapSeconds = 1;
+        this.progressSeconds = 5;
+    }
+
+    getPresetLabel() {
+        const preset = this.generator.currentPreset;
+        return preset ? preset.label : null;
+    }
+
+    getFilename(label, duration, suffix = '') {
+        const slug = (label || 'drone').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const length = duration >= 60 && duration % 60 === 0
+            ? `${duration / 60}min`
+            : `${Math.round(duration)}s`;
+        return `omtones-${slug}${suffix}-${length}.wav`;
+    }
+
+    /**
+     * Render the drone to a WAV Blob.
+     * @param {Object} options
+     * @param {number} options.duration - Length in seconds (60 to 3600)
+     * @param {number} [options.bitDepth=16] - 16 or 24
+     * @param {number} [options.fadeIn] - Seconds, defaults to settings.fadeTime
+     * @param {number} [options.fadeOut] - Seconds, defaults to settings.fadeTime
+     * @param {Function} [options.onProgress] - Called with a 0-1 fraction after each chunk
+     * @param {AbortSignal} [options.signal] - Aborts between chunks
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async renderWav(options) {
+        const duration = Math.max(60, Math.min(3600, options.duration));
+        const settings = this.generator.getSettings();
+        const fadeIn = options.fadeIn !== undefined ? options.fadeIn : settings.fadeTime;
+        const fadeOut = options.fadeOut !== undefined ? options.fadeOut : settings.fadeTime;
+        const label = this.getPresetLabel();
+
+        const encoder = new WavEncoder({
+            sampleRate: this.sampleRate,
+            channels: 2,
+            bitDepth: options.bitDepth || 16
+        });
+
+        const timeline = settings.evolution
+            ? new DroneGenerator({ settings }).createEvolutionTimeline(duration)
+            : [];
+
+        const totalFrames = Math.round(duration * this.sampleRate);
+        const chunkFrames = Math.round(this.chunkSeconds * this.sampleRate);
+        const overlapFrames = Math.round(this.overlapSeconds * this.sampleRate);
+        let carry = null;
+
+        for (let start = 0; start < totalFrames; start += chunkFrames) {
+            if (options.signal?.aborted) {
+                throw new DOMException('Export cancelled', 'AbortError');
+            }
+
+            const frames = Math.min(chunkFrames, totalFrames - start);
+            const isLast = start + frames >= totalFrames;
+            const rendered = await this.renderSegment(settings, timeline, start, frames + (isLast ? 0 : overlapFrames));
+
+            const channels = [0, 1].map(ch => rendered[ch].slice(0, frames));
+            if (carry) {
+                this.crossfade(channels, carry);
+            }
+            carry = isLast ? null : [0, 1].map(ch => rendered[ch].slice(frames));
+
+            this.applyFades(channels, start, totalFrames, fadeIn, fadeOut);
+            encoder.write(channels);
+
+            options.onProgress?.((start + frames) / totalFrames);
+        }
+
+        return {
+            blob: encoder.finish({ title: label || 'OmTones Drone', software: 'OmTones' }),
+            filename: this.getFilename(label, duration)
+        };
+    }
+
+    /**
+     * Render a seamlessly loopable WAV Blob carrying `smpl` loop points.
+     * @param {Object} options
+     * @param {number} options.loopSeconds - Loop length in seconds (10 to 300)
+     * @param {number} [options.bitDepth=16] - 16 or 24
+     * @param {number} [options.crossfade=2] - Seconds of the tail folded into the head
+     * @param {Function} [options.onProgress] - Called with a 0-1 fraction as the render runs
+     * @param {AbortSignal} [options.signal] - Aborts at the next progress step
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    async renderLoop(options) {
+        const loopSeconds = Math.max(10, Math.min(300, options.loopSeconds));
+        const crossfade = Math.min(options.crossfade || 2, loopSeconds / 4);
+        const label = this.getPresetLabel();
+
+        const settings = this.generator.getSettings();
+        settings.lfoRate = DroneExporter.snapRate(settings.lfoRate, loopSeconds);
+        settings.emphasisRate = DroneExporter.snapRate(settings.emphasisRate, loopSeconds);
+        Object.values(DroneGenerator.LAYERS).forEach(Layer => {
+            if (Layer.snapToLoop) Layer.snapToLoop(settings, loopSeconds);
+        });
+
+        // Repeat one periodic walk across the pre-roll, the loop and the overrun
+        const timeline = [];
+        if (settings.evolution) {
+            const period = new DroneGenerator({ settings }).createEvolutionLoop(loopSeconds);
+            const first = -Math.ceil(this.getPrerollSeconds(settings) / loopSeconds);
+            const last = Math.ceil((loopSeconds + crossfade) / loopSeconds);
+            for (let cycle = first; cycle <= last; cycle++) {
+                period.forEach(step => {
+                    timeline.push(Object.assign({}, step, { time: step.time + cycle * loopSeconds }));
+                });
+            }
+        }
+
+        const loopFrames = Math.round(loopSeconds * this.sampleRate);
+        const crossfadeFrames = Math.round(crossfade * this.sampleRate);
+        const rendered = await this.renderSegment(settings, timeline, 0, loopFrames + crossfadeFrames, {
+            onProgress: options.onProgress,
+            signal: options.signal
+        });
+
+        const channels = rendered.map(data => data.slice(0, loopFrames));
+        this.crossfade(channels, rendered.map(data => data.slice(loopFrames)), true);
+
+        const encoder = new WavEncoder({
+            sampleRate: this.sampleRate,
+            channels: 2,
+            bitDepth: options.bitDepth || 16
+        });
+        encoder.write(channels);
+
+        return {
+            blob: encoder.finish({
+                title: (label || 'OmTones Drone') + ' (loop)',
+                software: 'OmTones',
+                loop: { start: 0, end: loopFrames - 1 }
+            }),
+            filename: this.getFilename(label, loopSeconds, '-loop')
+        };
+    }
+
+    getPrerollSeconds(settings) {
+        return Math.max(this.prerollSeconds, ConvolutionReverb.getTailSeconds(settings));
+    }
+
+    // Nearest rate that completes a whole number of cycles (at least one) per loop
+    static snapRate(rate, loopSeconds) {
+        return Math.max(1, Math.round(rate * loopSeconds)) / loopSeconds;
+    }
+
+    /**
+     * Render `frames` samples of the drone starting at global frame `start`.
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with a 0-1 fraction as the render runs
+     * @param {AbortSignal} [options.signal] - Aborts at the next progress step
+     * @returns {Promise<Float32Array[]>} Left and right channel data
+     */
+    async renderSegment(settings, timeline, start, frames, options = {}) {
+        if (options.signal?.aborted) {
+            throw new DOMException('Export cancelled', 'AbortError');
+        }
+
+        const preroll = this.getPrerollSeconds(settings);
+        const prerollFrames = Math.round(preroll * this.sampleRate);
+        const context = new OfflineAudioContext(2, prerollFrames + frames, this.sampleRate);
+
+        // Local time 0 is `preroll` seconds before the chunk's global start
+        const offset = start / this.sampleRate - preroll;
+        const engine = new DroneGenerator({ audioContext: context, settings, timeOffset: offset });
+        engine.play({ fadeTime: 0 });
+
+        const end = offset + context.length / this.sampleRate;
+        let previous = null;
+
+        timeline.forEach(step => {
+            if (step.time < offset) {
+                previous = step;
+            } else if (step.time < end) {
+                engine.applyEvolutionStep(step, step.time - offset);
+            }
+        });
+
+        if (previous) {
+            engine.applyEvolutionStep(previous, 0);
+        }
+
+        const buffer = await this.startRendering(context, options);
+        return [0, 1].map(ch => buffer.getChannelData(ch).slice(prerollFrames));
+    }
+
+    // Pause every few seconds of audio to report progress and check for a cancel
+    startRendering(context, { onProgress, signal }) {
+        if (!onProgress && !signal) return context.startRendering();
+
+        const seconds = context.length / context.sampleRate;
+        return new Promise((resolve, reject) => {
+            for (let time = this.progressSeconds; time < seconds; time += this.progressSeconds) {
+                context.suspend(time).then(() => {
+                    if (signal?.aborted) {
+                        // Left suspended and dropped, so nothing more is rendered
+                        reject(new DOMException('Export cancelled', 'AbortError'));
+                        return;
+                    }
+                    onProgress?.(time / seconds);
+                    context.resume();
+                });
+            }
+            context.startRendering().then(resolve, reject);
+        });
+    }
+
+    // Blend an overrun into the head of the next stretch. Neighboring chunks are
+    // two renders of the same signal, so their gains sum to one; a loop's tail and
+    // head are unrelated, so those keep equal power instead.
+    crossfade(channels, carry, equalPower = false) {
+        const length = Math.min(carry[0].length, channels[0].length);
+
+        for (let i = 0; i < length; i++) {
+            const t = (i + 0.5) / length;
+            const fadeInGain = equalPower ? Math.sin(t * Math.PI / 2) : t;
+            const fadeOutGain = equalPower ? Math.cos(t * Math.PI / 2) : 1 - t;
+
+            for (let ch = 0; ch < channels.length; ch++) {
+                channels[ch][i] = channels[ch][i] * fadeInGain + carry[ch][i] * fadeOutGain;
+            }
+        }
+    }
+
+    applyFades(channels, start, totalFrames, fadeIn, fadeOut) {
+        const fadeInFrames = Math.round(fadeIn * this.sampleRate);
+        const fadeOutFrames = Math.round(fadeOut * this.sampleRate);
+        const length = channels[0].length;
+
+        for (let i = 0; i < length; i++) {
+            const frame = start + i;
+            let gain = 1;
+
+            if (frame < fadeInFrames) {
+                gain = frame / fadeInFrames;
+            }
+            if (frame >= totalFrames - fadeOutFrames) {
+                gain = Math.min(gain, (totalFrames - frame - 1) / fadeOutFrames);
+            }
+            if (gain === 1) continue;
+
+            for (let ch = 0; ch < channels.length; ch++) {
+                channels[ch][i] *= gain;
+            }
+        }
+    }
+
+    // Hand a rendered Blob to the browser as a file download
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
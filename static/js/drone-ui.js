@@ -0,0 +1,2023 @@
+/**
+ * Drone Generator - Page Controller
+ * Binds a headless DroneGenerator to the controls in index.html: control
+ * input becomes setter calls, and generator change events update the
+ * controls, note display, status badge, timer and waveform canvas.
+ * Also runs the user preset library, saves the session for restore,
+ * starts drones opened from shared links (see url-state.js), connects
+ * MIDI input (see midi.js) and hosts remote control (see remote.js).
+ */
+
+// Slider-backed settings. `scale` converts a setting into the slider's integer range.
+const SLIDER_CONTROLS = [
+    { key: 'osc1Level', input: 'osc1Level', display: 'osc1Value', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'osc2Level', input: 'osc2Level', display: 'osc2Value', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'osc3Level', input: 'osc3Level', display: 'osc3Value', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'detune', input: 'detune', display: 'detuneValue', scale: 1, format: v => Math.round(v) + ' cents' },
+    { key: 'harmonicEmphasis', input: 'harmonicEmphasis', display: 'harmonicEmphasisValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'emphasisRate', input: 'emphasisRate', display: 'emphasisRateValue', scale: 1000, format: v => Math.round(1 / v) + ' sec' },
+    { key: 'volume', input: 'volume', display: 'volumeValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'fadeTime', input: 'fadeTime', display: 'fadeTimeValue', scale: 1, format: v => v + ' sec' },
+    { key: 'filterFreq', input: 'filterFreq', display: 'filterFreqValue', scale: 1, format: v => Math.round(v) + ' Hz' },
+    { key: 'filterRes', input: 'filterRes', display: 'filterResValue', scale: 1, format: v => String(v) },
+    { key: 'reverbAmount', input: 'reverbAmount', display: 'reverbValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'reverbDecay', input: 'reverbDecay', display: 'reverbDecayValue', scale: 10, format: v => v.toFixed(1) + ' sec' },
+    { key: 'reverbDamping', input: 'reverbDamping', display: 'reverbDampingValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'reverbPreDelay', input: 'reverbPreDelay', display: 'reverbPreDelayValue', scale: 1000, format: v => Math.round(v * 1000) + ' ms' },
+    { key: 'lfoRate', input: 'lfoRate', display: 'lfoRateValue', scale: 100, format: v => v.toFixed(2) + ' Hz' },
+    { key: 'lfoDepth', input: 'lfoDepth', display: 'lfoDepthValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'evolveFilterRange', input: 'evolveFilterRange', display: 'evolveFilterRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'evolveLfoDepthRange', input: 'evolveLfoDepthRange', display: 'evolveLfoDepthRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'evolveDetuneRange', input: 'evolveDetuneRange', display: 'evolveDetuneRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'evolveBalanceRange', input: 'evolveBalanceRange', display: 'evolveBalanceRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'evolveReverbRange', input: 'evolveReverbRange', display: 'evolveReverbRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'evolveEmphasisRange', input: 'evolveEmphasisRange', display: 'evolveEmphasisRangeValue', scale: 100, format: v => '±' + Math.round(v * 100) + '%' },
+    { key: 'binauralBeat', input: 'binauralBeat', display: 'binauralBeatValue', scale: 10, format: v => v.toFixed(1) + ' Hz' },
+    { key: 'binauralLevel', input: 'binauralLevel', display: 'binauralLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'isochronicRate', input: 'isochronicRate', display: 'isochronicRateValue', scale: 10, format: v => v.toFixed(1) + ' Hz' },
+    { key: 'isochronicDepth', input: 'isochronicDepth', display: 'isochronicDepthValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'isochronicLevel', input: 'isochronicLevel', display: 'isochronicLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'noiseLevel', input: 'noiseLevel', display: 'noiseLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'noiseFilterFreq', input: 'noiseFilterFreq', display: 'noiseFilterFreqValue', scale: 1, format: v => Math.round(v) + ' Hz' },
+    { key: 'noiseSwell', input: 'noiseSwell', display: 'noiseSwellValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'noiseSwellRate', input: 'noiseSwellRate', display: 'noiseSwellRateValue', scale: 100, format: v => v.toFixed(2) + ' Hz' },
+    { key: 'soundscapeIntensity', input: 'soundscapeIntensity', display: 'soundscapeIntensityValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'soundscapeLevel', input: 'soundscapeLevel', display: 'soundscapeLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'tanpuraTempo', input: 'tanpuraTempo', display: 'tanpuraTempoValue', scale: 1, format: v => Math.round(v) + ' / min' },
+    { key: 'tanpuraJawari', input: 'tanpuraJawari', display: 'tanpuraJawariValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'tanpuraLevel', input: 'tanpuraLevel', display: 'tanpuraLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'shrutiLevel', input: 'shrutiLevel', display: 'shrutiLevelValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'shrutiBellows', input: 'shrutiBellows', display: 'shrutiBellowsValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'breathInhale', input: 'breathInhale', display: 'breathInhaleValue', scale: 10, format: v => v.toFixed(1) + ' sec' },
+    { key: 'breathHoldIn', input: 'breathHoldIn', display: 'breathHoldInValue', scale: 10, format: v => v.toFixed(1) + ' sec' },
+    { key: 'breathExhale', input: 'breathExhale', display: 'breathExhaleValue', scale: 10, format: v => v.toFixed(1) + ' sec' },
+    { key: 'breathHoldOut', input: 'breathHoldOut', display: 'breathHoldOutValue', scale: 10, format: v => v.toFixed(1) + ' sec' },
+    { key: 'breathDepth', input: 'breathDepth', display: 'breathDepthValue', scale: 100, format: v => Math.round(v * 100) + '%' }
+];
+
+// Select-backed settings, by element ID
+const SELECT_CONTROLS = {
+    rootNote: 'rootNote',
+    tuning: 'tuning',
+    timbre: 'timbre',
+    temperament: 'temperament',
+    evolutionSpeed: 'evolutionSpeed',
+    isochronicTarget: 'isochronicTarget',
+    isochronicShape: 'isochronicShape',
+    noiseColor: 'noiseColor',
+    noiseFilterType: 'noiseFilterType',
+    soundscape: 'soundscape',
+    tanpuraFirst: 'tanpuraFirst',
+    breathSwell: 'breathSwell'
+};
+
+// Checkbox-backed settings, by element ID
+const CHECKBOX_CONTROLS = {
+    justIntonation: 'justIntonation',
+    evolution: 'evolutionToggle',
+    evolveFilter: 'evolveFilter',
+    evolveLfoDepth: 'evolveLfoDepth',
+    evolveDetune: 'evolveDetune',
+    evolveBalance: 'evolveBalance',
+    evolveReverb: 'evolveReverb',
+    evolveEmphasis: 'evolveEmphasis',
+    binaural: 'binauralToggle',
+    isochronic: 'isochronicToggle',
+    noise: 'noiseToggle',
+    tanpura: 'tanpuraToggle',
+    shrutiBox: 'shrutiToggle',
+    breath: 'breathToggle'
+};
+
+// Waveform choices on a mixer strip
+const VOICE_WAVES = [
+    ['blend', 'Blend'],
+    ['sine', 'Sine'],
+    ['triangle', 'Triangle'],
+    ['sawtooth', 'Sawtooth']
+];
+
+// Modulation rate sliders run 0-1000 across this range, logarithmically
+const MODULATION_RATE_MIN = 0.01;
+const MODULATION_RATE_MAX = 10;
+
+// With reduced motion the display redraws at most this often, in ms
+const REDUCED_MOTION_FRAME_MS = 250;
+
+// Starting value of a chord voice switched to another kind of interval
+const CHORD_VOICE_DEFAULTS = {
+    ratio: '3/2',
+    cents: '700',
+    degree: '7'
+};
+
+class DroneController {
+    constructor(generator, presetStore) {
+        this.generator = generator;
+        this.presetStore = presetStore;
+        this.sessionSaveTimeout = null;
+
+        // Sleep timer requested by a link, started with the first play
+        this.pendingTimer = null;
+
+        // Visualization: a mode registered with DroneVisualizer, drawn by this.visualizer
+        this.canvas = null;
+        this.canvasCtx = null;
+        this.animationId = null;
+        this.visualMode = 'waveform';
+        this.visualizer = null;
+        this.lastFrameTime = 0;
+        this.reducedMotion = null;
+        this.ambient = false;
+
+        // Glide progress shown on the morph slider
+        this.morphInterval = null;
+
+        // Custom chord text the editor rows were last built from
+        this.chordText = null;
+
+        // Partial amplitudes shown in the harmonic editor, drawn ahead of the setting
+        this.partialLevels = [];
+
+        // Offline export
+        this.exporter = new DroneExporter(generator);
+        this.exportAbort = null;
+
+        // MIDI keyboard and controllers
+        this.midi = new MidiInput(generator);
+
+        // Remote control, while allowed
+        this.remoteHost = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.bindGenerator();
+        this.setupCanvas();
+        this.setupExport();
+        this.setupMidi();
+        this.setupRemote();
+        this.setupPresetLibrary();
+        this.setupChordEditor();
+        this.setupHarmonicEditor();
+        this.setupVoiceMixer();
+        this.setupModulationMatrix();
+        this.setupMorph();
+        this.syncControls(this.generator.settings);
+        if (this.generator.currentPreset) {
+            this.setActivePreset(this.generator.currentPreset.id);
+        }
+    }
+
+    bindGenerator() {
+        const gen = this.generator;
+
+        gen.on('change', ({ changes }) => {
+            this.syncControls(changes);
+            if ('evolution' in changes) {
+                this.updateStatus(gen.isPlaying ? 'playing' : 'ready');
+            }
+            this.scheduleSessionSave();
+        });
+
+        gen.on('play', () => {
+            this.hideTapPrompt();
+            if (this.pendingTimer) {
+                gen.startTimer(this.pendingTimer);
+                this.setActiveTimer(this.pendingTimer);
+                this.pendingTimer = null;
+            }
+            this.updatePlayButton();
+            this.updateStatus('playing');
+            this.startVisualization();
+        });
+
+        gen.on('stop', () => {
+            this.updatePlayButton();
+            this.updateStatus('ready');
+            this.stopVisualization();
+        });
+
+        gen.on('preset', ({ name }) => {
+            this.setActivePreset(name);
+            this.scheduleSessionSave();
+        });
+
+        gen.on('timer', ({ active, remaining }) => this.updateTimerDisplay(active, remaining));
+        gen.on('session', state => this.updateSessionDisplay(state));
+        gen.on('morph', state => this.updateMorphDisplay(state));
+    }
+
+    // Write settings values into their controls
+    syncControls(values) {
+        SLIDER_CONTROLS.forEach(control => {
+            if (!(control.key in values)) return;
+            const value = values[control.key];
+
+            const slider = document.getElementById(control.input);
+            if (slider) slider.value = Math.round(value * control.scale);
+
+            const display = document.getElementById(control.display);
+            if (display) display.textContent = control.format(value);
+        });
+
+        Object.keys(SELECT_CONTROLS).forEach(key => {
+            const select = document.getElementById(SELECT_CONTROLS[key]);
+            if (select && key in values) select.value = values[key];
+        });
+
+        Object.keys(CHECKBOX_CONTROLS).forEach(key => {
+            const checkbox = document.getElementById(CHECKBOX_CONTROLS[key]);
+            if (checkbox && key in values) checkbox.checked = values[key];
+        });
+
+        if ('binaural' in values) {
+            const notice = document.getElementById('binauralNotice');
+            if (notice) notice.hidden = !values.binaural;
+        }
+
+        if ('binauralBeat' in values) {
+            const band = document.getElementById('binauralBand');
+            if (band) {
+                band.value = Object.keys(BinauralLayer.BANDS)
+                    .find(name => BinauralLayer.BANDS[name] === values.binauralBeat) || 'custom';
+            }
+        }
+
+        if (['breathInhale', 'breathHoldIn', 'breathExhale', 'breathHoldOut'].some(key => key in values)) {
+            const pattern = document.getElementById('breathPattern');
+            if (pattern) {
+                const timings = BreathLayer.getTimings(this.generator.settings);
+                pattern.value = Object.keys(BreathLayer.PATTERNS).find(name =>
+                    BreathLayer.PATTERNS[name].every((length, i) => length === timings[i])) || 'custom';
+            }
+        }
+
+        // The stopped guide says whether it's on
+        if ('breath' in values && !this.generator.isPlaying) this.drawIdleFrame();
+
+        if ('reverbRoom' in values) {
+            const room = document.getElementById('reverbRoom');
+            if (room) room.value = values.reverbRoom;
+        }
+
+        ['soundscapeSeed', 'evolutionSeed'].forEach(key => {
+            const seed = document.getElementById(key);
+            if (seed && key in values) seed.value = values[key];
+        });
+
+        if (['temperament', 'scalaScale', 'scalaMapping'].some(key => key in values)) {
+            this.updateTuningDisplay();
+        }
+
+        ['rootFrequency', 'a4Reference'].forEach(key => {
+            const input = document.getElementById(key);
+            if (input && key in values) input.value = Math.round(values[key] * 100) / 100;
+        });
+
+        if ('droneType' in values || 'customChord' in values) {
+            this.updateChordEditor();
+        } else if (DroneGenerator.PITCH_SETTINGS.some(key => key in values)) {
+            this.updateChordFrequencies();
+        }
+
+        if ('timbre' in values || 'partials' in values) {
+            this.updateHarmonicEditor();
+        }
+
+        if (['droneType', 'customChord', 'timbre', ...DroneGenerator.PITCH_SETTINGS, ...DroneGenerator.VOICE_MIX_KEYS]
+            .some(key => key in values)) {
+            this.updateVoiceMixer();
+            // The stopped spectrum view still shows where the partials fall
+            if (!this.generator.isPlaying) this.drawIdleFrame();
+        }
+
+        if (Object.keys(values).some(key => key in ModulationLayer.SETTINGS_SCHEMA)) {
+            this.updateModulationMatrix();
+        }
+
+        if (DroneGenerator.PITCH_SETTINGS.some(key => key in values)) {
+            const noteDisplay = document.getElementById('currentNote');
+            if (noteDisplay) noteDisplay.textContent = this.formatRootNote();
+        }
+    }
+
+    // Just Intonation only applies to equal temperament; the status line describes a loaded Scala file
+    updateTuningDisplay() {
+        const settings = this.generator.settings;
+
+        const just = document.getElementById('justIntonation');
+        if (just) just.disabled = settings.temperament !== 'equal';
+
+        const clear = document.getElementById('scalaClearMapping');
+        if (clear) clear.disabled = !settings.scalaMapping;
+
+        const status = document.getElementById('scalaStatus');
+        if (!status) return;
+        status.classList.remove('error');
+
+        if (!settings.scalaScale) {
+            status.textContent = 'Load a Scala scale (.scl) and, optionally, a keyboard mapping (.kbm) that sets its reference pitch.';
+            return;
+        }
+
+        // Each file can be valid while the pair isn't, as when they come from a link
+        const problem = DroneGenerator.checkTuningFile(() => TuningScale.fromScala(settings.scalaScale, settings.scalaMapping));
+        if (problem) {
+            this.showScalaError(`This scale and mapping don't work together, so equal temperament is used: ${problem}`);
+            return;
+        }
+
+        const scale = DroneGenerator.createTuningScale('scala', settings.scalaScale, settings.scalaMapping);
+        const name = scale.description || 'Untitled scale';
+        const mapping = scale.mapping
+            ? `, mapped with ${scale.mapping.referenceFrequency} Hz on MIDI note ${scale.mapping.referenceNote}`
+            : '';
+        const inUse = settings.temperament === 'scala' ? '' : ' Choose "Scala File" to use it.';
+        status.textContent = `${name} (${scale.size} notes${mapping}).${inUse}`;
+    }
+
+    showScalaError(message) {
+        const status = document.getElementById('scalaStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.add('error');
+    }
+
+    // Nearest note and its offset in cents from standard 12-TET, after the
+    // frequency itself for roots that aren't a note name
+    formatRootNote() {
+        const gen = this.generator;
+        const frequency = gen.getRootFrequency();
+        const { name, cents } = DroneGenerator.getNearestNote(frequency);
+        const offset = Math.round(cents);
+        const note = `${name} ${offset < 0 ? '−' : '+'}${Math.abs(offset)}¢`;
+
+        return gen.getRootKey() === null
+            ? `${Math.round(frequency * 100) / 100} Hz · ${note}`
+            : note;
+    }
+
+    setActivePreset(preset) {
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.preset === preset);
+        });
+
+        const isUserPreset = !!this.presetStore.get(preset);
+        ['renamePreset', 'deletePreset'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !isUserPreset;
+        });
+    }
+
+    // Preset library
+    setupPresetLibrary() {
+        const store = this.presetStore;
+        const gen = this.generator;
+
+        document.getElementById('userPresets')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.preset-btn');
+            const preset = btn && store.get(btn.dataset.preset);
+            if (!preset) return;
+
+            gen.applyPreset(preset);
+            if (!gen.isPlaying) {
+                gen.play();
+            }
+        });
+
+        document.getElementById('savePreset')?.addEventListener('click', () => {
+            const current = gen.currentPreset && store.get(gen.currentPreset.id);
+            const name = prompt('Save current settings as:', current ? current.name : '');
+            if (name === null) return;
+
+            try {
+                const existing = store.findByName(name);
+                if (existing && !confirm(`Replace the preset "${existing.name}"?`)) return;
+
+                const preset = store.save(name, gen.getSettings());
+                gen.currentPreset = { id: preset.id, label: preset.name };
+                this.renderUserPresets();
+                this.setActivePreset(preset.id);
+                this.scheduleSessionSave();
+                this.showPresetMessage(store.error || `Saved "${preset.name}".`);
+            } catch (e) {
+                this.showPresetMessage(e.message);
+            }
+        });
+
+        document.getElementById('renamePreset')?.addEventListener('click', () => {
+            const preset = gen.currentPreset && store.get(gen.currentPreset.id);
+            if (!preset) return;
+
+            const name = prompt('Rename preset:', preset.name);
+            if (name === null) return;
+
+            try {
+                store.rename(preset.id, name);
+                gen.currentPreset.label = preset.name;
+                this.renderUserPresets();
+                this.setActivePreset(preset.id);
+                this.showPresetMessage(store.error || '');
+            } catch (e) {
+                this.showPresetMessage(e.message);
+            }
+        });
+
+        document.getElementById('deletePreset')?.addEventListener('click', () => {
+            const preset = gen.currentPreset && store.get(gen.currentPreset.id);
+            if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+
+            store.remove(preset.id);
+            gen.currentPreset = null;
+            this.renderUserPresets();
+            this.setActivePreset(null);
+            this.scheduleSessionSave();
+            this.showPresetMessage(store.error || `Deleted "${preset.name}".`);
+        });
+
+        document.getElementById('copySettingsLink')?.addEventListener('click', async () => {
+            const link = UrlState.createLink(gen.getSettings(), window.location);
+            try {
+                await navigator.clipboard.writeText(link);
+                this.showPresetMessage('Link to these settings copied.');
+            } catch (e) {
+                this.showPresetMessage(link);
+            }
+        });
+
+        document.getElementById('exportPresets')?.addEventListener('click', () => {
+            if (!store.list().length) {
+                this.showPresetMessage('Save a preset first, then export.');
+                return;
+            }
+            const blob = new Blob([store.exportJSON()], { type: 'application/json' });
+            DroneExporter.download(blob, 'omtones-presets.json');
+        });
+
+        document.getElementById('importPresets')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const { presets, warnings } = store.importJSON(await file.text());
+                this.renderUserPresets();
+                if (gen.currentPreset) this.setActivePreset(gen.currentPreset.id);
+
+                let message = `Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}.`;
+                if (warnings.length) {
+                    message += ` Adjusted ${warnings.length} value${warnings.length === 1 ? '' : 's'}: ${warnings.join('; ')}`;
+                }
+                if (store.error) message += ' ' + store.error;
+                this.showPresetMessage(message);
+            } catch (err) {
+                this.showPresetMessage('Import failed: ' + err.message);
+            }
+        });
+
+        this.renderUserPresets();
+        if (store.error) this.showPresetMessage(store.error);
+    }
+
+    renderUserPresets() {
+        const container = document.getElementById('userPresets');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.presetStore.list().forEach(preset => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'preset-btn';
+            btn.dataset.preset = preset.id;
+
+            const icon = document.createElement('i');
+            icon.className = 'ri-user-star-line';
+            btn.append(icon, ' ' + preset.name);
+
+            container.appendChild(btn);
+        });
+
+        this.renderMorphOptions();
+    }
+
+    // Custom chords: an editable row per voice, saved chords listed with the drone types
+    setupChordEditor() {
+        const store = this.presetStore;
+        const gen = this.generator;
+        const voices = document.getElementById('chordVoices');
+        if (!voices) return;
+
+        document.getElementById('droneType')?.addEventListener('change', (e) => {
+            const saved = e.target.value.startsWith('chord:') && store.getChord(e.target.value.slice(6));
+            if (saved) {
+                gen.setSettings({ droneType: 'custom', customChord: saved.chord });
+            } else {
+                gen.setSettings({ droneType: e.target.value });
+            }
+        });
+
+        voices.addEventListener('change', (e) => {
+            const row = e.target.closest('.chord-voice');
+            // A new kind of interval starts from the same pitch where it can
+            if (row && e.target.classList.contains('chord-voice-type')) {
+                const value = row.querySelector('.chord-voice-value');
+                const index = Array.from(voices.children).indexOf(row);
+                const voice = gen.getCustomChord()[index];
+                value.value = e.target.value === 'cents' && voice
+                    ? Math.round(1200 * Math.log2(gen.getVoiceRatio(Object.assign({}, voice, { octave: 0 }))) * 100) / 100
+                    : CHORD_VOICE_DEFAULTS[e.target.value];
+            }
+            this.applyChordEditor();
+        });
+
+        voices.addEventListener('click', (e) => {
+            const remove = e.target.closest('.chord-voice-remove');
+            if (!remove || voices.children.length <= 1) return;
+            remove.closest('.chord-voice').remove();
+            this.applyChordEditor();
+        });
+
+        document.getElementById('addChordVoice')?.addEventListener('click', () => {
+            if (voices.children.length >= CustomChord.MAX_VOICES) return;
+            voices.appendChild(this.createChordVoiceRow({ type: 'ratio', value: '2', octave: 0 }));
+            this.applyChordEditor();
+        });
+
+        document.getElementById('saveChord')?.addEventListener('click', () => {
+            const current = store.listChords().find(c => c.chord === gen.settings.customChord);
+            const name = prompt('Save this chord as:', current ? current.name : '');
+            if (name === null) return;
+
+            try {
+                const saved = store.saveChord(name, gen.settings.customChord);
+                this.renderSavedChords();
+                this.updateChordEditor();
+                this.showChordMessage(store.error || `Saved "${saved.name}" with the drone types.`);
+            } catch (err) {
+                this.showChordMessage(err.message);
+            }
+        });
+
+        document.getElementById('deleteChord')?.addEventListener('click', () => {
+            const current = store.listChords().find(c => c.chord === gen.settings.customChord);
+            if (!current || !confirm(`Delete the chord "${current.name}"?`)) return;
+
+            store.removeChord(current.id);
+            this.renderSavedChords();
+            this.updateChordEditor();
+            this.showChordMessage(store.error || `Deleted "${current.name}".`);
+        });
+
+        this.renderSavedChords();
+    }
+
+    renderSavedChords() {
+        const group = document.getElementById('savedChords');
+        if (!group) return;
+
+        group.innerHTML = '';
+        this.presetStore.listChords().forEach(chord => {
+            const option = document.createElement('option');
+            option.value = 'chord:' + chord.id;
+            option.textContent = chord.name;
+            group.appendChild(option);
+        });
+        group.hidden = !group.children.length;
+    }
+
+    createChordVoiceRow(voice) {
+        const row = document.createElement('div');
+        row.className = 'chord-voice';
+
+        const number = document.createElement('span');
+        number.className = 'chord-voice-number';
+
+        const type = document.createElement('select');
+        type.className = 'chord-voice-type';
+        type.setAttribute('aria-label', 'Interval kind');
+        [['ratio', 'Ratio'], ['cents', 'Cents'], ['degree', 'Degree']].forEach(([value, label]) => {
+            type.appendChild(new Option(label, value));
+        });
+        type.value = voice.type;
+
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.className = 'chord-voice-value';
+        value.setAttribute('aria-label', 'Interval');
+        value.value = voice.value;
+
+        const octaveLabel = document.createElement('label');
+        const octave = document.createElement('input');
+        octave.type = 'number';
+        octave.className = 'chord-voice-octave';
+        octave.min = -CustomChord.MAX_OCTAVE_SHIFT;
+        octave.max = CustomChord.MAX_OCTAVE_SHIFT;
+        octave.value = voice.octave;
+        octaveLabel.append('Octave', octave);
+
+        const hz = document.createElement('span');
+        hz.className = 'chord-voice-hz';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'preset-action chord-voice-remove';
+        remove.setAttribute('aria-label', 'Remove voice');
+        const icon = document.createElement('i');
+        icon.className = 'ri-close-line';
+        remove.appendChild(icon);
+
+        row.append(number, type, value, octaveLabel, hz, remove);
+        return row;
+    }
+
+    // Turn the editor rows into chord text; a row that can't be read is marked and nothing changes
+    applyChordEditor() {
+        const rows = Array.from(document.querySelectorAll('#chordVoices .chord-voice'));
+        const tokens = rows.map(row => {
+            const type = row.querySelector('.chord-voice-type').value;
+            const value = row.querySelector('.chord-voice-value').value.trim();
+            const octave = parseInt(row.querySelector('.chord-voice-octave').value) || 0;
+            return CustomChord.format([{ type, value, octave }]);
+        });
+
+        let problem = null;
+        rows.forEach((row, index) => {
+            const empty = !row.querySelector('.chord-voice-value').value.trim();
+            const error = empty ? 'Voice 1: enter an interval' : CustomChord.check(tokens[index]);
+            row.querySelector('.chord-voice-value').classList.toggle('invalid', !!error);
+            if (error && !problem) problem = error.replace('Voice 1', `Voice ${index + 1}`);
+        });
+
+        if (problem) {
+            this.showChordMessage(problem);
+            return;
+        }
+
+        this.showChordMessage('');
+        this.chordText = tokens.join(' ');
+        this.generator.setSettings({ droneType: 'custom', customChord: this.chordText });
+        this.updateChordEditor();
+    }
+
+    // Show the editor for a custom chord, rebuilding its rows only when the chord came from elsewhere
+    updateChordEditor() {
+        const settings = this.generator.settings;
+        const custom = settings.droneType === 'custom';
+        const saved = this.presetStore.listChords().find(c => c.chord === settings.customChord);
+
+        const select = document.getElementById('droneType');
+        if (select) select.value = custom ? (saved ? 'chord:' + saved.id : 'custom') : settings.droneType;
+
+        const editor = document.getElementById('chordEditor');
+        if (!editor) return;
+        editor.hidden = !custom;
+
+        const deleteButton = document.getElementById('deleteChord');
+        if (deleteButton) deleteButton.disabled = !saved;
+
+        const voices = document.getElementById('chordVoices');
+        if (settings.customChord !== this.chordText) {
+            this.chordText = settings.customChord;
+            voices.innerHTML = '';
+            this.generator.getCustomChord().forEach(voice => voices.appendChild(this.createChordVoiceRow(voice)));
+        }
+
+        const add = document.getElementById('addChordVoice');
+        if (add) add.disabled = voices.children.length >= CustomChord.MAX_VOICES;
+        this.updateChordFrequencies();
+    }
+
+    // Each voice's number and pitch in Hz
+    updateChordFrequencies() {
+        const gen = this.generator;
+        if (gen.settings.droneType !== 'custom') return;
+
+        const frequencies = gen.getDroneFrequencies(gen.getRootFrequency());
+        document.querySelectorAll('#chordVoices .chord-voice').forEach((row, index) => {
+            row.querySelector('.chord-voice-number').textContent = index + 1;
+            const frequency = frequencies[index];
+            row.querySelector('.chord-voice-hz').textContent = frequency
+                ? `${frequency.toFixed(2)} Hz`
+                : '';
+        });
+    }
+
+    showChordMessage(message) {
+        const element = document.getElementById('chordMessage');
+        if (element) element.textContent = message;
+    }
+
+    // Additive timbre: spectrum presets and a bar per partial, drawn by dragging across them
+    setupHarmonicEditor() {
+        const bars = document.getElementById('partialBars');
+        if (!bars) return;
+
+        const preset = document.getElementById('partialPreset');
+        Object.keys(HarmonicSpectrum.PRESETS).forEach(name => {
+            preset.appendChild(new Option(HarmonicSpectrum.PRESETS[name].label, name));
+        });
+        preset.addEventListener('change', () => {
+            const spectrum = HarmonicSpectrum.PRESETS[preset.value];
+            if (spectrum) this.generator.setSettings({ partials: spectrum.partials });
+        });
+
+        for (let i = 0; i < HarmonicSpectrum.MAX_PARTIALS; i++) {
+            const bar = document.createElement('div');
+            bar.className = 'partial-bar';
+            bar.title = `Harmonic ${i + 1}`;
+            bar.appendChild(document.createElement('span'));
+            bars.appendChild(bar);
+        }
+
+        // Bars drawn in one drag are sent once per frame
+        let drawing = false;
+        let frame = null;
+        const draw = (e) => {
+            const rect = bars.getBoundingClientRect();
+            const index = Math.floor((e.clientX - rect.left) / rect.width * HarmonicSpectrum.MAX_PARTIALS);
+            if (index < 0 || index >= HarmonicSpectrum.MAX_PARTIALS) return;
+
+            this.partialLevels[index] = Math.max(0, Math.min(1, (rect.bottom - e.clientY) / rect.height));
+            this.renderPartialBars();
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                // The last partial standing can't be drawn down to silence
+                if (this.partialLevels.some(level => level > 0)) {
+                    this.generator.setSettings({ partials: HarmonicSpectrum.format(this.partialLevels) });
+                }
+            });
+        };
+
+        bars.addEventListener('pointerdown', (e) => {
+            drawing = true;
+            bars.setPointerCapture(e.pointerId);
+            draw(e);
+        });
+        bars.addEventListener('pointermove', (e) => {
+            if (drawing) draw(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            bars.addEventListener(type, () => {
+                drawing = false;
+            });
+        });
+
+        this.updateHarmonicEditor();
+    }
+
+    updateHarmonicEditor() {
+        const settings = this.generator.settings;
+        const additive = settings.timbre === 'additive';
+
+        const editor = document.getElementById('harmonicEditor');
+        if (editor) editor.hidden = !additive;
+        document.querySelectorAll('.oscillator-controls .osc-channel').forEach(channel => {
+            channel.hidden = additive;
+        });
+
+        const preset = document.getElementById('partialPreset');
+        if (preset) preset.value = HarmonicSpectrum.findPreset(settings.partials) || 'custom';
+
+        try {
+            this.partialLevels = HarmonicSpectrum.parse(settings.partials);
+        } catch (e) {
+            return;
+        }
+        this.renderPartialBars();
+    }
+
+    renderPartialBars() {
+        document.querySelectorAll('#partialBars .partial-bar span').forEach((fill, index) => {
+            fill.style.height = `${this.partialLevels[index] * 100}%`;
+        });
+    }
+
+    // Voice mixer: a strip per chord voice, each control bound to its voiceN setting
+    setupVoiceMixer() {
+        const mixer = document.getElementById('voiceMixer');
+        if (!mixer) return;
+
+        const apply = (e) => {
+            const strip = e.target.closest('.mixer-strip');
+            const field = e.target.dataset.field;
+            if (!strip || !field) return;
+
+            const key = `voice${strip.dataset.voice}${field}`;
+            const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+            let value;
+            if (rule.type === 'enum') {
+                value = e.target.value;
+            } else if (rule.type === 'boolean') {
+                value = !this.generator.settings[key];
+            } else {
+                value = parseFloat(e.target.value) / (field === 'Level' || field === 'Pan' ? 100 : 1);
+                if (!Number.isFinite(value)) return;
+                value = Math.max(rule.min, Math.min(rule.max, rule.type === 'integer' ? Math.round(value) : value));
+            }
+            this.generator.setSettings({ [key]: value });
+        };
+
+        mixer.addEventListener('input', (e) => {
+            if (e.target.type === 'range') apply(e);
+        });
+        mixer.addEventListener('change', (e) => {
+            if (e.target.type !== 'range') apply(e);
+        });
+        mixer.addEventListener('click', (e) => {
+            if (e.target.closest('.mixer-toggle')) apply({ target: e.target.closest('.mixer-toggle') });
+        });
+
+        this.updateVoiceMixer();
+    }
+
+    createMixerStrip(voice) {
+        const strip = document.createElement('div');
+        strip.className = 'mixer-strip';
+        strip.dataset.voice = voice;
+
+        const header = document.createElement('div');
+        header.className = 'mixer-header';
+
+        const name = document.createElement('span');
+        name.className = 'mixer-name';
+        name.textContent = `Voice ${voice}`;
+
+        const hz = document.createElement('span');
+        hz.className = 'mixer-hz';
+
+        const toggles = [['Mute', 'M'], ['Solo', 'S']].map(([field, text]) => {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'preset-action mixer-toggle';
+            toggle.dataset.field = field;
+            toggle.setAttribute('aria-label', `${field} voice ${voice}`);
+            toggle.textContent = text;
+            return toggle;
+        });
+        header.append(name, hz, ...toggles);
+
+        const slider = (field, label, min, max) => {
+            const row = document.createElement('label');
+            row.className = 'mixer-row';
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.dataset.field = field;
+            const value = document.createElement('span');
+            value.className = 'mixer-value';
+            row.append(label, input, value);
+            return row;
+        };
+
+        const wave = document.createElement('select');
+        wave.className = 'layer-select';
+        wave.dataset.field = 'Wave';
+        wave.setAttribute('aria-label', `Voice ${voice} waveform`);
+        VOICE_WAVES.forEach(([value, label]) => wave.appendChild(new Option(label, value)));
+
+        const number = (field, label, min, max) => {
+            const row = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = min;
+            input.max = max;
+            input.dataset.field = field;
+            row.append(label, input);
+            return row;
+        };
+
+        const options = document.createElement('div');
+        options.className = 'mixer-options';
+        options.append(wave, number('Octave', 'Octave', -2, 2), number('Detune', 'Detune', 0, 50));
+
+        strip.append(header, slider('Level', 'Level', 0, 100), slider('Pan', 'Pan', -100, 100), options);
+        return strip;
+    }
+
+    // One strip per sounding voice; strips are rebuilt only when the count changes
+    updateVoiceMixer() {
+        const mixer = document.getElementById('voiceMixer');
+        if (!mixer) return;
+
+        const gen = this.generator;
+        const settings = gen.settings;
+        const frequencies = gen.getVoiceFrequencies();
+
+        if (mixer.children.length !== frequencies.length) {
+            mixer.innerHTML = '';
+            frequencies.forEach((frequency, index) => mixer.appendChild(this.createMixerStrip(index + 1)));
+        }
+
+        Array.from(mixer.children).forEach((strip, index) => {
+            const prefix = `voice${index + 1}`;
+            const audible = DroneGenerator.getVoiceGain(settings, index, frequencies.length) > 0;
+            strip.classList.toggle('silent', !audible);
+            strip.querySelector('option[value="blend"]').textContent = settings.timbre === 'additive' ? 'Spectrum' : 'Blend';
+            strip.querySelector('.mixer-hz').textContent = `${frequencies[index].toFixed(2)} Hz`;
+
+            strip.querySelectorAll('[data-field]').forEach(control => {
+                const field = control.dataset.field;
+                const value = settings[prefix + field];
+                if (control.classList.contains('mixer-toggle')) {
+                    control.classList.toggle('active', value);
+                    control.setAttribute('aria-pressed', String(value));
+                } else if (field === 'Level' || field === 'Pan') {
+                    control.value = Math.round(value * 100);
+                    control.nextElementSibling.textContent = field === 'Level'
+                        ? Math.round(value * 100) + '%'
+                        : this.formatPan(value);
+                } else if (document.activeElement !== control || control.type !== 'number') {
+                    control.value = value;
+                }
+            });
+        });
+    }
+
+    formatPan(value) {
+        const amount = Math.round(Math.abs(value) * 100);
+        if (!amount) return 'Center';
+        return `${amount}% ${value < 0 ? 'L' : 'R'}`;
+    }
+
+    // Modulation matrix: a row per LFO with its shape, rate and depth, then a box per destination
+    setupModulationMatrix() {
+        const table = document.getElementById('modulationMatrix');
+        if (!table) return;
+
+        const destinations = Object.keys(ModulationLayer.DESTINATIONS).filter(name => !name.startsWith('voice'));
+
+        const head = table.createTHead().insertRow();
+        ['LFO', 'Shape', 'Rate', 'Depth', ...destinations.map(name => ModulationLayer.DESTINATIONS[name].label), 'Voice']
+            .forEach(label => {
+                const cell = document.createElement('th');
+                cell.textContent = label;
+                head.appendChild(cell);
+            });
+
+        const body = table.createTBody();
+        for (let index = 1; index <= ModulationLayer.LFO_COUNT; index++) {
+            const row = body.insertRow();
+            row.dataset.lfo = index;
+            row.insertCell().textContent = index;
+
+            const shape = document.createElement('select');
+            shape.dataset.field = 'Shape';
+            shape.setAttribute('aria-label', `LFO ${index} shape`);
+            [['sine', 'Sine'], ['triangle', 'Triangle'], ['smooth', 'Random Smooth'], ['step', 'Sample & Hold']]
+                .forEach(([value, label]) => shape.appendChild(new Option(label, value)));
+            row.insertCell().appendChild(shape);
+
+            const rateCell = row.insertCell();
+            rateCell.className = 'modulation-rate';
+            const rate = document.createElement('input');
+            rate.type = 'range';
+            rate.min = 0;
+            rate.max = 1000;
+            rate.dataset.field = 'Rate';
+            rate.setAttribute('aria-label', `LFO ${index} rate`);
+            const rateValue = document.createElement('span');
+            rateValue.className = 'mixer-value';
+            const unit = document.createElement('select');
+            unit.dataset.field = 'Unit';
+            unit.setAttribute('aria-label', `LFO ${index} rate unit`);
+            unit.append(new Option('Hz', 'hz'), new Option('Breaths', 'bpm'));
+            rateCell.append(rate, rateValue, unit);
+
+            const depthCell = row.insertCell();
+            const depth = document.createElement('input');
+            depth.type = 'range';
+            depth.min = 0;
+            depth.max = 100;
+            depth.dataset.field = 'Depth';
+            depth.setAttribute('aria-label', `LFO ${index} depth`);
+            const depthValue = document.createElement('span');
+            depthValue.className = 'mixer-value';
+            depthCell.append(depth, depthValue);
+
+            destinations.forEach(name => {
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.dataset.route = name;
+                box.setAttribute('aria-label', `LFO ${index} to ${ModulationLayer.DESTINATIONS[name].label}`);
+                row.insertCell().appendChild(box);
+            });
+
+            const voice = document.createElement('select');
+            voice.dataset.route = 'voice';
+            voice.setAttribute('aria-label', `LFO ${index} to a voice level`);
+            voice.appendChild(new Option('None', ''));
+            for (let v = 1; v <= DroneGenerator.MAX_VOICES; v++) voice.appendChild(new Option(String(v), `voice${v}`));
+            row.insertCell().appendChild(voice);
+        }
+
+        const apply = (e) => {
+            const row = e.target.closest('tr[data-lfo]');
+            if (!row) return;
+            const prefix = `mod${row.dataset.lfo}`;
+            const field = e.target.dataset.field;
+
+            if (field === 'Rate') {
+                const t = parseInt(e.target.value) / 1000;
+                const value = MODULATION_RATE_MIN * Math.pow(MODULATION_RATE_MAX / MODULATION_RATE_MIN, t);
+                this.generator.setSettings({ [prefix + field]: value });
+            } else if (field === 'Depth') {
+                this.generator.setSettings({ [prefix + field]: parseInt(e.target.value) / 100 });
+            } else if (field) {
+                this.generator.setSettings({ [prefix + field]: e.target.value });
+            } else if (e.target.dataset.route) {
+                // Routes are read back from the whole row, in column order
+                const routes = Array.from(row.querySelectorAll('input[data-route]'))
+                    .filter(box => box.checked)
+                    .map(box => box.dataset.route);
+                const voice = row.querySelector('select[data-route]').value;
+                if (voice) routes.push(voice);
+                this.generator.setSettings({ [prefix + 'Routes']: routes.join(' ') });
+            }
+        };
+
+        table.addEventListener('input', (e) => {
+            if (e.target.type === 'range') apply(e);
+        });
+        table.addEventListener('change', (e) => {
+            if (e.target.type !== 'range') apply(e);
+        });
+
+        this.updateModulationMatrix();
+    }
+
+    updateModulationMatrix() {
+        const settings = this.generator.settings;
+
+        document.querySelectorAll('#modulationMatrix tr[data-lfo]').forEach(row => {
+            const prefix = `mod${row.dataset.lfo}`;
+            const rate = settings[prefix + 'Rate'];
+            const routes = ModulationLayer.getRoutes(settings[prefix + 'Routes']);
+
+            row.querySelector('[data-field="Shape"]').value = settings[prefix + 'Shape'];
+            row.querySelector('[data-field="Unit"]').value = settings[prefix + 'Unit'];
+
+            const rateSlider = row.querySelector('[data-field="Rate"]');
+            rateSlider.value = Math.round(1000 * Math.log(rate / MODULATION_RATE_MIN) /
+                Math.log(MODULATION_RATE_MAX / MODULATION_RATE_MIN));
+            rateSlider.nextElementSibling.textContent = settings[prefix + 'Unit'] === 'bpm'
+                ? `${(rate * 60).toFixed(1)} / min`
+                : `${rate < 1 ? rate.toFixed(2) : rate.toFixed(1)} Hz`;
+
+            const depth = row.querySelector('[data-field="Depth"]');
+            depth.value = Math.round(settings[prefix + 'Depth'] * 100);
+            depth.nextElementSibling.textContent = depth.value + '%';
+
+            row.querySelectorAll('input[data-route]').forEach(box => {
+                box.checked = routes.includes(box.dataset.route);
+            });
+            row.querySelector('select[data-route]').value = routes.find(name => name.startsWith('voice')) || '';
+        });
+    }
+
+    // Preset morph: a slider that scrubs between presets A and B, and a timed glide to B
+    setupMorph() {
+        const gen = this.generator;
+        const position = document.getElementById('morphPosition');
+        if (!position) return;
+
+        document.getElementById('morphFrom').value = 'meditation';
+        document.getElementById('morphTo').value = 'sleep';
+
+        ['morphFrom', 'morphTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                position.value = 0;
+            });
+        });
+
+        position.addEventListener('input', () => {
+            const from = this.getMorphPreset('morphFrom');
+            const to = this.getMorphPreset('morphTo');
+            const t = parseInt(position.value) / 1000;
+
+            // The ends are the presets themselves; anything between is a custom blend
+            if (t === 0 || t === 1) {
+                gen.applyPreset(t === 0 ? from : to);
+                return;
+            }
+
+            const base = gen.getSettings();
+            const a = Object.assign({}, base, DroneGenerator.resolvePreset(from).settings);
+            const b = Object.assign({}, base, DroneGenerator.resolvePreset(to).settings);
+            gen.setSettings(DroneGenerator.interpolateSettings(a, b, t));
+            gen.currentPreset = null;
+            this.setActivePreset(null);
+        });
+
+        document.getElementById('morphGlide').addEventListener('click', () => {
+            const duration = parseInt(document.getElementById('morphDuration').value);
+            if (gen.isPlaying) {
+                gen.morphTo(this.getMorphPreset('morphTo'), duration);
+            } else {
+                gen.applyPreset(this.getMorphPreset('morphTo'));
+                position.value = 1000;
+                gen.play();
+            }
+        });
+    }
+
+    // Built-in preset names, or the saved preset object for a user preset ID
+    getMorphPreset(selectId) {
+        const value = document.getElementById(selectId).value;
+        return this.presetStore.get(value) || value;
+    }
+
+    renderMorphOptions() {
+        const builtIn = Object.keys(DroneGenerator.PRESETS).map(id => ({ id, label: DroneGenerator.PRESETS[id].label }));
+        const saved = this.presetStore.list().map(p => ({ id: p.id, label: p.name }));
+
+        ['morphFrom', 'morphTo'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = '';
+            [['Built-in', builtIn], ['My Presets', saved]].forEach(([label, presets]) => {
+                if (!presets.length) return;
+
+                const group = document.createElement('optgroup');
+                group.label = label;
+                presets.forEach(preset => group.appendChild(new Option(preset.label, preset.id)));
+                select.appendChild(group);
+            });
+            if (this.presetStore.get(selected) || DroneGenerator.PRESETS[selected]) {
+                select.value = selected;
+            }
+        });
+    }
+
+    updateMorphDisplay(state) {
+        const position = document.getElementById('morphPosition');
+        clearInterval(this.morphInterval);
+        this.morphInterval = null;
+
+        if (!state.active) {
+            if (state.completed && position) position.value = 1000;
+            this.showPresetMessage('');
+            return;
+        }
+
+        this.showPresetMessage(`Gliding to ${state.label}…`);
+        if (!position) return;
+
+        // Walk the slider from where it is to B along with the glide
+        const morph = this.generator.morph;
+        const start = parseInt(position.value);
+        this.morphInterval = setInterval(() => {
+            const t = Math.min(1, (this.generator.audioContext.currentTime - morph.startTime) / morph.duration);
+            position.value = Math.round(start + (1000 - start) * t);
+        }, 250);
+    }
+
+    showPresetMessage(text) {
+        const message = document.getElementById('presetMessage');
+        if (message) message.textContent = text;
+    }
+
+    // Debounced so slider drags write the session once they settle
+    scheduleSessionSave() {
+        clearTimeout(this.sessionSaveTimeout);
+        this.sessionSaveTimeout = setTimeout(() => {
+            this.presetStore.saveSession(this.generator.getSettings(), this.generator.currentPreset);
+            if (this.presetStore.error) this.showPresetMessage(this.presetStore.error);
+        }, 500);
+    }
+
+    /**
+     * Start a drone opened from a link. Browsers usually refuse audio before
+     * the first user gesture, so unless the context is already running this
+     * shows a tap prompt instead of failing silently.
+     * @param {{preset: string|null, timer: number|null, warnings: string[]}} link
+     */
+    startFromLink(link) {
+        const gen = this.generator;
+        this.pendingTimer = link.timer;
+
+        if (link.warnings.length) {
+            this.showPresetMessage('Some link settings were adjusted: ' + link.warnings.join('; '));
+        }
+
+        gen.initAudioContext();
+        if (gen.audioContext.state === 'running') {
+            gen.play();
+            return;
+        }
+
+        const details = [];
+        if (gen.currentPreset) details.push(gen.currentPreset.label);
+        if (link.timer) details.push(`${link.timer} min timer`);
+        this.showTapPrompt(details.join(' · ') || 'Shared settings');
+    }
+
+    showTapPrompt(detail) {
+        const prompt = document.getElementById('tapPrompt');
+        if (!prompt) return;
+
+        document.getElementById('tapPromptDetail').textContent = detail;
+        prompt.hidden = false;
+        this.updateStatus('waiting');
+    }
+
+    hideTapPrompt() {
+        const prompt = document.getElementById('tapPrompt');
+        if (prompt) prompt.hidden = true;
+    }
+
+    updatePlayButton() {
+        const btn = document.getElementById('playButton');
+        if (!btn) return;
+
+        const icon = btn.querySelector('i');
+        const text = btn.querySelector('span');
+
+        if (this.generator.isPlaying) {
+            btn.classList.add('playing');
+            icon.className = 'ri-stop-fill';
+            text.textContent = 'Stop';
+        } else {
+            btn.classList.remove('playing');
+            icon.className = 'ri-play-fill';
+            text.textContent = 'Play';
+        }
+    }
+
+    updateStatus(state) {
+        const badge = document.getElementById('statusBadge');
+        if (!badge) return;
+
+        const text = badge.querySelector('.status-text');
+
+        badge.className = 'status-badge ' + state;
+
+        if (state === 'playing') {
+            if (this.generator.settings.evolution) {
+                text.textContent = 'Evolving';
+            } else {
+                text.textContent = 'Playing';
+            }
+        } else if (state === 'waiting') {
+            text.textContent = 'Tap to begin';
+        } else {
+            text.textContent = 'Ready';
+        }
+    }
+
+    // Highlight a timer button by its data-time minutes or data-session template name
+    setActiveTimer(key) {
+        document.querySelectorAll('.timer-btn').forEach(btn => {
+            btn.classList.toggle('active', String(key) === (btn.dataset.time || btn.dataset.session));
+        });
+    }
+
+    updateTimerDisplay(active, remaining) {
+        const display = document.getElementById('timerDisplay');
+        const value = document.getElementById('timerValue');
+        if (!display || !value) return;
+
+        display.classList.toggle('active', active);
+
+        if (!active) {
+            value.textContent = '--:--';
+            document.querySelectorAll('.timer-btn').forEach(b => b.classList.remove('active'));
+            return;
+        }
+
+        value.textContent = this.formatTime(remaining);
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${rest.toString().padStart(2, '0')}`;
+    }
+
+    updateSessionDisplay(state) {
+        const controls = document.getElementById('sessionControls');
+        if (!controls) return;
+
+        // One-stage sessions are the plain sleep timer and need no stage controls
+        controls.hidden = !state.active || state.stageCount < 2;
+        if (controls.hidden) return;
+
+        document.getElementById('sessionStage').textContent =
+            `${state.label}: ${state.stageLabel} (${state.stage + 1}/${state.stageCount}), ` +
+            `${this.formatTime(state.stageRemaining)} left${state.paused ? ', paused' : ''}`;
+
+        const pause = document.getElementById('sessionPause');
+        pause.querySelector('i').className = state.paused ? 'ri-play-line' : 'ri-pause-line';
+        pause.lastChild.textContent = state.paused ? ' Resume' : ' Pause';
+    }
+
+    // Export
+    setupExport() {
+        document.getElementById('exportMode')?.addEventListener('change', (e) => {
+            const loop = e.target.value === 'loop';
+            document.getElementById('exportDurationField').hidden = loop;
+            document.getElementById('exportLoopField').hidden = !loop;
+        });
+
+        document.getElementById('exportButton')?.addEventListener('click', () => {
+            if (this.exportAbort) {
+                this.exportAbort.abort();
+            } else {
+                this.runExport();
+            }
+        });
+    }
+
+    async runExport() {
+        const button = document.getElementById('exportButton');
+        const label = button.querySelector('span');
+        const status = document.getElementById('exportStatus');
+        const loop = document.getElementById('exportMode').value === 'loop';
+        const duration = parseInt(document.getElementById('exportDuration').value);
+        const loopSeconds = parseInt(document.getElementById('exportLoopLength').value);
+        const bitDepth = parseInt(document.getElementById('exportBitDepth').value);
+
+        this.exportAbort = new AbortController();
+        button.classList.add('busy');
+        label.textContent = 'Cancel';
+        status.textContent = 'Rendering… 0%';
+
+        const options = {
+            bitDepth,
+            signal: this.exportAbort.signal,
+            onProgress: fraction => {
+                status.textContent = `Rendering… ${Math.round(fraction * 100)}%`;
+            }
+        };
+
+        try {
+            const { blob, filename } = loop
+                ? await this.exporter.renderLoop(Object.assign({ loopSeconds }, options))
+                : await this.exporter.renderWav(Object.assign({ duration }, options));
+            DroneExporter.download(blob, filename);
+            status.textContent = `Saved ${filename}`;
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                status.textContent = 'Export cancelled.';
+            } else {
+                status.textContent = 'Export failed: ' + e.message;
+            }
+        } finally {
+            this.exportAbort = null;
+            button.classList.remove('busy');
+            label.textContent = 'Download WAV';
+        }
+    }
+
+    // MIDI
+    setupMidi() {
+        const midi = this.midi;
+        const connect = document.getElementById('midiConnect');
+        if (!connect) return;
+
+        if (!MidiInput.isSupported()) {
+            connect.disabled = true;
+            document.getElementById('midiStatus').textContent = 'This browser has no Web MIDI; try Chrome or Edge.';
+            return;
+        }
+
+        // Every slider-backed setting can be learned
+        const target = document.getElementById('midiLearnTarget');
+        SLIDER_CONTROLS.forEach(control => {
+            const option = document.createElement('option');
+            option.value = control.key;
+            option.textContent = this.getControlLabel(control);
+            target.appendChild(option);
+        });
+
+        connect.addEventListener('click', () => {
+            if (midi.enabled) {
+                midi.disconnect();
+            } else {
+                this.connectMidi();
+            }
+        });
+
+        const hold = document.getElementById('midiHold');
+        hold.checked = midi.hold;
+        hold.addEventListener('change', (e) => {
+            midi.setHold(e.target.checked);
+            this.updateMidiStatus();
+        });
+
+        document.getElementById('midiLearn').addEventListener('click', () => {
+            if (midi.learning) {
+                midi.cancelLearn();
+            } else {
+                midi.learn(target.value);
+            }
+        });
+
+        midi.on('devices', () => this.updateMidiStatus());
+        midi.on('learn', () => this.updateMidiStatus());
+        midi.on('mappings', () => {
+            this.updateMidiMappings();
+            this.updateMidiStatus();
+        });
+
+        this.updateMidiMappings();
+        this.updateMidiStatus();
+
+        // Switched on last visit; the browser remembers the permission, so this doesn't ask again
+        if (midi.enabled) this.connectMidi();
+    }
+
+    async connectMidi() {
+        if (!(await this.midi.connect())) {
+            document.getElementById('midiStatus').textContent = 'MIDI access was not allowed.';
+        }
+    }
+
+    // A slider's label with its section, e.g. "Noise: Level"
+    getControlLabel(control) {
+        const label = document.querySelector(`label[for="${control.input}"]`);
+        const heading = label?.closest('.control-group')?.querySelector('h3');
+        const text = label ? label.textContent.trim() : control.key;
+        return heading ? `${heading.textContent.trim()}: ${text}` : text;
+    }
+
+    updateMidiStatus() {
+        const midi = this.midi;
+        const learn = document.getElementById('midiLearn');
+        const status = document.getElementById('midiStatus');
+
+        document.querySelector('#midiConnect span').textContent = midi.enabled ? 'Disconnect MIDI' : 'Connect MIDI';
+        learn.disabled = !midi.enabled;
+        learn.classList.toggle('learning', Boolean(midi.learning));
+        learn.querySelector('span').textContent = midi.learning ? 'Cancel' : 'Learn';
+
+        const devices = midi.getDevices().filter(device => device.connected);
+        if (midi.learning) {
+            const control = SLIDER_CONTROLS.find(c => c.key === midi.learning);
+            status.textContent = `Move a knob or fader for ${this.getControlLabel(control)}…`;
+        } else if (midi.error) {
+            status.textContent = midi.error;
+        } else if (!midi.enabled) {
+            status.textContent = 'Play roots from a keyboard and map knobs to the sliders.';
+        } else if (devices.length === 0) {
+            status.textContent = 'No MIDI devices found. Plug one in to start.';
+        } else {
+            status.textContent = 'Connected: ' + devices.map(device => device.name).join(', ');
+        }
+    }
+
+    updateMidiMappings() {
+        const list = document.getElementById('midiMappings');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.midi.getMappings().forEach(mapping => {
+            const control = SLIDER_CONTROLS.find(c => c.key === mapping.key);
+
+            const item = document.createElement('li');
+            item.className = 'midi-mapping';
+
+            const text = document.createElement('span');
+            text.textContent = `CC ${mapping.controller}, channel ${mapping.channel + 1} → ` +
+                (control ? this.getControlLabel(control) : mapping.key);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'preset-action';
+            remove.setAttribute('aria-label', 'Remove mapping');
+            const icon = document.createElement('i');
+            icon.className = 'ri-close-line';
+            remove.appendChild(icon);
+            remove.addEventListener('click', () => this.midi.removeMapping(mapping.key));
+
+            item.append(text, remove);
+            list.appendChild(item);
+        });
+    }
+
+    // Remote control
+    setupRemote() {
+        const share = document.getElementById('remoteShare');
+        if (!share) return;
+
+        const transport = document.getElementById('remoteTransport');
+        Array.from(transport.options).forEach(option => {
+            option.disabled = !DroneRemote.TRANSPORTS[option.value].isSupported();
+        });
+        if (transport.selectedOptions[0].disabled) {
+            transport.value = Array.from(transport.options).find(option => !option.disabled)?.value || '';
+        }
+        if (!transport.value) {
+            share.disabled = true;
+            document.getElementById('remoteStatus').textContent = 'This browser can\'t be controlled remotely.';
+            return;
+        }
+
+        transport.addEventListener('change', () => {
+            document.getElementById('remoteRelayField').hidden = transport.value !== 'websocket';
+        });
+
+        share.addEventListener('click', () => {
+            if (this.remoteHost) {
+                this.stopRemote();
+            } else {
+                this.startRemote();
+            }
+        });
+
+        document.getElementById('remoteCopy').addEventListener('click', async () => {
+            const link = document.getElementById('remoteLink').href;
+            try {
+                await navigator.clipboard.writeText(link);
+                document.getElementById('remoteStatus').textContent = 'Remote link copied.';
+            } catch (e) {
+                window.prompt('Remote link:', link);
+            }
+        });
+
+        window.addEventListener('pagehide', () => {
+            if (this.remoteHost) this.stopRemote();
+        });
+    }
+
+    startRemote() {
+        const transportName = document.getElementById('remoteTransport').value;
+        const relay = document.getElementById('remoteRelay').value.trim();
+        const status = document.getElementById('remoteStatus');
+
+        if (transportName === 'websocket' && !/^wss?:\/\//.test(relay)) {
+            status.textContent = 'Enter the relay address, starting ws:// or wss://.';
+            return;
+        }
+
+        // Set up audio now, while there's a click to allow it, so a remote's play is heard
+        this.generator.initAudioContext();
+
+        const room = DroneRemote.createRoomCode();
+        const transport = DroneRemote.createTransport(transportName, { url: relay });
+        const host = new RemoteHost(this.generator, transport, room);
+        host.on('status', () => this.updateRemoteStatus());
+        host.on('clients', () => this.updateRemoteStatus());
+        host.on('error', ({ message }) => {
+            document.getElementById('remoteStatus').textContent = `A remote's change couldn't be applied: ${message}`;
+        });
+        this.remoteHost = host;
+        host.start();
+
+        const link = document.getElementById('remoteLink');
+        link.href = DroneRemote.getRemoteUrl(window.location.href, room, transportName,
+            transportName === 'websocket' ? relay : '');
+        link.textContent = link.href;
+        document.getElementById('remoteLinkRow').hidden = false;
+        document.getElementById('remoteTransport').disabled = true;
+        document.getElementById('remoteRelay').disabled = true;
+        this.updateRemoteStatus();
+    }
+
+    stopRemote() {
+        this.remoteHost.close();
+        this.remoteHost = null;
+
+        document.getElementById('remoteLinkRow').hidden = true;
+        document.getElementById('remoteTransport').disabled = false;
+        document.getElementById('remoteRelay').disabled = false;
+        this.updateRemoteStatus();
+    }
+
+    updateRemoteStatus() {
+        const host = this.remoteHost;
+        const status = document.getElementById('remoteStatus');
+
+        document.querySelector('#remoteShare span').textContent = host ? 'Stop Remote Control' : 'Allow Remote Control';
+
+        if (!host) {
+            status.textContent = 'Run this drone from another tab, or from a phone through a relay.';
+        } else if (host.status !== 'open') {
+            status.textContent = host.status === 'closed'
+                ? 'Could not reach the relay. Check the address.'
+                : 'Connecting to the relay…';
+        } else {
+            const count = host.getClientCount();
+            status.textContent = `Room ${host.room} · ` +
+                (count === 0 ? 'open the link below to control this drone' : `${count} remote${count === 1 ? '' : 's'} connected`);
+        }
+    }
+
+    // Visualization
+    setupCanvas() {
+        this.canvas = document.getElementById('waveformCanvas');
+        if (!this.canvas) return;
+
+        this.canvasCtx = this.canvas.getContext('2d');
+        this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        const modes = document.getElementById('visualModes');
+        Object.entries(DroneVisualizer.MODES).forEach(([name, Visualizer]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'visual-mode-btn';
+            btn.dataset.visual = name;
+            btn.textContent = Visualizer.LABEL;
+            btn.setAttribute('aria-pressed', 'false');
+            btn.addEventListener('click', () => this.setVisualMode(name));
+            modes?.appendChild(btn);
+        });
+
+        window.addEventListener('resize', () => this.resizeCanvas());
+
+        document.getElementById('ambientDisplay')?.addEventListener('click', () => this.toggleAmbientDisplay());
+        document.addEventListener('fullscreenchange', () => {
+            this.setAmbientDisplay(document.fullscreenElement === this.canvas.parentElement);
+        });
+        // Without the Fullscreen API the ambient display is a fixed overlay, left with Escape
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.ambient && !document.fullscreenElement) {
+                this.setAmbientDisplay(false);
+            }
+        });
+
+        // Nothing is drawn while the tab is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseVisualization();
+            } else {
+                this.startVisualization();
+            }
+        });
+
+        this.setVisualMode(this.visualMode);
+    }
+
+    setVisualMode(mode) {
+        const Visualizer = DroneVisualizer.MODES[mode];
+        if (!Visualizer) return;
+
+        if (this.visualizer?.stop) this.visualizer.stop();
+        this.visualMode = mode;
+        this.visualizer = new Visualizer(this.generator);
+
+        document.querySelectorAll('.visual-mode-btn').forEach(btn => {
+            const active = btn.dataset.visual === mode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+        });
+
+        const title = document.getElementById('visualTitle');
+        if (title) title.textContent = Visualizer.LABEL;
+
+        const help = document.getElementById('spectrumHelp');
+        if (help) help.hidden = mode !== 'spectrum';
+
+        this.updateAnalyser();
+        this.resizeCanvas();
+    }
+
+    // Each mode reads the analyser at its own size: the spectrum needs bins a few Hz wide
+    // to resolve low partials, the waveform a short window
+    updateAnalyser() {
+        const analyser = this.generator.analyser;
+        const size = DroneVisualizer.MODES[this.visualMode].FFT_SIZE;
+        if (analyser && size) {
+            analyser.fftSize = size;
+        }
+    }
+
+    toggleAmbientDisplay() {
+        const container = this.canvas.parentElement;
+
+        if (this.ambient) {
+            if (document.fullscreenElement) {
+                document.exitFullscreen();
+            } else {
+                this.setAmbientDisplay(false);
+            }
+        } else if (container.requestFullscreen) {
+            container.requestFullscreen().catch(() => this.setAmbientDisplay(true));
+        } else {
+            this.setAmbientDisplay(true);
+        }
+    }
+
+    // The display alone, filling the screen
+    setAmbientDisplay(ambient) {
+        this.ambient = ambient;
+        this.canvas.parentElement.classList.toggle('ambient', ambient);
+
+        const button = document.getElementById('ambientDisplay');
+        if (button) {
+            button.setAttribute('aria-pressed', String(ambient));
+            button.querySelector('i').className = ambient ? 'ri-fullscreen-exit-line' : 'ri-fullscreen-line';
+        }
+
+        this.resizeCanvas();
+    }
+
+    resizeCanvas() {
+        if (!this.canvas) return;
+
+        const container = this.canvas.parentElement;
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.ambient ? window.innerWidth : container.clientWidth;
+        const height = this.ambient ? window.innerHeight : DroneVisualizer.MODES[this.visualMode].HEIGHT;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+
+        this.canvasCtx.scale(dpr, dpr);
+        if (this.visualizer.resize) this.visualizer.resize();
+
+        if (!this.generator.isPlaying) {
+            this.drawIdleFrame();
+        }
+    }
+
+    getFrame(now) {
+        const dpr = window.devicePixelRatio || 1;
+        return {
+            width: this.canvas.width / dpr,
+            height: this.canvas.height / dpr,
+            time: now / 1000,
+            reducedMotion: Boolean(this.reducedMotion?.matches)
+        };
+    }
+
+    drawIdleFrame() {
+        if (!this.canvasCtx || !this.visualizer) return;
+
+        const frame = this.getFrame(performance.now());
+        if (this.visualizer.drawIdle) {
+            this.visualizer.drawIdle(this.canvasCtx, frame);
+        } else {
+            DroneVisualizer.clear(this.canvasCtx, frame);
+        }
+    }
+
+    startVisualization() {
+        const analyser = this.generator.analyser;
+        if (!analyser || !this.visualizer || !this.generator.isPlaying || document.hidden) return;
+
+        this.pauseVisualization();
+        this.updateAnalyser();
+
+        const draw = (now) => {
+            if (!this.generator.isPlaying) return;
+
+            this.animationId = requestAnimationFrame(draw);
+
+            if (this.reducedMotion?.matches && now - this.lastFrameTime < REDUCED_MOTION_FRAME_MS) return;
+            this.lastFrameTime = now;
+
+            this.visualizer.draw(this.canvasCtx, this.getFrame(now));
+        };
+
+        draw(performance.now());
+    }
+
+    pauseVisualization() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    stopVisualization() {
+        this.pauseVisualization();
+        this.drawIdleFrame();
+    }
+
+    setupEventListeners() {
+        const gen = this.generator;
+
+        // Play button
+        document.getElementById('playButton')?.addEventListener('click', () => {
+            gen.toggle();
+        });
+
+        // Shown instead of autoplay when a link opens the page
+        document.getElementById('tapPrompt')?.addEventListener('click', () => {
+            gen.play();
+        });
+
+        // Built-in preset buttons (user presets are rendered later and use delegation)
+        document.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                gen.applyPreset(btn.dataset.preset);
+                if (!gen.isPlaying) {
+                    gen.play();
+                }
+            });
+        });
+
+        // Selectors
+        Object.keys(SELECT_CONTROLS).forEach(key => {
+            document.getElementById(SELECT_CONTROLS[key])?.addEventListener('change', (e) => {
+                gen.setSettings({ [key]: e.target.value });
+            });
+        });
+
+        // Toggles
+        Object.keys(CHECKBOX_CONTROLS).forEach(key => {
+            document.getElementById(CHECKBOX_CONTROLS[key])?.addEventListener('change', (e) => {
+                gen.setSettings({ [key]: e.target.checked });
+            });
+        });
+
+        // A room comes with its own decay, damping and pre-delay, which the sliders then fine-tune
+        document.getElementById('reverbRoom')?.addEventListener('change', (e) => {
+            const room = ConvolutionReverb.ROOMS[e.target.value];
+            if (room) gen.setSettings(Object.assign({ reverbRoom: e.target.value }, room.defaults));
+        });
+
+        // Binaural band shortcuts; "custom" leaves the beat slider in charge
+        document.getElementById('binauralBand')?.addEventListener('change', (e) => {
+            const beat = BinauralLayer.BANDS[e.target.value];
+            if (beat) gen.setSettings({ binauralBeat: beat });
+        });
+
+        // Breathing patterns set the four timings; "custom" leaves the sliders in charge
+        document.getElementById('breathPattern')?.addEventListener('change', (e) => {
+            const timings = BreathLayer.PATTERNS[e.target.value];
+            if (timings) {
+                const [breathInhale, breathHoldIn, breathExhale, breathHoldOut] = timings;
+                gen.setSettings({ breathInhale, breathHoldIn, breathExhale, breathHoldOut });
+            }
+        });
+
+        // Switching the guide on brings it up on the display
+        document.getElementById('breathToggle')?.addEventListener('change', (e) => {
+            if (e.target.checked) this.setVisualMode('breath');
+        });
+
+        // Noise styles switch the layer on with a ready-made sound
+        document.querySelectorAll('.layer-btn[data-noise-style]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                gen.setSettings(NoiseLayer.STYLES[btn.dataset.noiseStyle]);
+            });
+        });
+
+        // Seeds: each soundscape seed renders its own variation of the scene, each
+        // evolution seed its own drift
+        [['soundscapeSeed', 'soundscapeReseed'], ['evolutionSeed', 'evolutionReseed']].forEach(([key, reseed]) => {
+            document.getElementById(key)?.addEventListener('change', (e) => {
+                const seed = parseInt(e.target.value);
+                if (seed > 0) {
+                    gen.setSettings({ [key]: Math.min(seed, SeededRandom.MAX_SEED) });
+                } else {
+                    e.target.value = gen.settings[key];
+                }
+            });
+
+            document.getElementById(reseed)?.addEventListener('click', () => {
+                gen.setSettings({ [key]: SeededRandom.randomSeed() });
+            });
+        });
+
+        // Typing a frequency switches the root or the tuning over to it
+        [['rootFrequency', 'rootNote'], ['a4Reference', 'tuning']].forEach(([key, choice]) => {
+            document.getElementById(key)?.addEventListener('change', (e) => {
+                const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+                const value = parseFloat(e.target.value);
+                if (value >= rule.min && value <= rule.max) {
+                    gen.setSettings({ [choice]: 'custom', [key]: value });
+                } else {
+                    e.target.value = gen.settings[key];
+                }
+            });
+        });
+
+        // Scala files are checked here so a bad file explains itself instead of being ignored
+        document.getElementById('scalaScaleFile')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                TuningScale.parseScale(text);
+                // A mapping written for another scale may not fit this one
+                let mapping = gen.settings.scalaMapping;
+                if (DroneGenerator.checkTuningFile(() => mapping && TuningScale.fromScala(text, mapping))) {
+                    mapping = '';
+                }
+                gen.setSettings({ temperament: 'scala', scalaScale: text, scalaMapping: mapping });
+            } catch (err) {
+                this.showScalaError(`${file.name}: ${err.message}`);
+            }
+        });
+
+        document.getElementById('scalaMappingFile')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            if (!gen.settings.scalaScale) {
+                this.showScalaError('Load a scale (.scl) before its keyboard mapping.');
+                return;
+            }
+            try {
+                const text = await file.text();
+                TuningScale.fromScala(gen.settings.scalaScale, text);
+                gen.setSettings({ temperament: 'scala', scalaMapping: text });
+            } catch (err) {
+                this.showScalaError(`${file.name}: ${err.message}`);
+            }
+        });
+
+        document.getElementById('scalaClearMapping')?.addEventListener('click', () => {
+            gen.setSettings({ scalaMapping: '' });
+        });
+
+        // Sliders
+        SLIDER_CONTROLS.forEach(control => {
+            document.getElementById(control.input)?.addEventListener('input', (e) => {
+                gen.setSettings({ [control.key]: parseInt(e.target.value) / control.scale });
+            });
+        });
+
+        // Timer controls
+        document.querySelectorAll('.timer-btn[data-time]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const minutes = parseInt(btn.dataset.time);
+
+                if (minutes === 0) {
+                    gen.stopTimer();
+                } else {
+                    gen.startTimer(minutes);
+                    this.setActiveTimer(minutes);
+                    if (!gen.isPlaying) {
+                        gen.play();
+                    }
+                }
+            });
+        });
+
+        // Guided sessions
+        document.querySelectorAll('.timer-btn[data-session]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                gen.startSession(DroneSession.TEMPLATES[btn.dataset.session]);
+                this.setActiveTimer(btn.dataset.session);
+                if (!gen.isPlaying) {
+                    gen.play();
+                }
+            });
+        });
+
+        document.getElementById('sessionPause')?.addEventListener('click', () => {
+            const session = gen.session;
+            if (!session) return;
+
+            if (session.pausedAt !== null) {
+                session.resume();
+            } else {
+                session.pause();
+            }
+        });
+
+        document.getElementById('sessionSkip')?.addEventListener('click', () => gen.session?.skip());
+        document.getElementById('sessionExtend')?.addEventListener('click', () => gen.session?.extend(5));
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+            if (e.code === 'Space') {
+                e.preventDefault();
+                gen.toggle();
+            }
+        });
+    }
+}
+
+// Initialize when DOM is ready. Settings from the URL win over the restored session.
+document.addEventListener('DOMContentLoaded', () => {
+    const presetStore = new PresetStore();
+    const session = presetStore.loadSession();
+    const link = UrlState.parse(window.location);
+
+    const settings = Object.assign({}, session ? session.settings : {}, link.settings);
+    window.droneGenerator = new DroneGenerator({ settings });
+
+    if (link.preset || link.custom) {
+        // Fragment settings layered over a preset no longer match it
+        window.droneGenerator.currentPreset = link.preset && !link.custom
+            ? { id: link.preset, label: DroneGenerator.PRESETS[link.preset].label }
+            : null;
+    } else if (session && session.preset) {
+        window.droneGenerator.currentPreset = session.preset;
+    }
+
+    window.droneController = new DroneController(window.droneGenerator, presetStore);
+
+    if (link.hasState) {
+        window.droneController.startFromLink(link);
+    }
+});
@@ -2,22 +2,59 @@
  * Drone Generator - Web Audio API Implementation
  * Generates ambient drone sounds using multiple layered oscillators
  * Features: Multiple drone types, tuning systems, evolution mode, and presets
+ *
+ * DroneGenerator is a headless audio engine: it never touches the DOM and
+ * runs against any BaseAudioContext, including an OfflineAudioContext.
+ * All state lives in a single `settings` object; every change is announced
+ * through `on('change', ...)`. See drone-ui.js for the page controller.
+ *
+ * Optional sound layers (binaural.js, ...) register themselves with
+ * DroneGenerator.registerLayer(). Each gets an instance per audio graph, so
+ * offline exports include them, and owns its own flat settings keys.
  */
 
 class DroneGenerator {
-    constructor() {
-        this.audioContext = null;
+    /**
+     * @param {Object} [options]
+     * @param {BaseAudioContext} [options.audioContext] - Context to build the graph in.
+     *     A realtime AudioContext is created on first play when omitted.
+     * @param {AudioNode} [options.destination] - Output node, defaults to the context destination
+     * @param {Object} [options.settings] - Initial settings, merged over the defaults
+     * @param {number} [options.timeOffset=0] - Seconds of a longer render that come
+     *     before context time 0, so rhythmic layers stay in step across export chunks
+     */
+    constructor(options = {}) {
+        this.audioContext = options.audioContext || null;
+        this.destination = options.destination || null;
+        this.timeOffset = options.timeOffset || 0;
         this.masterGain = null;
         this.analyser = null;
 
+        // Every voice feeds the voice bus, which feeds the filter. Layers can
+        // modulate its gain (see isochronic.js).
+        this.voiceBus = null;
+
+        // Mid/side stage after the voice bus; its side gain is the stereo width
+        this.stereoWidth = null;
+
+        // Inputs that modulation sources connect to, by destination name (see modulation.js)
+        this.modulationTargets = {};
+        this.modulationGain = null;
+        this.detuneModulation = null;
+        this.detuneModulationInverted = null;
+
+        // Harmonic emphasis: a peaking filter swept across the root's partials
+        this.emphasisFilter = null;
+        this.emphasisLfo = null;
+        this.emphasisDepth = null;
+
         // Filter
         this.lowpassFilter = null;
 
-        // Reverb (using delay-based reverb)
+        // Reverb: a convolver loaded with generated room impulses (see reverb.js)
+        this.reverb = null;
         this.reverbGain = null;
         this.dryGain = null;
-        this.delays = [];
-        this.feedbacks = [];
 
         // LFO for modulation
         this.lfo = null;
@@ -26,6 +63,13 @@ class DroneGenerator {
         // Oscillator groups for each voice
         this.voices = [];
 
+        // PeriodicWave of the additive spectrum, rebuilt when the partials change
+        this.partialWave = null;
+        this.partialWaveText = null;
+
+        // Registered layer instances by name, built with the audio graph
+        this.layers = {};
+
         // Tuning systems
         this.tunings = {
             'standard': 440,      // A4 = 440 Hz (modern standard)
@@ -47,84 +91,249 @@ class DroneGenerator {
             '963': 963     // Higher consciousness
         };
 
-        // Current tuning reference
-        this.currentTuning = 'standard';
+        // Settings
+        this.settings = Object.assign({}, DroneGenerator.DEFAULT_SETTINGS, options.settings);
 
         // Base note frequencies calculated from A4 reference
-        this.noteFrequencies = this.calculateNoteFrequencies(440);
+        this.noteFrequencies = this.calculateNoteFrequencies(this.getA4Reference());
+
+        // Scale that chord tones are drawn from (see tuning.js), rebuilt when the temperament changes
+        this.tuningScale = null;
+        this.tuningScaleKey = null;
 
         this.isPlaying = false;
-        this.timerInterval = null;
-        this.timerRemaining = 0;
+        // Pending teardown of the voices a stop() faded out
+        this.stopTimeout = null;
+
+        // Running DroneSession, if any (the sleep timer is a one-stage session)
+        this.session = null;
 
-        // Evolution mode
-        this.evolutionEnabled = false;
-        this.evolutionSpeed = 'medium';
+        // Evolution mode: a constant source per drifting param, summed onto its set
+        // value, with steps scheduled ahead on the audio clock
+        this.evolutionSources = {};
         this.evolutionInterval = null;
-        this.evolutionTargets = {};
+        this.evolutionStep = 0;
 
-        // Settings
-        this.settings = {
-            rootNote: 'C3',
-            droneType: 'fifth',
-            osc1Level: 0.7,
-            osc2Level: 0.3,
-            osc3Level: 0,
-            detune: 5,
-            volume: 0.5,
-            fadeTime: 5,
-            filterFreq: 2000,
-            filterRes: 1,
-            reverbAmount: 0.3,
-            lfoRate: 0.1,
-            lfoDepth: 0.1,
-            tuning: 'standard',
-            evolution: false,
-            evolutionSpeed: 'medium'
-        };
+        // Context time of the last play(), which the evolution walk counts from
+        this.playTime = 0;
+
+        // { id, label } of the last preset applied through applyPreset() or morphTo()
+        this.currentPreset = null;
+
+        // Morph in progress: { from, to, startTime, duration, timeout }
+        this.morph = null;
+
+        // Change events: listeners by type, plus batching for setSettings()
+        this.listeners = {};
+        this.batchDepth = 0;
+        this.pendingChanges = null;
+        this.rebuildPending = false;
+    }
+
+    // Events
+
+    /**
+     * Subscribe to an engine event: 'change', 'play', 'stop', 'preset', 'morph', 'timer'
+     * or 'session'.
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                // Rethrown on its own, as the DOM does for event listeners, so the rest still run
+                setTimeout(() => {
+                    throw e;
+                });
+            }
+        });
+    }
+
+    notifyChange(changes) {
+        this.pendingChanges = Object.assign(this.pendingChanges || {}, changes);
+        if (this.batchDepth === 0) {
+            this.flushChanges();
+        }
+    }
 
-        // Visualization
-        this.canvas = null;
-        this.canvasCtx = null;
-        this.animationId = null;
+    flushChanges() {
+        if (this.rebuildPending) {
+            this.rebuildPending = false;
+            this.recreateVoices();
+        }
+
+        if (!this.pendingChanges) return;
+
+        const changes = this.pendingChanges;
+        this.pendingChanges = null;
+        this.emit('change', { changes, settings: this.getSettings() });
+    }
+
+    // Voices are rebuilt once per batch, however many structural settings changed
+    requestVoiceRebuild() {
+        if (!this.isPlaying) return;
+
+        this.rebuildPending = true;
+        if (this.batchDepth === 0) {
+            this.flushChanges();
+        }
+    }
+
+    getSettings() {
+        return Object.assign({}, this.settings);
+    }
+
+    /**
+     * Apply several settings at once. Unknown keys and unchanged values are
+     * ignored; voices are rebuilt at most once and a single 'change' event is emitted.
+     */
+    setSettings(patch) {
+        // A direct change takes over from any morph in progress
+        this.cancelMorph();
+
+        this.batchDepth++;
+        try {
+            Object.keys(patch)
+                .filter(key => patch[key] !== this.settings[key])
+                .forEach(key => this.applySetting(key, patch[key]));
+        } finally {
+            this.batchDepth--;
+        }
+
+        if (this.batchDepth === 0) {
+            this.flushChanges();
+        }
+    }
+
+    applySetting(key, value) {
+        switch (key) {
+            case 'rootNote': return this.setRootNote(value);
+            case 'rootFrequency': return this.setRootFrequency(value);
+            case 'droneType': return this.setDroneType(value);
+            case 'customChord': return this.setCustomChord(value);
+            case 'osc1Level': return this.setOscLevel(1, value);
+            case 'osc2Level': return this.setOscLevel(2, value);
+            case 'osc3Level': return this.setOscLevel(3, value);
+            case 'detune': return this.setDetune(value);
+            case 'volume': return this.setMasterVolume(value);
+            case 'fadeTime': return this.setFadeTime(value);
+            case 'filterFreq': return this.setFilterFreq(value);
+            case 'filterRes': return this.setFilterRes(value);
+            case 'reverbAmount': return this.setReverbAmount(value);
+            case 'reverbRoom': return this.setReverbShape('reverbRoom', value);
+            case 'reverbDecay': return this.setReverbShape('reverbDecay', value);
+            case 'reverbDamping': return this.setReverbShape('reverbDamping', value);
+            case 'reverbPreDelay': return this.setReverbShape('reverbPreDelay', value);
+            case 'lfoRate': return this.setLfoRate(value);
+            case 'lfoDepth': return this.setLfoDepth(value);
+            case 'tuning': return this.setTuning(value);
+            case 'a4Reference': return this.setA4Reference(value);
+            case 'justIntonation': return this.setJustIntonation(value);
+            case 'temperament': return this.setTemperament('temperament', value);
+            case 'scalaScale': return this.setTemperament('scalaScale', value);
+            case 'scalaMapping': return this.setTemperament('scalaMapping', value);
+            case 'evolution': return this.setEvolution(value);
+            case 'evolutionSpeed': return this.setEvolutionSpeed(value);
+            case 'timbre': return this.setTimbre(value);
+            case 'partials': return this.setPartials(value);
+            case 'harmonicEmphasis': return this.setHarmonicEmphasis(value);
+            case 'emphasisRate': return this.setEmphasisRate(value);
+            default:
+                if (DroneGenerator.VOICE_MIX_KEYS.includes(key)) return this.setVoiceMix(key, value);
+                if (DroneGenerator.EVOLUTION_KEYS.includes(key)) return this.setEvolutionSetting(key, value);
+                return this.setLayerSetting(key, value);
+        }
+    }
+
+    // Layers follow their own settings through 'change' events
+    setLayerSetting(key, value) {
+        if (!(key in DroneGenerator.SETTINGS_SCHEMA)) return;
 
-        this.init();
+        this.settings[key] = value;
+        this.notifyChange({ [key]: value });
+    }
+
+    /**
+     * Move a layer's AudioParam to a new value: along with the morph of a
+     * 'change' event when given one, otherwise within a fraction of a second.
+     * @param {AudioParam} param
+     * @param {number} value
+     * @param {{startTime: number, duration: number}} [morph]
+     */
+    moveParam(param, value, morph) {
+        const now = this.audioContext.currentTime;
+
+        if (morph) {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            param.linearRampToValueAtTime(value, morph.startTime + morph.duration);
+        } else {
+            param.setTargetAtTime(value, now, 0.1);
+        }
+    }
+
+    // Freeze params where they are, e.g. when a morph is cancelled
+    holdParams(params) {
+        const now = this.audioContext.currentTime;
+        params.forEach(param => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+        });
     }
 
     calculateNoteFrequencies(a4Reference) {
-        // Calculate all note frequencies based on A4 reference
+        // Calculate every chromatic note from C0 to B8 based on A4 reference
         const notes = {};
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
         // A4 is the 49th key on a piano, middle C (C4) is key 40
         // Formula: freq = a4Reference * 2^((n-49)/12) where n is the piano key number
 
-        for (let octave = 1; octave <= 5; octave++) {
-            noteNames.forEach((note, index) => {
+        for (let octave = DroneGenerator.MIN_OCTAVE; octave <= DroneGenerator.MAX_OCTAVE; octave++) {
+            DroneGenerator.NOTE_NAMES.forEach((note, index) => {
                 // Calculate semitones from A4
                 const semitones = (octave - 4) * 12 + (index - 9); // -9 because A is at index 9
-                const freq = a4Reference * Math.pow(2, semitones / 12);
-                const noteName = note + octave;
-
-                // Only include notes we want
-                if (octave >= 2 && octave <= 4 && !note.includes('#')) {
-                    notes[noteName] = freq;
-                }
+                notes[note + octave] = a4Reference * Math.pow(2, semitones / 12);
             });
         }
 
         return notes;
     }
 
-    init() {
-        this.setupEventListeners();
-        this.setupCanvas();
+    // A named tuning's reference pitch, or the custom one
+    getA4Reference() {
+        return this.settings.tuning === 'custom'
+            ? this.settings.a4Reference
+            : this.tunings[this.settings.tuning] || 440;
+    }
+
+    isOffline() {
+        return typeof OfflineAudioContext !== 'undefined' &&
+            this.audioContext instanceof OfflineAudioContext;
     }
 
     initAudioContext() {
-        if (this.audioContext) return;
+        if (this.masterGain) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new (globalThis.AudioContext || globalThis.webkitAudioContext)();
+        }
 
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.voiceBus = this.audioContext.createGain();
+        const widthOutput = this.createStereoWidth();
+        this.createEmphasis();
 
         // Create lowpass filter
         this.lowpassFilter = this.audioContext.createBiquadFilter();
@@ -133,22 +342,22 @@ class DroneGenerator {
         this.lowpassFilter.Q.value = this.settings.filterRes;
 
         // Create LFO for modulation
-        this.lfo = this.audioContext.createOscillator();
-        this.lfo.type = 'sine';
-        this.lfo.frequency.value = this.settings.lfoRate;
+        this.lfo = this.createPhasedSine(this.settings.lfoRate);
 
         this.lfoGain = this.audioContext.createGain();
-        this.lfoGain.gain.value = this.settings.lfoDepth * 10;
+        this.lfoGain.gain.value = this.getLfoDepthHz(this.settings.lfoDepth);
 
         this.lfo.connect(this.lfoGain);
         this.lfoGain.connect(this.lowpassFilter.frequency);
         this.lfo.start();
 
-        // Create master gain
+        // Create master gain. Fades and the volume setting move it; modulation
+        // moves the gain after it, so the two never fight over one param.
         this.masterGain = this.audioContext.createGain();
         this.masterGain.gain.value = 0;
+        this.modulationGain = this.audioContext.createGain();
 
-        // Create reverb using multiple delays
+        // Create convolution reverb
         this.createReverb();
 
         // Create analyser for visualization
@@ -156,14 +365,171 @@ class DroneGenerator {
         this.analyser.fftSize = 2048;
 
         // Signal chain
+        this.voiceBus.connect(widthOutput.input);
+        widthOutput.output.connect(this.emphasisFilter);
+        this.emphasisFilter.connect(this.lowpassFilter);
         this.lowpassFilter.connect(this.dryGain);
-        this.lowpassFilter.connect(this.delays[0]);
+        this.lowpassFilter.connect(this.reverb.input);
+        this.reverb.output.connect(this.reverbGain);
 
         this.dryGain.connect(this.masterGain);
         this.reverbGain.connect(this.masterGain);
 
-        this.masterGain.connect(this.analyser);
-        this.analyser.connect(this.audioContext.destination);
+        this.masterGain.connect(this.modulationGain);
+        this.modulationGain.connect(this.analyser);
+        this.createModulationTargets();
+        this.createEvolution();
+        this.analyser.connect(this.destination || this.audioContext.destination);
+
+        Object.keys(DroneGenerator.LAYERS).forEach(name => {
+            this.layers[name] = new DroneGenerator.LAYERS[name](this);
+        });
+    }
+
+    /**
+     * Mid/side width: the side signal is scaled by stereoWidth.gain, 1 leaving
+     * the voices as panned, 0 folding them to mono.
+     * @returns {{input: AudioNode, output: AudioNode}}
+     */
+    createStereoWidth() {
+        const ctx = this.audioContext;
+        const splitter = ctx.createChannelSplitter(2);
+        const merger = ctx.createChannelMerger(2);
+
+        const mid = ctx.createGain();
+        mid.gain.value = 0.5;
+        const side = ctx.createGain();
+        side.gain.value = 0.5;
+        const invertRight = ctx.createGain();
+        invertRight.gain.value = -1;
+        const invertSide = ctx.createGain();
+        invertSide.gain.value = -1;
+
+        this.stereoWidth = ctx.createGain();
+
+        // mid = (L + R) / 2, side = (L - R) / 2; L = mid + side, R = mid - side
+        splitter.connect(mid, 0);
+        splitter.connect(mid, 1);
+        splitter.connect(side, 0);
+        splitter.connect(invertRight, 1);
+        invertRight.connect(side);
+        side.connect(this.stereoWidth);
+        this.stereoWidth.connect(invertSide);
+
+        mid.connect(merger, 0, 0);
+        this.stereoWidth.connect(merger, 0, 0);
+        mid.connect(merger, 0, 1);
+        invertSide.connect(merger, 0, 1);
+
+        return { input: splitter, output: merger };
+    }
+
+    // Every destination is an input that sums into its params around their set
+    // values. Detune and voice levels are buses the voices connect to as they're built.
+    createModulationTargets() {
+        const ctx = this.audioContext;
+
+        // Reverb mix moves the wet level one way and the dry the other
+        const reverbMix = ctx.createGain();
+        const invertReverb = ctx.createGain();
+        invertReverb.gain.value = -1;
+        reverbMix.connect(this.reverbGain.gain);
+        reverbMix.connect(invertReverb);
+        invertReverb.connect(this.dryGain.gain);
+
+        // In cents, spreading the pairs like the detune setting does
+        this.detuneModulation = ctx.createGain();
+        this.detuneModulationInverted = ctx.createGain();
+        this.detuneModulationInverted.gain.value = -1;
+        this.detuneModulation.connect(this.detuneModulationInverted);
+
+        this.modulationTargets = {
+            volume: this.modulationGain.gain,
+            cutoff: this.lowpassFilter.detune,
+            resonance: this.lowpassFilter.Q,
+            width: this.stereoWidth.gain,
+            detune: this.detuneModulation,
+            reverb: reverbMix
+        };
+        for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+            this.modulationTargets[`voice${voice}`] = ctx.createGain();
+        }
+    }
+
+    // Evolution offsets: cents on the cutoff, Hz on the LFO depth, cents on the detune
+    // spread, a share of the reverb mix, dB on the emphasis peak and a level factor per voice
+    createEvolution() {
+        const ctx = this.audioContext;
+        const inputs = {
+            filterFreq: this.lowpassFilter.detune,
+            lfoDepth: this.lfoGain.gain,
+            detune: this.detuneModulation,
+            reverbAmount: this.modulationTargets.reverb,
+            harmonicEmphasis: this.emphasisFilter.gain
+        };
+        for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+            inputs[`voice${voice}`] = this.modulationTargets[`voice${voice}`];
+        }
+
+        Object.keys(inputs).forEach(name => {
+            const source = ctx.createConstantSource();
+            source.offset.value = 0;
+            source.connect(inputs[name]);
+            source.start();
+            this.evolutionSources[name] = source;
+        });
+    }
+
+    // The filter sits on the root and its LFO sweeps the detune across partials
+    // 2 to EMPHASIS_PARTIALS; with no emphasis the peak is flat and passes everything
+    createEmphasis() {
+        const ctx = this.audioContext;
+        const span = 1200 * Math.log2(DroneGenerator.EMPHASIS_PARTIALS / 2) / 2;
+
+        this.emphasisFilter = ctx.createBiquadFilter();
+        this.emphasisFilter.type = 'peaking';
+        this.emphasisFilter.Q.value = DroneGenerator.EMPHASIS_Q;
+        this.emphasisFilter.frequency.value = this.getRootFrequency();
+        this.emphasisFilter.detune.value = 1200 + span;
+        this.emphasisFilter.gain.value = this.getEmphasisGain(this.settings.harmonicEmphasis);
+
+        this.emphasisLfo = this.createPhasedSine(this.settings.emphasisRate);
+
+        this.emphasisDepth = ctx.createGain();
+        this.emphasisDepth.gain.value = span;
+
+        this.emphasisLfo.connect(this.emphasisDepth);
+        this.emphasisDepth.connect(this.emphasisFilter.detune);
+        this.emphasisLfo.start();
+    }
+
+    /**
+     * A sine oscillator, not yet started, at the phase a longer render would
+     * have reached by now, so the overlap of neighboring export chunks matches.
+     * @param {number} frequency - Hz
+     * @returns {OscillatorNode}
+     */
+    createPhasedSine(frequency) {
+        const ctx = this.audioContext;
+        const phase = this.getPhase(frequency);
+        const osc = ctx.createOscillator();
+        osc.setPeriodicWave(ctx.createPeriodicWave(
+            new Float32Array([0, Math.sin(phase)]),
+            new Float32Array([0, Math.cos(phase)]),
+            { disableNormalization: true }
+        ));
+        osc.frequency.value = frequency;
+        return osc;
+    }
+
+    // Radians a wave of this frequency has turned through since the start of the render
+    getPhase(frequency) {
+        const cycles = frequency * (this.audioContext.currentTime + this.timeOffset);
+        return 2 * Math.PI * (cycles - Math.floor(cycles));
+    }
+
+    getEmphasisGain(amount) {
+        return amount * DroneGenerator.EMPHASIS_GAIN;
     }
 
     createReverb() {
@@ -173,150 +539,205 @@ class DroneGenerator {
         this.reverbGain = this.audioContext.createGain();
         this.reverbGain.gain.value = this.settings.reverbAmount;
 
-        const delayTimes = [0.03, 0.05, 0.07, 0.11, 0.13];
-        const feedbackAmounts = [0.5, 0.4, 0.35, 0.3, 0.25];
+        this.reverb = new ConvolutionReverb(this.audioContext, this.settings);
+    }
 
-        let lastNode = null;
+    getRootFrequency() {
+        // Check if using Solfeggio frequency
+        if (this.settings.rootNote.startsWith('solfeggio_')) {
+            const freqKey = this.settings.rootNote.replace('solfeggio_', '');
+            return this.solfeggioFrequencies[freqKey];
+        }
+        if (this.settings.rootNote === 'custom') {
+            return this.settings.rootFrequency;
+        }
 
-        for (let i = 0; i < delayTimes.length; i++) {
-            const delay = this.audioContext.createDelay();
-            delay.delayTime.value = delayTimes[i];
+        // A keyboard mapping pins its own reference frequency
+        const scale = this.getTuningScale();
+        const key = this.getRootKey();
+        if (scale.mapping && scale.getKeyFrequency(key) !== null) {
+            return scale.getKeyFrequency(key);
+        }
 
-            const feedback = this.audioContext.createGain();
-            feedback.gain.value = feedbackAmounts[i];
+        // Keyboard temperaments keep A4 at the reference pitch and lay the other keys out around it
+        if (scale.fixed) {
+            const cents = scale.getCents(key - DroneGenerator.MIDDLE_C) - scale.getCents(9);
+            return this.noteFrequencies.A4 * Math.pow(2, cents / 1200);
+        }
 
-            delay.connect(feedback);
-            feedback.connect(delay);
-            delay.connect(this.reverbGain);
+        return this.noteFrequencies[this.settings.rootNote];
+    }
 
-            this.delays.push(delay);
-            this.feedbacks.push(feedback);
+    // MIDI key of a note-name root, or null for a Solfeggio or custom root
+    getRootKey() {
+        const match = /^([A-G]#?)(\d)$/.exec(this.settings.rootNote);
+        if (!match) return null;
+        return 12 * (Number(match[2]) + 1) + DroneGenerator.NOTE_NAMES.indexOf(match[1]);
+    }
 
-            if (lastNode) {
-                lastNode.connect(delay);
-            }
-            lastNode = delay;
-        }
+    // The root shifted by octaves into [min, max), for layer tones that track it
+    getRootFrequencyInRange(min, max) {
+        let freq = this.getRootFrequency();
+        while (freq < min) freq *= 2;
+        while (freq >= max) freq /= 2;
+        return freq;
     }
 
     createVoices() {
         this.stopVoices();
-        this.voices = [];
+        this.voices = this.buildVoices();
+        this.emphasisFilter.frequency.value = this.getRootFrequency();
+    }
 
-        let rootFreq;
+    buildVoices() {
+        const frequencies = this.getVoiceFrequencies();
+        return frequencies.map((freq, index) => this.createVoice(freq, index, frequencies.length));
+    }
 
-        // Check if using Solfeggio frequency
-        if (this.settings.rootNote.startsWith('solfeggio_')) {
-            const freqKey = this.settings.rootNote.replace('solfeggio_', '');
-            rootFreq = this.solfeggioFrequencies[freqKey];
-        } else {
-            rootFreq = this.noteFrequencies[this.settings.rootNote];
+    // Chord tones with each voice's mixer octave applied
+    getVoiceFrequencies() {
+        return this.getDroneFrequencies(this.getRootFrequency())
+            .map((freq, index) => freq * Math.pow(2, this.settings[`voice${index + 1}Octave`]));
+    }
+
+    getDroneFrequencies(rootFreq) {
+        if (this.settings.droneType === 'custom') {
+            return this.getCustomChord().map(voice => rootFreq * this.getVoiceRatio(voice));
         }
 
-        const frequencies = this.getDroneFrequencies(rootFreq);
+        const intervals = DroneGenerator.CHORDS[this.settings.droneType] || [0];
+        return intervals.map(semitones => rootFreq * this.getIntervalRatio(semitones));
+    }
 
-        frequencies.forEach((freq, index) => {
-            const voice = this.createVoice(freq, index);
-            this.voices.push(voice);
-        });
+    // Voices of the custom chord; text that doesn't parse plays the root alone
+    getCustomChord() {
+        try {
+            return CustomChord.parse(this.settings.customChord);
+        } catch (e) {
+            return [{ type: 'ratio', value: '1', octave: 0 }];
+        }
     }
 
-    getDroneFrequencies(rootFreq) {
-        const type = this.settings.droneType;
-        const useJust = document.getElementById('justIntonation')?.checked || false;
-
-        // Just intonation ratios (pure mathematical ratios)
-        const justRatios = {
-            fifth: 3/2,
-            majorThird: 5/4,
-            minorThird: 6/5,
-            fourth: 4/3,
-            majorSecond: 9/8,
-            minorSecond: 16/15
-        };
+    // Frequency ratio above the root of a custom chord voice (see chord.js)
+    getVoiceRatio(voice) {
+        let ratio;
+        switch (voice.type) {
+            case 'cents':
+                ratio = Math.pow(2, voice.value / 1200);
+                break;
+            case 'degree':
+                ratio = this.getDegreeRatio(voice.value);
+                break;
+            default:
+                ratio = CustomChord.getRatio(voice.value);
+        }
+        return ratio * Math.pow(2, voice.octave);
+    }
 
-        // Equal temperament ratios (12-TET)
-        const equalRatios = {
-            fifth: Math.pow(2, 7/12),      // ~1.498
-            majorThird: Math.pow(2, 4/12),  // ~1.260
-            minorThird: Math.pow(2, 3/12),  // ~1.189
-            fourth: Math.pow(2, 5/12),      // ~1.335
-            majorSecond: Math.pow(2, 2/12), // ~1.122
-            minorSecond: Math.pow(2, 1/12)  // ~1.059
-        };
+    /**
+     * The scale chords are tuned in. The Just Intonation switch predates
+     * temperaments and still applies while the temperament is equal.
+     * @returns {TuningScale}
+     */
+    getTuningScale() {
+        const { temperament, justIntonation, scalaScale, scalaMapping } = this.settings;
+        const name = temperament === 'equal' && justIntonation ? 'just' : temperament;
+        const key = name === 'scala' ? `scala:${scalaScale}:${scalaMapping}` : name;
+
+        if (key !== this.tuningScaleKey) {
+            this.tuningScaleKey = key;
+            this.tuningScale = DroneGenerator.createTuningScale(name, scalaScale, scalaMapping);
+        }
+        return this.tuningScale;
+    }
 
-        const ratios = useJust ? justRatios : equalRatios;
-
-        switch (type) {
-            case 'pure':
-                return [rootFreq];
-            case 'fifth':
-                return [rootFreq, rootFreq * ratios.fifth];
-            case 'octave':
-                return [rootFreq, rootFreq * 2];
-            case 'major':
-                return [rootFreq, rootFreq * ratios.majorThird, rootFreq * ratios.fifth];
-            case 'minor':
-                return [rootFreq, rootFreq * ratios.minorThird, rootFreq * ratios.fifth];
-            case 'sus2':
-                return [rootFreq, rootFreq * ratios.majorSecond, rootFreq * ratios.fifth];
-            case 'sus4':
-                return [rootFreq, rootFreq * ratios.fourth, rootFreq * ratios.fifth];
-            case 'power':
-                return [rootFreq, rootFreq * ratios.fifth, rootFreq * 2];
-            case 'open5':
-                return [rootFreq / ratios.fifth, rootFreq, rootFreq * ratios.fifth];
-            case 'dorian':
-                // Root + minor 3rd + major 6th feel
-                return [rootFreq, rootFreq * ratios.minorThird, rootFreq * ratios.fifth, rootFreq * (useJust ? 5/3 : Math.pow(2, 9/12))];
-            case 'phrygian':
-                // Root + minor 2nd + minor 3rd
-                return [rootFreq, rootFreq * ratios.minorSecond, rootFreq * ratios.minorThird, rootFreq * ratios.fifth];
-            case 'lydian':
-                // Root + raised 4th + 5th
-                return [rootFreq, rootFreq * (useJust ? 45/32 : Math.pow(2, 6/12)), rootFreq * ratios.fifth];
-            case 'mixolydian':
-                // Root + major 3rd + minor 7th
-                return [rootFreq, rootFreq * ratios.majorThird, rootFreq * ratios.fifth, rootFreq * (useJust ? 9/5 : Math.pow(2, 10/12))];
-            default:
-                return [rootFreq];
+    // Scale degree of the root: its key under a mapping or keyboard temperament, otherwise 0
+    getRootDegree() {
+        const scale = this.getTuningScale();
+        const key = this.getRootKey();
+        if (key === null) return 0;
+
+        if (scale.mapping && scale.getKeyDegree(key) !== null) {
+            return scale.getKeyDegree(key);
         }
+        return scale.fixed ? key - DroneGenerator.MIDDLE_C : 0;
+    }
+
+    /**
+     * Frequency ratio above the root of a chord tone, in the current tuning.
+     * Twelve-note scales step straight through their degrees; other scales
+     * use the degree nearest the just version of the interval.
+     * @param {number} semitones - Interval in equal-tempered semitones, may be negative
+     * @returns {number}
+     */
+    getIntervalRatio(semitones) {
+        const scale = this.getTuningScale();
+        const root = this.getRootDegree();
+        let steps = semitones;
+
+        if (!scale.isTwelveTone()) {
+            const octaves = Math.floor(semitones / 12);
+            const just = TuningScale.JUST_RATIOS[semitones - octaves * 12];
+            const cents = 1200 * (octaves + Math.log2(just));
+            steps = scale.getNearestDegree(scale.getCents(root) + cents) - root;
+        }
+
+        return this.getDegreeRatio(steps);
+    }
+
+    // Frequency ratio of the scale degree `steps` above the root's
+    getDegreeRatio(steps) {
+        const scale = this.getTuningScale();
+        const root = this.getRootDegree();
+        return Math.pow(2, (scale.getCents(root + steps) - scale.getCents(root)) / 1200);
     }
 
-    createVoice(baseFreq, voiceIndex) {
+    createVoice(baseFreq, voiceIndex, voiceCount) {
         const voice = {
             oscillators: [],
             gains: [],
+            // { osc, gain, ratio } per inharmonic mode of the spectrum, if it has any
+            modes: [],
+            level: null,
+            modulation: null,
+            modulationSource: null,
+            panner: null,
             mainGain: null
         };
 
-        voice.mainGain = this.audioContext.createGain();
-        voice.mainGain.gain.value = 0;
-        voice.mainGain.connect(this.lowpassFilter);
+        // Mixer strip: level (with mute and solo), then pan; mainGain fades the voice in and out
+        voice.level = this.audioContext.createGain();
+        voice.level.gain.value = DroneGenerator.getVoiceGain(this.settings, voiceIndex, voiceCount);
 
-        const oscTypes = [
-            { type: 'sine', level: this.settings.osc1Level },
-            { type: 'triangle', level: this.settings.osc2Level },
-            { type: 'sawtooth', level: this.settings.osc3Level }
-        ];
+        // Modulation of this voice's level scales it from here
+        voice.modulation = this.audioContext.createGain();
+        voice.modulationSource = this.modulationTargets[`voice${voiceIndex + 1}`];
+        voice.modulationSource.connect(voice.modulation.gain);
 
-        oscTypes.forEach((oscConfig, oscIndex) => {
-            if (oscConfig.level === 0) return;
+        voice.panner = this.audioContext.createStereoPanner();
+        voice.panner.pan.value = this.settings[`voice${voiceIndex + 1}Pan`];
+
+        voice.mainGain = this.audioContext.createGain();
+        voice.mainGain.gain.value = 0;
 
-            const detuneAmount = this.settings.detune;
+        voice.level.connect(voice.modulation);
+        voice.modulation.connect(voice.panner);
+        voice.panner.connect(voice.mainGain);
+        voice.mainGain.connect(this.voiceBus);
 
-            const oscLeft = this.audioContext.createOscillator();
-            oscLeft.type = oscConfig.type;
-            oscLeft.frequency.value = baseFreq;
-            oscLeft.detune.value = -detuneAmount + (voiceIndex * 0.5);
+        const oscGains = DroneGenerator.getOscGains(this.settings, voiceIndex);
 
-            const oscRight = this.audioContext.createOscillator();
-            oscRight.type = oscConfig.type;
-            oscRight.frequency.value = baseFreq;
-            oscRight.detune.value = detuneAmount + (voiceIndex * 0.5);
+        // Silent layers are built too, so a level can be raised or morphed without a rebuild.
+        // An additive voice is a single pair playing the spectrum.
+        const layers = this.settings.timbre === 'additive' ? ['additive'] : DroneGenerator.WAVEFORMS;
+        layers.forEach((type, oscIndex) => {
+            const oscLeft = this.createVoiceOscillator(type, voiceIndex, baseFreq,
+                DroneGenerator.getOscDetune(this.settings, voiceIndex, oscIndex * 2));
+            const oscRight = this.createVoiceOscillator(type, voiceIndex, baseFreq,
+                DroneGenerator.getOscDetune(this.settings, voiceIndex, oscIndex * 2 + 1));
 
             const oscGain = this.audioContext.createGain();
-            oscGain.gain.value = oscConfig.level * 0.5;
+            oscGain.gain.value = oscGains[oscIndex];
 
             const pannerLeft = this.audioContext.createStereoPanner();
             pannerLeft.pan.value = -0.3;
@@ -324,57 +745,221 @@ class DroneGenerator {
             const pannerRight = this.audioContext.createStereoPanner();
             pannerRight.pan.value = 0.3;
 
+            this.detuneModulationInverted.connect(oscLeft.detune);
+            this.detuneModulation.connect(oscRight.detune);
+
             oscLeft.connect(pannerLeft);
             pannerLeft.connect(oscGain);
 
             oscRight.connect(pannerRight);
             pannerRight.connect(oscGain);
 
-            oscGain.connect(voice.mainGain);
+            oscGain.connect(voice.level);
 
             voice.oscillators.push(oscLeft, oscRight);
             voice.gains.push(oscGain);
+        });
 
-            oscLeft.start();
-            oscRight.start();
+        // Modes between the harmonics, which a PeriodicWave can't hold, get a sine each.
+        // Their amplitudes are relative to the fundamental, which the pair plays twice over.
+        const modeGain = 2 * oscGains[0];
+        voice.modes = this.getInharmonicModes(voiceIndex).map(([ratio, amplitude]) => {
+            const osc = this.createVoiceOscillator('sine', voiceIndex, baseFreq * ratio, 0);
+            const gain = this.audioContext.createGain();
+            gain.gain.value = amplitude * modeGain;
+
+            this.detuneModulation.connect(osc.detune);
+            osc.connect(gain);
+            gain.connect(voice.level);
+            return { osc, gain, ratio };
         });
 
         return voice;
     }
 
-    stopVoices() {
-        this.voices.forEach(voice => {
+    /**
+     * Inharmonic modes a voice adds to its spectrum: those of the timbre preset
+     * it plays, when that preset has any (see timbre.js).
+     * @returns {Array<[number, number]>} [frequency ratio, amplitude] pairs
+     */
+    getInharmonicModes(voiceIndex) {
+        if (this.settings.timbre !== 'additive' || this.settings[`voice${voiceIndex + 1}Wave`] !== 'blend') return [];
+        const preset = HarmonicSpectrum.findPreset(this.settings.partials);
+        return (preset && HarmonicSpectrum.PRESETS[preset].modes) || [];
+    }
+
+    /**
+     * One oscillator of a voice, started. Offline it starts at the phase it would
+     * have in one long render, so the overlap of neighboring export chunks
+     * matches. Only the set detune counts: modulation and drift of it aren't
+     * followed, and shift the phase a little.
+     */
+    createVoiceOscillator(type, voiceIndex, frequency, detune) {
+        const osc = this.audioContext.createOscillator();
+        if (this.isOffline()) {
+            this.setOscWave(osc, type, voiceIndex, this.getPhase(frequency * Math.pow(2, detune / 1200)));
+        } else {
+            this.setOscWave(osc, type, voiceIndex);
+        }
+        osc.frequency.value = frequency;
+        osc.detune.value = detune;
+        osc.start();
+        return osc;
+    }
+
+    /**
+     * An additive oscillator plays the spectrum, or the single waveform its voice's
+     * mixer strip picks.
+     * @param {number} [phase] - Radians to start from, which takes a PeriodicWave
+     *     even for the basic waveforms
+     */
+    setOscWave(osc, type, voiceIndex, phase) {
+        const wave = this.settings[`voice${voiceIndex + 1}Wave`];
+        const shape = type !== 'additive' ? type : wave;
+
+        if (phase !== undefined) {
+            const amplitudes = shape === 'blend' ? this.getPartialAmplitudes() : HarmonicSpectrum.getWaveformPartials(shape);
+            osc.setPeriodicWave(HarmonicSpectrum.createWave(this.audioContext, amplitudes, phase));
+        } else if (shape !== 'blend') {
+            osc.type = shape;
+        } else {
+            osc.setPeriodicWave(this.getPartialWave());
+        }
+    }
+
+    getPartialAmplitudes() {
+        try {
+            return HarmonicSpectrum.parse(this.settings.partials);
+        } catch (e) {
+            return HarmonicSpectrum.parse(DroneGenerator.DEFAULT_SETTINGS.partials);
+        }
+    }
+
+    getPartialWave() {
+        if (this.partialWaveText !== this.settings.partials) {
+            this.partialWave = HarmonicSpectrum.createWave(this.audioContext, this.getPartialAmplitudes());
+            this.partialWaveText = this.settings.partials;
+        }
+        return this.partialWave;
+    }
+
+    // Swap the waveform of playing additive voices in place
+    updateVoiceWaves() {
+        if (this.settings.timbre !== 'additive') return;
+
+        // Moving onto or off a spectrum with inharmonic modes adds or drops oscillators
+        if (this.voices.some((voice, voiceIndex) => voice.modes.length !== this.getInharmonicModes(voiceIndex).length)) {
+            this.requestVoiceRebuild();
+            return;
+        }
+
+        this.voices.forEach((voice, voiceIndex) => {
+            voice.oscillators.forEach(osc => this.setOscWave(osc, 'additive', voiceIndex));
+        });
+    }
+
+    stopVoices(voices = this.voices) {
+        voices.forEach(voice => {
             voice.oscillators.forEach(osc => {
                 try {
                     osc.stop();
                     osc.disconnect();
                 } catch (e) {}
+                // Only one of the two feeds each oscillator
+                [this.detuneModulation, this.detuneModulationInverted].forEach(bus => {
+                    try {
+                        bus.disconnect(osc.detune);
+                    } catch (e) {}
+                });
             });
             voice.gains.forEach(gain => {
                 try {
                     gain.disconnect();
                 } catch (e) {}
             });
-            if (voice.mainGain) {
+            voice.modes.forEach(({ osc, gain }) => {
                 try {
-                    voice.mainGain.disconnect();
+                    osc.stop();
+                    osc.disconnect();
                 } catch (e) {}
-            }
+                try {
+                    gain.disconnect();
+                    this.detuneModulation.disconnect(osc.detune);
+                } catch (e) {}
+            });
+            try {
+                voice.modulationSource.disconnect(voice.modulation.gain);
+            } catch (e) {}
+            [voice.level, voice.modulation, voice.panner, voice.mainGain, voice.fader].forEach(node => {
+                if (!node) return;
+                try {
+                    node.disconnect();
+                } catch (e) {}
+            });
         });
-        this.voices = [];
+        if (voices === this.voices) {
+            this.voices = [];
+        }
+    }
+
+    /**
+     * Replace the voices with a fresh set built from the current settings,
+     * crossfading with equal-power curves so the level doesn't dip.
+     * @param {number} [fadeTime=0.5] - Crossfade length in seconds
+     * @param {number} [when] - Context time to begin, defaults to now
+     */
+    recreateVoices(fadeTime = 0.5, when = this.audioContext.currentTime) {
+        const outgoing = this.voices;
+        const fadeIn = DroneGenerator.createFadeCurve(true);
+        const fadeOut = DroneGenerator.createFadeCurve(false);
+
+        this.voices = this.buildVoices();
+        this.emphasisFilter.frequency.setTargetAtTime(this.getRootFrequency(), when, fadeTime / 3);
+        this.voices.forEach(voice => {
+            voice.mainGain.gain.setValueAtTime(0, when);
+            voice.mainGain.gain.setValueCurveAtTime(fadeIn, when, fadeTime);
+        });
+
+        // Outgoing voices fade through a fresh gain node: their own gain may still be
+        // mid-curve, and automation events can't overlap a value curve
+        outgoing.forEach(voice => {
+            voice.fader = this.audioContext.createGain();
+            voice.mainGain.disconnect();
+            voice.mainGain.connect(voice.fader);
+            voice.fader.connect(this.voiceBus);
+            voice.fader.gain.setValueCurveAtTime(fadeOut, when, fadeTime);
+
+            voice.oscillators.concat(voice.modes.map(mode => mode.osc)).forEach(osc => {
+                try {
+                    osc.stop(when + fadeTime + 0.05);
+                } catch (e) {}
+            });
+        });
+
+        // Disconnect once the old voices have finished fading
+        const delay = when - this.audioContext.currentTime + fadeTime + 0.1;
+        setTimeout(() => this.stopVoices(outgoing), delay * 1000);
     }
 
-    play() {
+    /**
+     * Start the drone with a fade-in.
+     * @param {Object} [options]
+     * @param {number} [options.fadeTime] - Overrides settings.fadeTime for this start
+     */
+    play(options = {}) {
         this.initAudioContext();
 
-        if (this.audioContext.state === 'suspended') {
+        if (this.audioContext.state === 'suspended' && !this.isOffline()) {
             this.audioContext.resume();
         }
 
+        // A play() during the last stop's fade replaces its voices here instead
+        clearTimeout(this.stopTimeout);
         this.createVoices();
 
-        const fadeTime = this.settings.fadeTime;
+        const fadeTime = options.fadeTime !== undefined ? options.fadeTime : this.settings.fadeTime;
         const now = this.audioContext.currentTime;
+        this.playTime = now;
 
         this.masterGain.gain.setValueAtTime(0, now);
         this.masterGain.gain.linearRampToValueAtTime(this.settings.volume, now + fadeTime);
@@ -385,12 +970,11 @@ class DroneGenerator {
         });
 
         this.isPlaying = true;
-        this.updatePlayButton();
-        this.updateStatus('playing');
-        this.startVisualization();
+        this.emit('play', { settings: this.getSettings() });
 
-        // Start evolution if enabled
-        if (this.evolutionEnabled) {
+        // Start evolution if enabled. Offline renders schedule it up front instead,
+        // see createEvolutionTimeline().
+        if (this.settings.evolution && !this.isOffline()) {
             this.startEvolution();
         }
     }
@@ -398,21 +982,22 @@ class DroneGenerator {
     stop() {
         if (!this.audioContext || !this.isPlaying) return;
 
+        this.cancelMorph();
+
         const fadeTime = this.settings.fadeTime;
         const now = this.audioContext.currentTime;
 
         this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, now);
         this.masterGain.gain.linearRampToValueAtTime(0, now + fadeTime);
 
-        setTimeout(() => {
-            this.stopVoices();
+        const voices = this.voices;
+        this.stopTimeout = setTimeout(() => {
+            this.stopVoices(voices);
         }, (fadeTime + 0.1) * 1000);
 
         this.isPlaying = false;
-        this.updatePlayButton();
-        this.updateStatus('ready');
-        this.stopVisualization();
         this.stopEvolution();
+        this.emit('stop', { fadeTime });
     }
 
     toggle() {
@@ -423,188 +1008,351 @@ class DroneGenerator {
         }
     }
 
-    // Evolution mode - subtle parameter drift over time
-    startEvolution() {
-        if (this.evolutionInterval) return;
-
+    // Evolution mode - slow, seeded drift of the settings it's allowed to move
+    getEvolutionInterval() {
+        // Seconds between the drift's turning points
         const speeds = {
-            slow: 3000,
-            medium: 1500,
-            fast: 800
+            slow: 24,
+            medium: 12,
+            fast: 6
         };
 
-        const intervalTime = speeds[this.evolutionSpeed] || speeds.medium;
+        return speeds[this.settings.evolutionSpeed] || speeds.medium;
+    }
 
-        // Initialize targets
-        this.evolutionTargets = {
-            filterFreq: this.settings.filterFreq,
-            lfoDepth: this.settings.lfoDepth,
-            detune: this.settings.detune
+    /**
+     * Where each drifting setting is at one point of the walk. Every target
+     * follows its own noise from the seed, moved by up to its range as a
+     * fraction of the set value and kept within the setting's limits; voice
+     * balance scales each voice's level the same way. Targets that are off
+     * stay at their set values.
+     * @param {number} position - Position in the noise, in evolution intervals
+     * @param {number} [period] - Positions after which the walk repeats
+     * @returns {Object} filterFreq, lfoDepth, detune, reverbAmount and harmonicEmphasis,
+     *     plus a level factor for each voice, voice1 ... voice8
+     */
+    getEvolutionStep(position, period) {
+        const settings = this.settings;
+        const noise = name => new SeededNoise(`evolution:${settings.evolutionSeed}:${name}`, period).at(position);
+        const step = {};
+
+        Object.keys(DroneGenerator.EVOLUTION_TARGETS).forEach(key => {
+            const toggle = DroneGenerator.EVOLUTION_TARGETS[key];
+            const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+            const value = settings[toggle]
+                ? settings[key] * (1 + settings[`${toggle}Range`] * noise(key))
+                : settings[key];
+            step[key] = Math.max(rule.min, Math.min(rule.max, value));
+        });
+
+        for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+            step[`voice${voice}`] = settings.evolveBalance
+                ? Math.max(0, 1 + settings.evolveBalanceRange * noise(`voice${voice}`))
+                : 1;
+        }
+
+        return step;
+    }
+
+    // Ramp the evolution offsets so the params reach a step's values at context time `when`
+    applyEvolutionStep(step, when) {
+        const settings = this.settings;
+        const offsets = {
+            filterFreq: 1200 * Math.log2(step.filterFreq / settings.filterFreq),
+            lfoDepth: this.getLfoDepthHz(step.lfoDepth) - this.getLfoDepthHz(settings.lfoDepth),
+            detune: step.detune - settings.detune,
+            reverbAmount: step.reverbAmount - settings.reverbAmount,
+            harmonicEmphasis: this.getEmphasisGain(step.harmonicEmphasis) - this.getEmphasisGain(settings.harmonicEmphasis)
         };
+        for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+            offsets[`voice${voice}`] = step[`voice${voice}`] - 1;
+        }
 
-        this.evolutionInterval = setInterval(() => {
-            if (!this.isPlaying) return;
-
-            // Drift filter frequency
-            const filterRange = this.settings.filterFreq * 0.2;
-            const filterDrift = (Math.random() - 0.5) * filterRange;
-            let newFilterFreq = this.evolutionTargets.filterFreq + filterDrift;
-            newFilterFreq = Math.max(500, Math.min(5000, newFilterFreq));
-            this.evolutionTargets.filterFreq = newFilterFreq;
-
-            if (this.lowpassFilter) {
-                this.lowpassFilter.frequency.setTargetAtTime(
-                    newFilterFreq,
-                    this.audioContext.currentTime,
-                    1.0
-                );
-            }
+        Object.keys(offsets).forEach(name => {
+            this.evolutionSources[name].offset.linearRampToValueAtTime(offsets[name], when);
+        });
+    }
 
-            // Drift LFO depth
-            const depthDrift = (Math.random() - 0.5) * 0.05;
-            let newDepth = this.evolutionTargets.lfoDepth + depthDrift;
-            newDepth = Math.max(0.02, Math.min(0.3, newDepth));
-            this.evolutionTargets.lfoDepth = newDepth;
-
-            if (this.lfoGain) {
-                this.lfoGain.gain.setTargetAtTime(
-                    newDepth * this.settings.filterFreq * 0.5,
-                    this.audioContext.currentTime,
-                    1.0
-                );
-            }
+    startEvolution() {
+        if (this.evolutionInterval) return;
 
-            // Occasionally drift detune slightly
-            if (Math.random() > 0.7) {
-                const detuneDrift = (Math.random() - 0.5) * 2;
-                let newDetune = this.evolutionTargets.detune + detuneDrift;
-                newDetune = Math.max(1, Math.min(15, newDetune));
-                this.evolutionTargets.detune = newDetune;
-
-                this.voices.forEach(voice => {
-                    voice.oscillators.forEach((osc, i) => {
-                        const isLeft = i % 2 === 0;
-                        osc.detune.setTargetAtTime(
-                            isLeft ? -newDetune : newDetune,
-                            this.audioContext.currentTime,
-                            0.5
-                        );
-                    });
-                });
-            }
+        // Steps sit on a grid counted from play(), so the walk is wherever it would be
+        // had evolution been on all along, and the same seed always plays the same way
+        const now = this.audioContext.currentTime;
+        this.holdParams(Object.values(this.evolutionSources).map(source => source.offset));
+        this.evolutionStep = Math.floor((now - this.playTime) / DroneGenerator.EVOLUTION_STEP) + 1;
 
-        }, intervalTime);
+        this.scheduleEvolution();
+        this.evolutionInterval = setInterval(() => this.scheduleEvolution(), DroneGenerator.EVOLUTION_SCHEDULE_MS);
     }
 
-    stopEvolution() {
-        if (this.evolutionInterval) {
-            clearInterval(this.evolutionInterval);
-            this.evolutionInterval = null;
+    // The timer only tops up the queue; every step lands at its own context time
+    scheduleEvolution() {
+        const horizon = this.audioContext.currentTime + DroneGenerator.EVOLUTION_AHEAD;
+        const interval = this.getEvolutionInterval();
+        let time = this.evolutionStep * DroneGenerator.EVOLUTION_STEP;
+
+        while (this.playTime + time < horizon) {
+            this.applyEvolutionStep(this.getEvolutionStep(time / interval), this.playTime + time);
+            this.evolutionStep++;
+            time = this.evolutionStep * DroneGenerator.EVOLUTION_STEP;
         }
     }
 
+    /**
+     * Precompute the drift steps for an offline render, where no timer runs.
+     * @param {number} duration - Length of the render in seconds
+     * @returns {Array<Object>} Steps with a `time` offset in seconds, ready for applyEvolutionStep()
+     */
+    createEvolutionTimeline(duration) {
+        const steps = [];
+        const interval = this.getEvolutionInterval();
+
+        for (let i = 0; i * DroneGenerator.EVOLUTION_STEP < duration; i++) {
+            const time = i * DroneGenerator.EVOLUTION_STEP;
+            steps.push(Object.assign({ time }, this.getEvolutionStep(time / interval)));
+        }
+
+        return steps;
+    }
+
+    /**
+     * Precompute one period of drift for a seamless loop. The noise repeats
+     * after a whole number of intervals stretched to fit `loopSeconds`, which
+     * lets the steps repeat back to back.
+     * @returns {Array<Object>} Steps with a `time` offset in [0, loopSeconds)
+     */
+    createEvolutionLoop(loopSeconds) {
+        const period = Math.max(1, Math.round(loopSeconds / this.getEvolutionInterval()));
+        const count = Math.max(1, Math.round(loopSeconds / DroneGenerator.EVOLUTION_STEP));
+        const steps = [];
+
+        for (let i = 0; i < count; i++) {
+            const time = i * loopSeconds / count;
+            steps.push(Object.assign({ time }, this.getEvolutionStep(time * period / loopSeconds, period)));
+        }
+
+        return steps;
+    }
+
+    // Stop scheduling; the offsets hold where they are
+    stopEvolution() {
+        if (!this.evolutionInterval) return;
+
+        clearInterval(this.evolutionInterval);
+        this.evolutionInterval = null;
+        this.holdParams(Object.values(this.evolutionSources).map(source => source.offset));
+    }
+
+    // Glide back to the set values
+    releaseEvolution() {
+        if (!this.audioContext) return;
+
+        const now = this.audioContext.currentTime;
+        Object.values(this.evolutionSources).forEach(source => {
+            source.offset.cancelScheduledValues(now);
+            source.offset.setTargetAtTime(0, now, DroneGenerator.EVOLUTION_RELEASE);
+        });
+    }
+
+    // Steps already queued were worked out from the old settings, so queue them again
+    updateEvolution() {
+        if (!this.evolutionInterval) return;
+
+        this.stopEvolution();
+        this.startEvolution();
+    }
+
     setEvolution(enabled) {
-        this.evolutionEnabled = enabled;
         this.settings.evolution = enabled;
 
         if (enabled && this.isPlaying) {
             this.startEvolution();
         } else {
             this.stopEvolution();
+            this.releaseEvolution();
         }
+
+        this.notifyChange({ evolution: enabled });
     }
 
     setEvolutionSpeed(speed) {
-        this.evolutionSpeed = speed;
         this.settings.evolutionSpeed = speed;
+        this.updateEvolution();
+        this.notifyChange({ evolutionSpeed: speed });
+    }
 
-        if (this.evolutionEnabled && this.isPlaying) {
-            this.stopEvolution();
-            this.startEvolution();
-        }
+    // The seed, and which targets drift and how far
+    setEvolutionSetting(key, value) {
+        this.settings[key] = value;
+        this.updateEvolution();
+        this.notifyChange({ [key]: value });
     }
 
     setTuning(tuning) {
-        this.currentTuning = tuning;
         this.settings.tuning = tuning;
+        this.noteFrequencies = this.calculateNoteFrequencies(this.getA4Reference());
 
-        if (this.tunings[tuning]) {
-            this.noteFrequencies = this.calculateNoteFrequencies(this.tunings[tuning]);
-        }
-
-        if (this.isPlaying) {
-            this.recreateVoices();
-        }
+        this.requestVoiceRebuild();
+        this.notifyChange({ tuning });
     }
 
-    recreateVoices() {
-        const fadeTime = 0.5;
-        const now = this.audioContext.currentTime;
+    // Glides rather than rebuilding, so a session can sweep it
+    setA4Reference(frequency) {
+        this.settings.a4Reference = frequency;
+        this.noteFrequencies = this.calculateNoteFrequencies(this.getA4Reference());
 
-        this.voices.forEach(voice => {
-            voice.mainGain.gain.linearRampToValueAtTime(0, now + fadeTime);
-        });
+        this.retuneVoices();
+        this.notifyChange({ a4Reference: frequency });
+    }
 
-        setTimeout(() => {
-            this.stopVoices();
-            this.createVoices();
+    setJustIntonation(enabled) {
+        this.settings.justIntonation = enabled;
+        this.requestVoiceRebuild();
+        this.notifyChange({ justIntonation: enabled });
+    }
 
-            const newNow = this.audioContext.currentTime;
-            this.voices.forEach(voice => {
-                voice.mainGain.gain.setValueAtTime(0, newNow);
-                voice.mainGain.gain.linearRampToValueAtTime(1, newNow + fadeTime);
-            });
-        }, fadeTime * 1000);
+    // temperament, scalaScale or scalaMapping
+    setTemperament(key, value) {
+        this.settings[key] = value;
+        this.requestVoiceRebuild();
+        this.notifyChange({ [key]: value });
     }
 
     setRootNote(note) {
         this.settings.rootNote = note;
+        this.requestVoiceRebuild();
+        this.notifyChange({ rootNote: note });
+    }
 
-        // Update display
-        const displayNote = note.startsWith('solfeggio_')
-            ? note.replace('solfeggio_', '') + ' Hz'
-            : note;
-        document.getElementById('currentNote').textContent = displayNote;
+    // Used while rootNote is 'custom'; glides like the A4 reference
+    setRootFrequency(frequency) {
+        this.settings.rootFrequency = frequency;
+        this.retuneVoices();
+        this.notifyChange({ rootFrequency: frequency });
+    }
 
-        if (this.isPlaying) {
-            this.recreateVoices();
-        }
+    // Move the playing voices to the current pitches without a crossfade. Only
+    // for changes that keep the chord's shape, so the voice count still matches.
+    retuneVoices() {
+        if (!this.isPlaying) return;
+
+        // A new chord in the same batch rebuilds the voices anyway
+        const frequencies = this.getVoiceFrequencies();
+        if (frequencies.length !== this.voices.length) return;
+
+        const now = this.audioContext.currentTime;
+        this.voices.forEach((voice, index) => {
+            voice.oscillators.forEach(osc => osc.frequency.setTargetAtTime(frequencies[index], now, 0.1));
+            voice.modes.forEach(mode => mode.osc.frequency.setTargetAtTime(frequencies[index] * mode.ratio, now, 0.1));
+        });
+        this.emphasisFilter.frequency.setTargetAtTime(this.getRootFrequency(), now, 0.1);
     }
 
     setDroneType(type) {
         this.settings.droneType = type;
+        this.requestVoiceRebuild();
+        this.notifyChange({ droneType: type });
+    }
 
-        if (this.isPlaying) {
-            this.recreateVoices();
+    // Editing a voice glides it; adding or removing one rebuilds the chord
+    setCustomChord(chord) {
+        const voiceCount = this.voices.length;
+        this.settings.customChord = chord;
+
+        if (this.settings.droneType === 'custom') {
+            if (this.getCustomChord().length === voiceCount) {
+                this.retuneVoices();
+            } else {
+                this.requestVoiceRebuild();
+            }
         }
+        this.notifyChange({ customChord: chord });
     }
 
     setOscLevel(oscIndex, value) {
         const key = `osc${oscIndex}Level`;
         this.settings[key] = value;
-
-        this.voices.forEach(voice => {
-            if (voice.gains[oscIndex - 1]) {
-                voice.gains[oscIndex - 1].gain.setTargetAtTime(
-                    value * 0.5,
-                    this.audioContext.currentTime,
-                    0.1
-                );
-            }
-        });
+        this.updateVoiceMix();
+        this.notifyChange({ [key]: value });
     }
 
     setDetune(value) {
         this.settings.detune = value;
+        this.updateVoiceMix();
+        this.updateEvolution();
+        this.notifyChange({ detune: value });
+    }
 
-        this.voices.forEach(voice => {
+    // voice1Level ... voice8Solo: everything but the octave moves the playing voices' params
+    setVoiceMix(key, value) {
+        this.settings[key] = value;
+        if (key.endsWith('Octave')) {
+            this.retuneVoices();
+        } else {
+            if (key.endsWith('Wave')) this.updateVoiceWaves();
+            this.updateVoiceMix();
+        }
+        this.notifyChange({ [key]: value });
+    }
+
+    // Switching between the oscillator stack and the additive pair changes the voices' shape
+    setTimbre(value) {
+        this.settings.timbre = value;
+        this.requestVoiceRebuild();
+        this.notifyChange({ timbre: value });
+    }
+
+    setPartials(text) {
+        this.settings.partials = text;
+        this.updateVoiceWaves();
+        this.notifyChange({ partials: text });
+    }
+
+    setHarmonicEmphasis(value) {
+        this.settings.harmonicEmphasis = value;
+        if (this.emphasisFilter) {
+            this.emphasisFilter.gain.setTargetAtTime(
+                this.getEmphasisGain(value),
+                this.audioContext.currentTime,
+                0.1
+            );
+        }
+        this.updateEvolution();
+        this.notifyChange({ harmonicEmphasis: value });
+    }
+
+    setEmphasisRate(value) {
+        this.settings.emphasisRate = value;
+        if (this.emphasisLfo) {
+            this.emphasisLfo.frequency.setTargetAtTime(
+                value,
+                this.audioContext.currentTime,
+                0.1
+            );
+        }
+        this.notifyChange({ emphasisRate: value });
+    }
+
+    /**
+     * Bring every voice's mixer strip, waveform blend and detune to `settings`.
+     * @param {Function} [move] - (param, value); defaults to a short glide
+     * @param {Object} [settings]
+     */
+    updateVoiceMix(move, settings = this.settings) {
+        if (!this.audioContext) return;
+
+        const now = this.audioContext.currentTime;
+        move = move || ((param, value) => param.setTargetAtTime(value, now, 0.1));
+
+        this.voices.forEach((voice, voiceIndex) => {
+            move(voice.level.gain, DroneGenerator.getVoiceGain(settings, voiceIndex, this.voices.length));
+            move(voice.panner.pan, settings[`voice${voiceIndex + 1}Pan`]);
+
+            const oscGains = DroneGenerator.getOscGains(settings, voiceIndex);
+            voice.gains.forEach((gain, oscIndex) => move(gain.gain, oscGains[oscIndex]));
             voice.oscillators.forEach((osc, i) => {
-                const isLeft = i % 2 === 0;
-                osc.detune.setTargetAtTime(
-                    isLeft ? -value : value,
-                    this.audioContext.currentTime,
-                    0.1
-                );
+                move(osc.detune, DroneGenerator.getOscDetune(settings, voiceIndex, i));
             });
         });
     }
@@ -618,10 +1366,12 @@ class DroneGenerator {
                 0.1
             );
         }
+        this.notifyChange({ volume: value });
     }
 
     setFadeTime(value) {
         this.settings.fadeTime = value;
+        this.notifyChange({ fadeTime: value });
     }
 
     setFilterFreq(value) {
@@ -633,6 +1383,8 @@ class DroneGenerator {
                 0.1
             );
         }
+        this.updateEvolution();
+        this.notifyChange({ filterFreq: value });
     }
 
     setFilterRes(value) {
@@ -644,6 +1396,7 @@ class DroneGenerator {
                 0.1
             );
         }
+        this.notifyChange({ filterRes: value });
     }
 
     setReverbAmount(value) {
@@ -660,6 +1413,17 @@ class DroneGenerator {
                 0.1
             );
         }
+        this.updateEvolution();
+        this.notifyChange({ reverbAmount: value });
+    }
+
+    // Room, decay, damping and pre-delay all shape the reverb's impulse path
+    setReverbShape(key, value) {
+        this.settings[key] = value;
+        if (this.reverb) {
+            this.reverb.update(this.settings);
+        }
+        this.notifyChange({ [key]: value });
     }
 
     setLfoRate(value) {
@@ -671,582 +1435,816 @@ class DroneGenerator {
                 0.1
             );
         }
+        this.notifyChange({ lfoRate: value });
+    }
+
+    // LFO depth is a fraction of the filter cutoff; the gain node needs Hz
+    getLfoDepthHz(depth) {
+        return depth * this.settings.filterFreq * 0.5;
     }
 
     setLfoDepth(value) {
         this.settings.lfoDepth = value;
         if (this.lfoGain) {
             this.lfoGain.gain.setTargetAtTime(
-                value * this.settings.filterFreq * 0.5,
+                this.getLfoDepthHz(value),
                 this.audioContext.currentTime,
                 0.1
             );
         }
+        this.updateEvolution();
+        this.notifyChange({ lfoDepth: value });
     }
 
+    /**
+     * Apply a built-in preset by name, or a saved preset object.
+     * @param {string|{id: string, name: string, settings: Object}} preset
+     * @returns {boolean} False when the built-in name is unknown
+     */
     applyPreset(preset) {
-        const presets = {
-            meditation: {
-                rootNote: 'C3',
-                droneType: 'fifth',
-                osc1Level: 80,
-                osc2Level: 20,
-                osc3Level: 0,
-                detune: 3,
-                filterFreq: 1500,
-                filterRes: 1,
-                reverbAmount: 40,
-                lfoRate: 5,
-                lfoDepth: 15,
-                evolution: true,
-                evolutionSpeed: 'slow'
-            },
-            sleep: {
-                rootNote: 'C2',
-                droneType: 'octave',
-                osc1Level: 90,
-                osc2Level: 10,
-                osc3Level: 0,
-                detune: 2,
-                filterFreq: 600,
-                filterRes: 0,
-                reverbAmount: 50,
-                lfoRate: 2,
-                lfoDepth: 5,
-                evolution: true,
-                evolutionSpeed: 'slow'
-            },
-            focus: {
-                rootNote: 'A3',
-                droneType: 'fifth',
-                osc1Level: 60,
-                osc2Level: 30,
-                osc3Level: 10,
-                detune: 5,
-                filterFreq: 3000,
-                filterRes: 2,
-                reverbAmount: 20,
-                lfoRate: 8,
-                lfoDepth: 8,
-                evolution: false,
-                evolutionSpeed: 'medium'
-            },
-            cinematic: {
-                rootNote: 'D2',
-                droneType: 'minor',
-                osc1Level: 50,
-                osc2Level: 30,
-                osc3Level: 20,
-                detune: 8,
-                filterFreq: 2500,
-                filterRes: 3,
-                reverbAmount: 60,
-                lfoRate: 6,
-                lfoDepth: 20,
-                evolution: true,
-                evolutionSpeed: 'medium'
-            },
-            soundBath: {
-                rootNote: 'solfeggio_528',
-                droneType: 'fifth',
-                osc1Level: 85,
-                osc2Level: 15,
-                osc3Level: 0,
-                detune: 4,
-                filterFreq: 2000,
-                filterRes: 1,
-                reverbAmount: 55,
-                lfoRate: 4,
-                lfoDepth: 12,
-                evolution: true,
-                evolutionSpeed: 'slow'
-            },
-            yogaFlow: {
-                rootNote: 'G3',
-                droneType: 'sus4',
-                osc1Level: 70,
-                osc2Level: 25,
-                osc3Level: 5,
-                detune: 5,
-                filterFreq: 2800,
-                filterRes: 2,
-                reverbAmount: 35,
-                lfoRate: 6,
-                lfoDepth: 10,
-                evolution: true,
-                evolutionSpeed: 'medium'
-            },
-            deepGrounding: {
-                rootNote: 'C2',
-                droneType: 'power',
-                osc1Level: 95,
-                osc2Level: 5,
-                osc3Level: 0,
-                detune: 2,
-                filterFreq: 500,
-                filterRes: 0,
-                reverbAmount: 40,
-                lfoRate: 2,
-                lfoDepth: 3,
-                evolution: false,
-                evolutionSpeed: 'slow'
-            },
-            cosmicDrift: {
-                rootNote: 'E3',
-                droneType: 'lydian',
-                osc1Level: 55,
-                osc2Level: 30,
-                osc3Level: 15,
-                detune: 10,
-                filterFreq: 3500,
-                filterRes: 4,
-                reverbAmount: 70,
-                lfoRate: 3,
-                lfoDepth: 25,
-                evolution: true,
-                evolutionSpeed: 'fast'
-            }
-        };
-
-        if (presets[preset]) {
-            const p = presets[preset];
-
-            // Update UI elements
-            document.getElementById('rootNote').value = p.rootNote;
-            document.getElementById('droneType').value = p.droneType;
-
-            document.getElementById('osc1Level').value = p.osc1Level;
-            document.getElementById('osc1Value').textContent = p.osc1Level + '%';
-
-            document.getElementById('osc2Level').value = p.osc2Level;
-            document.getElementById('osc2Value').textContent = p.osc2Level + '%';
-
-            document.getElementById('osc3Level').value = p.osc3Level;
-            document.getElementById('osc3Value').textContent = p.osc3Level + '%';
-
-            document.getElementById('detune').value = p.detune;
-            document.getElementById('detuneValue').textContent = p.detune + ' cents';
+        const resolved = DroneGenerator.resolvePreset(preset);
+        if (!resolved) return false;
 
-            document.getElementById('filterFreq').value = p.filterFreq;
-            document.getElementById('filterFreqValue').textContent = p.filterFreq + ' Hz';
+        this.setSettings(resolved.settings);
 
-            document.getElementById('filterRes').value = p.filterRes;
-            document.getElementById('filterResValue').textContent = p.filterRes;
+        this.currentPreset = { id: resolved.id, label: resolved.label };
+        this.emit('preset', { name: resolved.id, label: resolved.label });
+        return true;
+    }
 
-            document.getElementById('reverbAmount').value = p.reverbAmount;
-            document.getElementById('reverbValue').textContent = p.reverbAmount + '%';
+    /**
+     * Glide from the current sound to a preset. Continuous parameters ramp
+     * with AudioParam automation; a new root, chord or tuning crossfades to a
+     * fresh set of voices around the halfway point. Settings take their
+     * target values straight away, and any direct change cancels the glide.
+     * When stopped there is nothing to hear, so the preset is simply applied.
+     * @param {string|{id: string, name: string, settings: Object}} preset
+     * @param {number} duration - Seconds, 5 to 1800
+     * @returns {boolean} False when the built-in name is unknown
+     */
+    morphTo(preset, duration) {
+        const resolved = DroneGenerator.resolvePreset(preset);
+        if (!resolved) return false;
+
+        if (!this.isPlaying || this.isOffline()) {
+            return this.applyPreset(preset);
+        }
 
-            document.getElementById('lfoRate').value = p.lfoRate;
-            document.getElementById('lfoRateValue').textContent = (p.lfoRate / 100).toFixed(2) + ' Hz';
+        this.cancelMorph();
+        duration = Math.max(DroneGenerator.MORPH_MIN, Math.min(DroneGenerator.MORPH_MAX, duration));
 
-            document.getElementById('lfoDepth').value = p.lfoDepth;
-            document.getElementById('lfoDepthValue').textContent = p.lfoDepth + '%';
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const end = now + duration;
+        const from = this.getSettings();
+        const to = Object.assign({}, from, resolved.settings);
 
-            // Update evolution controls
-            const evolutionToggle = document.getElementById('evolutionToggle');
-            const evolutionSpeed = document.getElementById('evolutionSpeed');
-            if (evolutionToggle) {
-                evolutionToggle.checked = p.evolution;
-            }
-            if (evolutionSpeed) {
-                evolutionSpeed.value = p.evolutionSpeed;
-            }
+        // Evolution would fight the ramps; it restarts from the new values afterwards
+        this.stopEvolution();
 
-            // Update note display
-            const displayNote = p.rootNote.startsWith('solfeggio_')
-                ? p.rootNote.replace('solfeggio_', '') + ' Hz'
-                : p.rootNote;
-            document.getElementById('currentNote').textContent = displayNote;
-
-            // Apply settings
-            this.settings.rootNote = p.rootNote;
-            this.settings.droneType = p.droneType;
-            this.settings.osc1Level = p.osc1Level / 100;
-            this.settings.osc2Level = p.osc2Level / 100;
-            this.settings.osc3Level = p.osc3Level / 100;
-            this.settings.detune = p.detune;
-            this.settings.filterFreq = p.filterFreq;
-            this.settings.filterRes = p.filterRes;
-            this.settings.reverbAmount = p.reverbAmount / 100;
-            this.settings.lfoRate = p.lfoRate / 100;
-            this.settings.lfoDepth = p.lfoDepth / 100;
-
-            // Set evolution
-            this.evolutionEnabled = p.evolution;
-            this.evolutionSpeed = p.evolutionSpeed;
-            this.settings.evolution = p.evolution;
-            this.settings.evolutionSpeed = p.evolutionSpeed;
-
-            // Apply to audio if playing
-            if (this.audioContext) {
-                this.setFilterFreq(p.filterFreq);
-                this.setFilterRes(p.filterRes);
-                this.setReverbAmount(p.reverbAmount / 100);
-                this.setLfoRate(p.lfoRate / 100);
-                this.setLfoDepth(p.lfoDepth / 100);
-            }
+        const changes = {};
+        Object.keys(to).forEach(key => {
+            if (to[key] !== from[key]) changes[key] = to[key];
+        });
+        Object.assign(this.settings, changes);
+        if ('tuning' in changes || 'a4Reference' in changes) {
+            this.noteFrequencies = this.calculateNoteFrequencies(this.getA4Reference());
+        }
 
-            // Handle evolution
-            if (this.isPlaying) {
-                if (p.evolution) {
-                    this.startEvolution();
-                } else {
-                    this.stopEvolution();
-                }
+        // Incoming voices are built from the target settings, so need no ramps
+        const rebuild = ['droneType', ...DroneGenerator.PITCH_SETTINGS]
+            .some(key => key in changes && !DroneGenerator.GLIDE_SETTINGS.includes(key)) ||
+            ('customChord' in changes && to.droneType === 'custom') ||
+            'timbre' in changes ||
+            (to.timbre === 'additive' && Object.keys(changes).some(key => key === 'partials' || key.endsWith('Wave')));
+        const frequencies = this.getVoiceFrequencies();
+
+        const ramp = (param, value, exponential = false) => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            if (exponential && param.value > 0 && value > 0) {
+                param.exponentialRampToValueAtTime(value, end);
+            } else {
+                param.linearRampToValueAtTime(value, end);
             }
+        };
 
-            // Recreate voices if playing
-            if (this.isPlaying) {
-                this.recreateVoices();
-            }
+        ramp(this.lowpassFilter.frequency, to.filterFreq, true);
+        ramp(this.lowpassFilter.Q, to.filterRes);
+        ramp(this.dryGain.gain, 1 - to.reverbAmount);
+        ramp(this.reverbGain.gain, to.reverbAmount);
+        ramp(this.lfo.frequency, to.lfoRate, true);
+        ramp(this.lfoGain.gain, this.getLfoDepthHz(to.lfoDepth));
+        ramp(this.masterGain.gain, to.volume);
+        ramp(this.emphasisFilter.gain, this.getEmphasisGain(to.harmonicEmphasis));
+        ramp(this.emphasisLfo.frequency, to.emphasisRate, true);
+
+        // Drift fades out along with the morph when the preset has none
+        if (!to.evolution) {
+            Object.values(this.evolutionSources).forEach(source => ramp(source.offset, 0));
+        }
 
-            // Update active button
-            document.querySelectorAll('.preset-btn').forEach(btn => {
-                btn.classList.remove('active');
-                if (btn.dataset.preset === preset) {
-                    btn.classList.add('active');
-                }
+        this.updateVoiceMix(ramp, to);
+        if (!rebuild) {
+            this.voices.forEach((voice, voiceIndex) => {
+                voice.oscillators.forEach(osc => ramp(osc.frequency, frequencies[voiceIndex], true));
+                voice.modes.forEach(mode => ramp(mode.osc.frequency, frequencies[voiceIndex] * mode.ratio, true));
             });
+            ramp(this.emphasisFilter.frequency, this.getRootFrequency(), true);
         }
-    }
 
-    updatePlayButton() {
-        const btn = document.getElementById('playButton');
-        const icon = btn.querySelector('i');
-        const text = btn.querySelector('span');
+        if (['reverbRoom', 'reverbDecay', 'reverbDamping', 'reverbPreDelay'].some(key => key in changes)) {
+            this.reverb.update(to);
+        }
 
-        if (this.isPlaying) {
-            btn.classList.add('playing');
-            icon.className = 'ri-stop-fill';
-            text.textContent = 'Stop';
-        } else {
-            btn.classList.remove('playing');
-            icon.className = 'ri-play-fill';
-            text.textContent = 'Play';
+        if (rebuild) {
+            const crossfade = Math.min(duration, DroneGenerator.MORPH_CROSSFADE_MAX);
+            this.recreateVoices(crossfade, now + (duration - crossfade) / 2);
         }
+
+        this.morph = {
+            from,
+            to,
+            startTime: now,
+            duration,
+            timeout: setTimeout(() => this.finishMorph(true), duration * 1000)
+        };
+
+        this.currentPreset = { id: resolved.id, label: resolved.label };
+        // `morph` lets layers glide along instead of following straight away
+        this.emit('change', { changes, settings: this.getSettings(), morph: { startTime: now, duration } });
+        this.emit('preset', { name: resolved.id, label: resolved.label });
+        this.emit('morph', { active: true, name: resolved.id, label: resolved.label, duration });
+        return true;
     }
 
-    updateStatus(state) {
-        const badge = document.getElementById('statusBadge');
-        const text = badge.querySelector('.status-text');
+    finishMorph(completed = false) {
+        const morph = this.morph;
+        if (!morph) return;
 
-        badge.className = 'status-badge ' + state;
+        clearTimeout(morph.timeout);
+        this.morph = null;
 
-        if (state === 'playing') {
-            if (this.evolutionEnabled) {
-                text.textContent = 'Evolving';
-            } else {
-                text.textContent = 'Playing';
-            }
-        } else {
-            text.textContent = 'Ready';
+        if (this.settings.evolution && this.isPlaying) {
+            this.startEvolution();
         }
+        this.emit('morph', { active: false, completed });
     }
 
-    // Timer functionality
-    startTimer(minutes) {
-        this.stopTimer();
-
-        this.timerRemaining = minutes * 60;
-        this.updateTimerDisplay();
+    /**
+     * Stop a morph where it is: parameters hold their current values and the
+     * settings are set to match.
+     */
+    cancelMorph() {
+        const morph = this.morph;
+        if (!morph) return;
 
-        this.timerInterval = setInterval(() => {
-            this.timerRemaining--;
-            this.updateTimerDisplay();
-
-            if (this.timerRemaining <= 0) {
-                this.stopTimer();
-                this.stop();
+        const now = this.audioContext.currentTime;
+        const t = Math.min(1, (now - morph.startTime) / morph.duration);
+        const params = [
+            this.lowpassFilter.frequency, this.lowpassFilter.Q, this.dryGain.gain,
+            this.reverbGain.gain, this.lfo.frequency, this.lfoGain.gain, this.masterGain.gain,
+            this.emphasisFilter.frequency, this.emphasisFilter.gain, this.emphasisLfo.frequency
+        ];
+        this.voices.forEach(voice => {
+            params.push(voice.level.gain, voice.panner.pan);
+            voice.gains.forEach(gain => params.push(gain.gain));
+            voice.oscillators.forEach(osc => params.push(osc.detune, osc.frequency));
+            voice.modes.forEach(mode => params.push(mode.osc.frequency));
+        });
+        this.holdParams(params);
+
+        // Discrete settings stay at their targets: the voice crossfade is already scheduled
+        const held = {};
+        const values = DroneGenerator.interpolateSettings(morph.from, morph.to, t);
+        Object.keys(values).forEach(key => {
+            const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+            if (rule && rule.type === 'number' && values[key] !== this.settings[key]) {
+                held[key] = values[key];
             }
-        }, 1000);
+        });
+        Object.assign(this.settings, held);
+        this.noteFrequencies = this.calculateNoteFrequencies(this.getA4Reference());
+        this.reverb.update(this.settings);
 
-        document.getElementById('timerDisplay').classList.add('active');
+        this.finishMorph();
+        this.notifyChange(held);
     }
 
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        this.timerRemaining = 0;
-        document.getElementById('timerDisplay').classList.remove('active');
-        document.getElementById('timerValue').textContent = '--:--';
+    // Sessions
+
+    /**
+     * Run a timeline of stages, replacing any running session.
+     * @param {Object} template - See DroneSession, or use DroneSession.TEMPLATES
+     * @returns {DroneSession}
+     */
+    startSession(template) {
+        this.stopSession();
+        this.session = new DroneSession(this, template);
+        this.session.start();
+        return this.session;
     }
 
-    updateTimerDisplay() {
-        const minutes = Math.floor(this.timerRemaining / 60);
-        const seconds = this.timerRemaining % 60;
-        document.getElementById('timerValue').textContent =
-            `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    stopSession() {
+        if (this.session) {
+            this.session.cancel();
+        }
     }
 
-    // Visualization
-    setupCanvas() {
-        this.canvas = document.getElementById('waveformCanvas');
-        if (!this.canvas) return;
-
-        this.canvasCtx = this.canvas.getContext('2d');
-        this.resizeCanvas();
-
-        window.addEventListener('resize', () => this.resizeCanvas());
-
-        this.drawStaticWaveform();
+    // Sleep timer: hold the current sound, then stop
+    startTimer(minutes) {
+        return this.startSession({
+            label: 'Sleep Timer',
+            restore: false,
+            stages: [{ label: 'Timer', minutes }]
+        });
     }
 
-    resizeCanvas() {
-        if (!this.canvas) return;
-
-        const container = this.canvas.parentElement;
-        const dpr = window.devicePixelRatio || 1;
-
-        this.canvas.width = container.clientWidth * dpr;
-        this.canvas.height = 120 * dpr;
-
-        this.canvas.style.width = container.clientWidth + 'px';
-        this.canvas.style.height = '120px';
-
-        this.canvasCtx.scale(dpr, dpr);
-
-        if (!this.isPlaying) {
-            this.drawStaticWaveform();
-        }
+    stopTimer() {
+        this.stopSession();
     }
+}
 
-    drawStaticWaveform() {
-        if (!this.canvasCtx) return;
-
-        const width = this.canvas.width / (window.devicePixelRatio || 1);
-        const height = this.canvas.height / (window.devicePixelRatio || 1);
+DroneGenerator.DEFAULT_SETTINGS = {
+    rootNote: 'C3',
+    rootFrequency: 136.1,
+    droneType: 'fifth',
+    customChord: '1 3/2 9/8+1',
+    osc1Level: 0.7,
+    osc2Level: 0.3,
+    osc3Level: 0,
+    detune: 5,
+    volume: 0.5,
+    fadeTime: 5,
+    filterFreq: 2000,
+    filterRes: 1,
+    reverbAmount: 0.3,
+    reverbRoom: 'hall',
+    reverbDecay: 2.8,
+    reverbDamping: 0.4,
+    reverbPreDelay: 0.02,
+    lfoRate: 0.1,
+    lfoDepth: 0.1,
+    tuning: 'standard',
+    a4Reference: 440,
+    justIntonation: false,
+    temperament: 'equal',
+    scalaScale: '',
+    scalaMapping: '',
+    evolution: false,
+    evolutionSpeed: 'medium',
+    evolutionSeed: 1,
+    evolveFilter: true,
+    evolveFilterRange: 0.2,
+    evolveLfoDepth: true,
+    evolveLfoDepthRange: 0.5,
+    evolveDetune: true,
+    evolveDetuneRange: 0.3,
+    evolveBalance: false,
+    evolveBalanceRange: 0.3,
+    evolveReverb: false,
+    evolveReverbRange: 0.3,
+    evolveEmphasis: false,
+    evolveEmphasisRange: 0.5,
+    timbre: 'oscillators',
+    partials: HarmonicSpectrum.PRESETS.organ.partials,
+    harmonicEmphasis: 0,
+    emphasisRate: 0.02
+};
+
+// Valid values for each setting, used to validate and clamp imported or
+// shared settings. Numbers are clamped into range; anything else that fails
+// is dropped in favour of the current value. `scale: 'log'` marks numbers
+// that interpolate geometrically, as pitch and frequency are heard.
+// Integers (seeds, counts) are rounded and never interpolated. Strings may
+// also have a `maxLength` and a `validate` function that returns an error
+// message for a value it rejects.
+DroneGenerator.SETTINGS_SCHEMA = {
+    rootNote: {
+        type: 'string',
+        pattern: /^((C|C#|D|D#|E|F|F#|G|G#|A|A#|B)[0-8]|custom|solfeggio_(174|285|396|417|528|639|741|852|963))$/
+    },
+    rootFrequency: { type: 'number', min: 20, max: 2000, scale: 'log' },
+    droneType: {
+        type: 'enum',
+        values: ['pure', 'fifth', 'octave', 'major', 'minor', 'sus2', 'sus4', 'power', 'open5',
+            'dorian', 'phrygian', 'lydian', 'mixolydian', 'custom']
+    },
+    customChord: { type: 'string', maxLength: 200, validate: text => CustomChord.check(text) },
+    osc1Level: { type: 'number', min: 0, max: 1 },
+    osc2Level: { type: 'number', min: 0, max: 1 },
+    osc3Level: { type: 'number', min: 0, max: 1 },
+    detune: { type: 'number', min: 0, max: 50 },
+    volume: { type: 'number', min: 0, max: 1 },
+    fadeTime: { type: 'number', min: 0, max: 30 },
+    filterFreq: { type: 'number', min: 100, max: 10000, scale: 'log' },
+    filterRes: { type: 'number', min: 0, max: 20 },
+    reverbAmount: { type: 'number', min: 0, max: 1 },
+    reverbRoom: { type: 'enum', values: ['smallRoom', 'hall', 'cathedral', 'cave', 'shimmer'] },
+    reverbDecay: { type: 'number', min: 0.3, max: 15, scale: 'log' },
+    reverbDamping: { type: 'number', min: 0, max: 1 },
+    reverbPreDelay: { type: 'number', min: 0, max: 0.2 },
+    lfoRate: { type: 'number', min: 0.01, max: 1, scale: 'log' },
+    lfoDepth: { type: 'number', min: 0, max: 1 },
+    tuning: { type: 'enum', values: ['standard', 'verdi', 'baroque', 'scientific', 'custom'] },
+    a4Reference: { type: 'number', min: 400, max: 480 },
+    justIntonation: { type: 'boolean' },
+    temperament: {
+        type: 'enum',
+        values: ['equal', 'pythagorean', 'meantone', 'werckmeister3', 'kirnberger3', 'shruti22', 'scala']
+    },
+    scalaScale: {
+        type: 'string',
+        maxLength: 8000,
+        validate: text => DroneGenerator.checkTuningFile(() => text && TuningScale.parseScale(text))
+    },
+    scalaMapping: {
+        type: 'string',
+        maxLength: 4000,
+        validate: text => DroneGenerator.checkTuningFile(() => text && TuningScale.parseMapping(text, Infinity))
+    },
+    evolution: { type: 'boolean' },
+    evolutionSpeed: { type: 'enum', values: ['slow', 'medium', 'fast'] },
+    evolutionSeed: { type: 'integer', min: 1, max: SeededRandom.MAX_SEED },
+    evolveFilter: { type: 'boolean' },
+    evolveFilterRange: { type: 'number', min: 0, max: 1 },
+    evolveLfoDepth: { type: 'boolean' },
+    evolveLfoDepthRange: { type: 'number', min: 0, max: 1 },
+    evolveDetune: { type: 'boolean' },
+    evolveDetuneRange: { type: 'number', min: 0, max: 1 },
+    evolveBalance: { type: 'boolean' },
+    evolveBalanceRange: { type: 'number', min: 0, max: 1 },
+    evolveReverb: { type: 'boolean' },
+    evolveReverbRange: { type: 'number', min: 0, max: 1 },
+    evolveEmphasis: { type: 'boolean' },
+    evolveEmphasisRange: { type: 'number', min: 0, max: 1 },
+    timbre: { type: 'enum', values: ['oscillators', 'additive'] },
+    partials: { type: 'string', maxLength: 200, validate: text => HarmonicSpectrum.check(text) },
+    harmonicEmphasis: { type: 'number', min: 0, max: 1 },
+    emphasisRate: { type: 'number', min: 0.005, max: 0.2, scale: 'log' }
+};
+
+// Settings evolution drifts, each with the toggle that lets it (and a range, evolveFilterRange
+// etc.); voice balance drifts each voice's level instead of a setting
+DroneGenerator.EVOLUTION_TARGETS = {
+    filterFreq: 'evolveFilter',
+    lfoDepth: 'evolveLfoDepth',
+    detune: 'evolveDetune',
+    reverbAmount: 'evolveReverb',
+    harmonicEmphasis: 'evolveEmphasis'
+};
+
+// The seed and the targets: settings that shape the walk without switching it on or off
+DroneGenerator.EVOLUTION_KEYS = Object.keys(DroneGenerator.DEFAULT_SETTINGS)
+    .filter(key => key === 'evolutionSeed' || key.startsWith('evolve'));
+
+// Seconds between scheduled steps, how far ahead they're queued, how often the
+// queue is topped up, and the time constant of the glide back when evolution stops
+DroneGenerator.EVOLUTION_STEP = 0.5;
+DroneGenerator.EVOLUTION_AHEAD = 1.5;
+DroneGenerator.EVOLUTION_SCHEDULE_MS = 250;
+DroneGenerator.EVOLUTION_RELEASE = 1;
+
+// Oscillator layers in every voice, one pair each; the mixer can pick one alone
+DroneGenerator.WAVEFORMS = ['sine', 'triangle', 'sawtooth'];
+
+// Harmonic emphasis: the highest partial the sweep reaches, its peak in dB at full
+// emphasis, and a Q narrow enough to single out one partial
+DroneGenerator.EMPHASIS_PARTIALS = 16;
+DroneGenerator.EMPHASIS_GAIN = 12;
+DroneGenerator.EMPHASIS_Q = 6;
+
+// Per-voice mixer strips, voice1Level ... voice8Solo. Detune is added to the
+// global spread, and the octave shifts the voice's chord tone.
+DroneGenerator.MAX_VOICES = 8;
+
+DroneGenerator.VOICE_MIX_DEFAULTS = {
+    Level: 1,
+    Pan: 0,
+    Wave: 'blend',
+    Octave: 0,
+    Detune: 0,
+    Mute: false,
+    Solo: false
+};
+
+DroneGenerator.VOICE_MIX_SCHEMA = {
+    Level: { type: 'number', min: 0, max: 1 },
+    Pan: { type: 'number', min: -1, max: 1 },
+    Wave: { type: 'enum', values: ['blend', ...DroneGenerator.WAVEFORMS] },
+    Octave: { type: 'integer', min: -2, max: 2 },
+    Detune: { type: 'number', min: 0, max: 50 },
+    Mute: { type: 'boolean' },
+    Solo: { type: 'boolean' }
+};
+
+DroneGenerator.VOICE_MIX_KEYS = [];
+
+for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+    Object.keys(DroneGenerator.VOICE_MIX_DEFAULTS).forEach(field => {
+        const key = `voice${voice}${field}`;
+        DroneGenerator.DEFAULT_SETTINGS[key] = DroneGenerator.VOICE_MIX_DEFAULTS[field];
+        DroneGenerator.SETTINGS_SCHEMA[key] = DroneGenerator.VOICE_MIX_SCHEMA[field];
+        DroneGenerator.VOICE_MIX_KEYS.push(key);
+    });
+}
 
-        this.canvasCtx.fillStyle = '#000';
-        this.canvasCtx.fillRect(0, 0, width, height);
+// Gain of a voice's strip: muted, or silent while another sounding voice is soloed
+DroneGenerator.getVoiceGain = function(settings, voiceIndex, voiceCount) {
+    const voice = voiceIndex + 1;
+    if (settings[`voice${voice}Mute`]) return 0;
 
-        this.canvasCtx.strokeStyle = '#333';
-        this.canvasCtx.lineWidth = 1;
-        this.canvasCtx.beginPath();
-        this.canvasCtx.moveTo(0, height / 2);
-        this.canvasCtx.lineTo(width, height / 2);
-        this.canvasCtx.stroke();
+    let soloed = false;
+    for (let other = 1; other <= voiceCount; other++) {
+        if (settings[`voice${other}Solo`]) soloed = true;
     }
+    if (soloed && !settings[`voice${voice}Solo`]) return 0;
 
-    startVisualization() {
-        if (!this.analyser) return;
-
-        const draw = () => {
-            if (!this.isPlaying) return;
-
-            this.animationId = requestAnimationFrame(draw);
-
-            const bufferLength = this.analyser.frequencyBinCount;
-            const dataArray = new Uint8Array(bufferLength);
-            this.analyser.getByteTimeDomainData(dataArray);
-
-            const width = this.canvas.width / (window.devicePixelRatio || 1);
-            const height = this.canvas.height / (window.devicePixelRatio || 1);
+    return settings[`voice${voice}Level`];
+};
 
-            this.canvasCtx.fillStyle = '#000';
-            this.canvasCtx.fillRect(0, 0, width, height);
+// Level of each oscillator layer in a voice: the global blend, or one waveform alone.
+// An additive voice's single pair plays whichever wave it has at full level.
+DroneGenerator.getOscGains = function(settings, voiceIndex) {
+    if (settings.timbre === 'additive') return [0.5];
 
-            this.canvasCtx.lineWidth = 2;
-            this.canvasCtx.strokeStyle = '#10b981';
-            this.canvasCtx.beginPath();
+    const wave = settings[`voice${voiceIndex + 1}Wave`];
+    return DroneGenerator.WAVEFORMS.map((type, oscIndex) => {
+        if (wave === 'blend') return settings[`osc${oscIndex + 1}Level`] * 0.5;
+        return wave === type ? 0.5 : 0;
+    });
+};
 
-            const sliceWidth = width / bufferLength;
-            let x = 0;
+// Cents for one oscillator of a pair: left and right spread apart, each voice a little off the last
+DroneGenerator.getOscDetune = function(settings, voiceIndex, oscIndex) {
+    const spread = settings.detune + settings[`voice${voiceIndex + 1}Detune`];
+    return (oscIndex % 2 === 0 ? -spread : spread) + voiceIndex * 0.5;
+};
 
-            for (let i = 0; i < bufferLength; i++) {
-                const v = dataArray[i] / 128.0;
-                const y = (v * height) / 2;
-
-                if (i === 0) {
-                    this.canvasCtx.moveTo(x, y);
-                } else {
-                    this.canvasCtx.lineTo(x, y);
+/**
+ * Validate untrusted settings against SETTINGS_SCHEMA.
+ * @param {Object} input - Settings from storage, a file or a URL
+ * @param {string[]} [warnings] - Receives one message per clamped or dropped value
+ * @returns {Object} Only the keys that passed, with numbers clamped into range
+ */
+DroneGenerator.sanitizeSettings = function(input, warnings = []) {
+    const result = {};
+    if (!input || typeof input !== 'object') return result;
+
+    Object.keys(DroneGenerator.SETTINGS_SCHEMA).forEach(key => {
+        if (!(key in input)) return;
+
+        const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+        const value = input[key];
+
+        switch (rule.type) {
+            case 'number': {
+                const number = Number(value);
+                if (value === null || value === '' || !Number.isFinite(number)) {
+                    warnings.push(`${key}: "${value}" is not a number`);
+                    return;
                 }
-
-                x += sliceWidth;
+                const clamped = Math.max(rule.min, Math.min(rule.max, number));
+                if (clamped !== number) {
+                    warnings.push(`${key}: ${number} is out of range, clamped to ${clamped}`);
+                }
+                result[key] = clamped;
+                return;
             }
-
-            this.canvasCtx.lineTo(width, height / 2);
-            this.canvasCtx.stroke();
-        };
-
-        draw();
-    }
-
-    stopVisualization() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-        this.drawStaticWaveform();
-    }
-
-    setupEventListeners() {
-        // Play button
-        document.getElementById('playButton')?.addEventListener('click', () => {
-            this.toggle();
-        });
-
-        // Preset buttons
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.applyPreset(btn.dataset.preset);
-                if (!this.isPlaying) {
-                    this.play();
+            case 'integer': {
+                const number = Number(value);
+                if (value === null || value === '' || !Number.isFinite(number)) {
+                    warnings.push(`${key}: "${value}" is not a number`);
+                    return;
                 }
-            });
-        });
-
-        // Root note selector
-        document.getElementById('rootNote')?.addEventListener('change', (e) => {
-            this.setRootNote(e.target.value);
-        });
-
-        // Drone type selector
-        document.getElementById('droneType')?.addEventListener('change', (e) => {
-            this.setDroneType(e.target.value);
-        });
-
-        // Tuning selector
-        document.getElementById('tuning')?.addEventListener('change', (e) => {
-            this.setTuning(e.target.value);
-        });
-
-        // Just intonation toggle
-        document.getElementById('justIntonation')?.addEventListener('change', (e) => {
-            if (this.isPlaying) {
-                this.recreateVoices();
+                const clamped = Math.max(rule.min, Math.min(rule.max, Math.round(number)));
+                if (clamped !== number) {
+                    warnings.push(`${key}: ${number} is not a whole number in range, changed to ${clamped}`);
+                }
+                result[key] = clamped;
+                return;
             }
-        });
-
-        // Evolution toggle
-        document.getElementById('evolutionToggle')?.addEventListener('change', (e) => {
-            this.setEvolution(e.target.checked);
-            this.updateStatus(this.isPlaying ? 'playing' : 'ready');
-        });
-
-        // Evolution speed
-        document.getElementById('evolutionSpeed')?.addEventListener('change', (e) => {
-            this.setEvolutionSpeed(e.target.value);
-        });
-
-        // Oscillator level sliders
-        [1, 2, 3].forEach(num => {
-            const slider = document.getElementById(`osc${num}Level`);
-            const display = document.getElementById(`osc${num}Value`);
-
-            slider?.addEventListener('input', (e) => {
-                const value = e.target.value / 100;
-                display.textContent = Math.round(value * 100) + '%';
-                this.setOscLevel(num, value);
-            });
-        });
-
-        // Detune slider
-        const detuneSlider = document.getElementById('detune');
-        const detuneDisplay = document.getElementById('detuneValue');
-        detuneSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            detuneDisplay.textContent = value + ' cents';
-            this.setDetune(value);
-        });
-
-        // Master volume
-        const volumeSlider = document.getElementById('volume');
-        const volumeDisplay = document.getElementById('volumeValue');
-        volumeSlider?.addEventListener('input', (e) => {
-            const value = e.target.value / 100;
-            volumeDisplay.textContent = Math.round(value * 100) + '%';
-            this.setMasterVolume(value);
-        });
-
-        // Fade time
-        const fadeSlider = document.getElementById('fadeTime');
-        const fadeDisplay = document.getElementById('fadeTimeValue');
-        fadeSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            fadeDisplay.textContent = value + ' sec';
-            this.setFadeTime(value);
-        });
-
-        // Filter frequency
-        const filterFreqSlider = document.getElementById('filterFreq');
-        const filterFreqDisplay = document.getElementById('filterFreqValue');
-        filterFreqSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            filterFreqDisplay.textContent = value + ' Hz';
-            this.setFilterFreq(value);
-        });
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    warnings.push(`${key}: "${value}" is not true or false`);
+                    return;
+                }
+                result[key] = value;
+                return;
+            case 'enum':
+                if (!rule.values.includes(value)) {
+                    warnings.push(`${key}: unknown value "${value}"`);
+                    return;
+                }
+                result[key] = value;
+                return;
+            case 'string': {
+                if (typeof value !== 'string' || (rule.pattern && !rule.pattern.test(value)) ||
+                    value.length > (rule.maxLength || Infinity)) {
+                    warnings.push(`${key}: invalid value "${value}"`);
+                    return;
+                }
+                const problem = rule.validate && rule.validate(value);
+                if (problem) {
+                    warnings.push(`${key}: ${problem}`);
+                    return;
+                }
+                result[key] = value;
+                return;
+            }
+        }
+    });
 
-        // Filter resonance
-        const filterResSlider = document.getElementById('filterRes');
-        const filterResDisplay = document.getElementById('filterResValue');
-        filterResSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            filterResDisplay.textContent = value;
-            this.setFilterRes(value);
-        });
+    return result;
+};
 
-        // Reverb amount
-        const reverbSlider = document.getElementById('reverbAmount');
-        const reverbDisplay = document.getElementById('reverbValue');
-        reverbSlider?.addEventListener('input', (e) => {
-            const value = e.target.value / 100;
-            reverbDisplay.textContent = Math.round(value * 100) + '%';
-            this.setReverbAmount(value);
-        });
+/**
+ * Blend between two sets of settings.
+ * @param {Object} from - Settings at t = 0
+ * @param {Object} to - Settings at t = 1; only these keys are returned
+ * @param {number} t - Progress from 0 to 1
+ * @returns {Object} Numbers interpolated, everything else (integers included) switched
+ *     at the halfway point
+ */
+DroneGenerator.interpolateSettings = function(from, to, t) {
+    const result = {};
+
+    Object.keys(to).forEach(key => {
+        const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+        const a = from[key];
+        const b = to[key];
+
+        if (a === undefined) {
+            result[key] = b;
+        } else if (rule && rule.type === 'number' && typeof a === 'number' && typeof b === 'number') {
+            result[key] = rule.scale === 'log' && a > 0 && b > 0
+                ? a * Math.pow(b / a, t)
+                : a + (b - a) * t;
+        } else {
+            result[key] = t >= 0.5 ? b : a;
+        }
+    });
 
-        // LFO rate
-        const lfoRateSlider = document.getElementById('lfoRate');
-        const lfoRateDisplay = document.getElementById('lfoRateValue');
-        lfoRateSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value) / 100;
-            lfoRateDisplay.textContent = value.toFixed(2) + ' Hz';
-            this.setLfoRate(value);
-        });
+    return result;
+};
 
-        // LFO depth
-        const lfoDepthSlider = document.getElementById('lfoDepth');
-        const lfoDepthDisplay = document.getElementById('lfoDepthValue');
-        lfoDepthSlider?.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value) / 100;
-            lfoDepthDisplay.textContent = Math.round(value * 100) + '%';
-            this.setLfoDepth(value);
-        });
+/**
+ * Add an optional sound layer to every generator built from now on.
+ * @param {string} name - Key in generator.layers
+ * @param {Function} Layer - Class constructed with the generator once its graph
+ *     exists. Its static DEFAULT_SETTINGS and SETTINGS_SCHEMA join the engine's.
+ *     An optional static snapToLoop(settings, loopSeconds) adjusts settings so
+ *     the layer repeats seamlessly in loop exports.
+ */
+DroneGenerator.registerLayer = function(name, Layer) {
+    DroneGenerator.LAYERS[name] = Layer;
+    Object.assign(DroneGenerator.DEFAULT_SETTINGS, Layer.DEFAULT_SETTINGS);
+    Object.assign(DroneGenerator.SETTINGS_SCHEMA, Layer.SETTINGS_SCHEMA);
+};
+
+DroneGenerator.LAYERS = {};
+
+// Equal-power gain curve for crossfades, rising (sin) or falling (cos)
+DroneGenerator.createFadeCurve = function(rising, length = 64) {
+    const curve = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const t = i / (length - 1) * Math.PI / 2;
+        curve[i] = rising ? Math.sin(t) : Math.cos(t);
+    }
+    return curve;
+};
 
-        // Timer controls
-        document.querySelectorAll('.timer-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const minutes = parseInt(btn.dataset.time);
-
-                document.querySelectorAll('.timer-btn').forEach(b => b.classList.remove('active'));
-
-                if (minutes === 0) {
-                    this.stopTimer();
-                } else {
-                    btn.classList.add('active');
-                    this.startTimer(minutes);
-                    if (!this.isPlaying) {
-                        this.play();
-                    }
-                }
-            });
-        });
+/**
+ * Look up a built-in preset by name, or unpack a saved preset object.
+ * @param {string|{id: string, name: string, settings: Object}} preset
+ * @returns {{id: string, label: string, settings: Object}|null} Null for an unknown name
+ */
+DroneGenerator.resolvePreset = function(preset) {
+    if (typeof preset === 'string') {
+        const p = DroneGenerator.PRESETS[preset];
+        if (!p) return null;
+
+        // Everything except the display label is a setting
+        const { label, ...settings } = p;
+        return { id: preset, label, settings };
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    return preset ? { id: preset.id, label: preset.name, settings: preset.settings } : null;
+};
 
-            if (e.code === 'Space') {
-                e.preventDefault();
-                this.toggle();
-            }
-        });
+/**
+ * Build the tuning scale for a temperament name. A Scala scale that fails to
+ * parse falls back to equal temperament; callers check files with
+ * TuningScale.fromScala() first to show the error, and the Scala status line
+ * reports it for settings that arrive some other way.
+ * @param {string} name - Key of TuningScale.TEMPERAMENTS, or 'scala'
+ * @param {string} [scaleText] - .scl contents for 'scala'
+ * @param {string} [mappingText] - Optional .kbm contents for 'scala'
+ * @returns {TuningScale}
+ */
+DroneGenerator.createTuningScale = function(name, scaleText, mappingText) {
+    if (name !== 'scala') {
+        return TuningScale.fromTemperament(name);
     }
-}
+    if (scaleText) {
+        try {
+            return TuningScale.fromScala(scaleText, mappingText);
+        } catch (e) {
+            // Falls through to equal temperament
+        }
+    }
+    return TuningScale.fromTemperament('equal');
+};
+
+// Run a tuning file parser, returning its error message if it throws
+DroneGenerator.checkTuningFile = function(parse) {
+    try {
+        parse();
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+};
+
+// Chord tones in equal-tempered semitones above the root; the tuning decides their exact size
+DroneGenerator.CHORDS = {
+    pure: [0],
+    fifth: [0, 7],
+    octave: [0, 12],
+    major: [0, 4, 7],
+    minor: [0, 3, 7],
+    sus2: [0, 2, 7],
+    sus4: [0, 5, 7],
+    power: [0, 7, 12],
+    open5: [-7, 0, 7],
+    // Root + minor 3rd + major 6th feel
+    dorian: [0, 3, 7, 9],
+    // Root + minor 2nd + minor 3rd
+    phrygian: [0, 1, 3, 7],
+    // Root + raised 4th + 5th
+    lydian: [0, 6, 7],
+    // Root + major 3rd + minor 7th
+    mixolydian: [0, 4, 7, 10]
+};
+
+// Settings that move the root or the intervals above it
+DroneGenerator.PITCH_SETTINGS = ['rootNote', 'rootFrequency', 'tuning', 'a4Reference', 'justIntonation',
+    'temperament', 'scalaScale', 'scalaMapping'];
+// Pitch settings that glide the playing voices instead of crossfading to new ones
+DroneGenerator.GLIDE_SETTINGS = ['rootFrequency', 'a4Reference'];
+
+// Note names from C, the octaves root notes can be chosen from, and the MIDI key of C4
+DroneGenerator.NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+DroneGenerator.MIN_OCTAVE = 0;
+DroneGenerator.MAX_OCTAVE = 8;
+DroneGenerator.MIDDLE_C = 60;
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    window.droneGenerator = new DroneGenerator();
-});
+/**
+ * Nearest note of standard 12-TET (A4 = 440 Hz) to a frequency.
+ * @param {number} frequency - In Hz
+ * @returns {{name: string, cents: number}} Name with octave, e.g. "C#3", and the
+ *     offset from it in cents, -50 to 50
+ */
+DroneGenerator.getNearestNote = function(frequency) {
+    const key = DroneGenerator.MIDDLE_C + 9 + 12 * Math.log2(frequency / 440);
+    const nearest = Math.round(key);
+    const name = DroneGenerator.NOTE_NAMES[((nearest % 12) + 12) % 12] + (Math.floor(nearest / 12) - 1);
+    return { name, cents: (key - nearest) * 100 };
+};
+
+// Morph lengths in seconds, and the longest voice crossfade within a morph
+DroneGenerator.MORPH_MIN = 5;
+DroneGenerator.MORPH_MAX = 1800;
+DroneGenerator.MORPH_CROSSFADE_MAX = 30;
+
+// Built-in presets, in settings units (levels and amounts are 0-1, rates in Hz)
+DroneGenerator.PRESETS = {
+    meditation: {
+        label: 'Meditation',
+        rootNote: 'C3',
+        droneType: 'fifth',
+        osc1Level: 0.8,
+        osc2Level: 0.2,
+        osc3Level: 0,
+        detune: 3,
+        filterFreq: 1500,
+        filterRes: 1,
+        reverbAmount: 0.4,
+        lfoRate: 0.05,
+        lfoDepth: 0.15,
+        evolution: true,
+        evolutionSpeed: 'slow'
+    },
+    sleep: {
+        label: 'Sleep',
+        rootNote: 'C2',
+        droneType: 'octave',
+        osc1Level: 0.9,
+        osc2Level: 0.1,
+        osc3Level: 0,
+        detune: 2,
+        filterFreq: 600,
+        filterRes: 0,
+        reverbAmount: 0.5,
+        lfoRate: 0.02,
+        lfoDepth: 0.05,
+        evolution: true,
+        evolutionSpeed: 'slow'
+    },
+    focus: {
+        label: 'Focus',
+        rootNote: 'A3',
+        droneType: 'fifth',
+        osc1Level: 0.6,
+        osc2Level: 0.3,
+        osc3Level: 0.1,
+        detune: 5,
+        filterFreq: 3000,
+        filterRes: 2,
+        reverbAmount: 0.2,
+        lfoRate: 0.08,
+        lfoDepth: 0.08,
+        evolution: false,
+        evolutionSpeed: 'medium'
+    },
+    cinematic: {
+        label: 'Cinematic',
+        rootNote: 'D2',
+        droneType: 'minor',
+        osc1Level: 0.5,
+        osc2Level: 0.3,
+        osc3Level: 0.2,
+        detune: 8,
+        filterFreq: 2500,
+        filterRes: 3,
+        reverbAmount: 0.6,
+        lfoRate: 0.06,
+        lfoDepth: 0.2,
+        evolution: true,
+        evolutionSpeed: 'medium'
+    },
+    soundBath: {
+        label: 'Sound Bath',
+        rootNote: 'solfeggio_528',
+        droneType: 'fifth',
+        osc1Level: 0.85,
+        osc2Level: 0.15,
+        osc3Level: 0,
+        detune: 4,
+        filterFreq: 2000,
+        filterRes: 1,
+        reverbAmount: 0.55,
+        lfoRate: 0.04,
+        lfoDepth: 0.12,
+        evolution: true,
+        evolutionSpeed: 'slow'
+    },
+    yogaFlow: {
+        label: 'Yoga Flow',
+        rootNote: 'G3',
+        droneType: 'sus4',
+        osc1Level: 0.7,
+        osc2Level: 0.25,
+        osc3Level: 0.05,
+        detune: 5,
+        filterFreq: 2800,
+        filterRes: 2,
+        reverbAmount: 0.35,
+        lfoRate: 0.06,
+        lfoDepth: 0.1,
+        evolution: true,
+        evolutionSpeed: 'medium'
+    },
+    deepGrounding: {
+        label: 'Grounding',
+        rootNote: 'C2',
+        droneType: 'power',
+        osc1Level: 0.95,
+        osc2Level: 0.05,
+        osc3Level: 0,
+        detune: 2,
+        filterFreq: 500,
+        filterRes: 0,
+        reverbAmount: 0.4,
+        lfoRate: 0.02,
+        lfoDepth: 0.03,
+        evolution: false,
+        evolutionSpeed: 'slow'
+    },
+    cosmicDrift: {
+        label: 'Cosmic',
+        rootNote: 'E3',
+        droneType: 'lydian',
+        osc1Level: 0.55,
+        osc2Level: 0.3,
+        osc3Level: 0.15,
+        detune: 10,
+        filterFreq: 3500,
+        filterRes: 4,
+        reverbAmount: 0.7,
+        lfoRate: 0.03,
+        lfoDepth: 0.25,
+        evolution: true,
+        evolutionSpeed: 'fast'
+    }
+};
@@ -0,0 +1,157 @@
+/**
+ * Isochronic Layer
+ * Pulses sound on and off at a steady rate. Unlike binaural beats the
+ * pulse is in the sound itself, so it works on speakers.
+ *
+ * One low-frequency pulse oscillator drives either the drone, by modulating
+ * the generator's voice bus ahead of the filter, or a dedicated sine tone
+ * that tracks the root. Depth sets how far the gain dips on each pulse:
+ * at 1 the sound is fully gated.
+ */
+
+class IsochronicLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        // Every shape is turned to where the pulse of a longer render would be by now
+        const phase = generator.getPhase(generator.settings.isochronicRate);
+        this.pulse = ctx.createOscillator();
+        this.waves = {
+            sine: IsochronicLayer.createWave(ctx, n => n === 1 ? 1 : 0, phase, 1),
+            softSquare: IsochronicLayer.createWave(ctx, n => n % 2 ? 4 / (Math.PI * n) : 0, phase),
+            // Falling saw: a quick attack, then the pulse dies away
+            ramp: IsochronicLayer.createWave(ctx, n => -2 / (Math.PI * n) * (n % 2 ? 1 : -1), phase)
+        };
+
+        // Pulse -> depth -> voice bus gain, which sits at 1 - depth / 2
+        this.droneDepth = ctx.createGain();
+        this.pulse.connect(this.droneDepth);
+        this.droneDepth.connect(generator.voiceBus.gain);
+
+        // Dedicated tone: sine -> gate (pulsed) -> level -> master
+        this.tone = generator.createPhasedSine(this.getToneFrequency());
+        this.toneGate = ctx.createGain();
+        this.toneDepth = ctx.createGain();
+        this.output = ctx.createGain();
+
+        this.pulse.connect(this.toneDepth);
+        this.toneDepth.connect(this.toneGate.gain);
+        this.tone.connect(this.toneGate);
+        this.toneGate.connect(this.output);
+        this.output.connect(generator.masterGain);
+
+        const set = (param, value) => { param.value = value; };
+        this.setShape();
+        this.setRate(set);
+        this.setTone(set);
+        this.setGains(set);
+
+        this.pulse.start();
+        this.tone.start();
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    // Band-limited periodic wave from sine-term amplitudes, Lanczos-smoothed
+    // so the edges stay soft instead of clicking, starting `phase` radians in
+    static createWave(ctx, amplitude, phase = 0, harmonics = 9) {
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+
+        for (let n = 1; n <= harmonics; n++) {
+            const x = Math.PI * n / (harmonics + 1);
+            const value = amplitude(n) * Math.sin(x) / x;
+            real[n] = value * Math.sin(n * phase);
+            imag[n] = value * Math.cos(n * phase);
+        }
+
+        return ctx.createPeriodicWave(real, imag);
+    }
+
+    setShape() {
+        this.pulse.setPeriodicWave(this.waves[this.generator.settings.isochronicShape]);
+    }
+
+    setRate(move) {
+        move(this.pulse.frequency, this.generator.settings.isochronicRate);
+    }
+
+    getToneFrequency() {
+        return this.generator.getRootFrequencyInRange(IsochronicLayer.MIN_TONE, IsochronicLayer.MAX_TONE);
+    }
+
+    setTone(move) {
+        move(this.tone.frequency, this.getToneFrequency());
+    }
+
+    // The pulse swings -1..1, so a gain of depth / 2 around 1 - depth / 2 spans 1 - depth..1
+    setGains(move) {
+        const settings = this.generator.settings;
+        const depth = settings.isochronic ? settings.isochronicDepth : 0;
+        const onDrone = settings.isochronicTarget === 'drone';
+
+        move(this.generator.voiceBus.gain, onDrone ? 1 - depth / 2 : 1);
+        move(this.droneDepth.gain, onDrone ? depth / 2 : 0);
+
+        move(this.toneGate.gain, 1 - depth / 2);
+        move(this.toneDepth.gain, onDrone ? 0 : depth / 2);
+        move(this.output.gain, settings.isochronic && !onDrone ? settings.isochronicLevel : 0);
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        if ('isochronicShape' in changes) {
+            this.setShape();
+        }
+        if ('isochronicRate' in changes) {
+            this.setRate(move);
+        }
+        if (DroneGenerator.PITCH_SETTINGS.some(key => key in changes)) {
+            this.setTone(move);
+        }
+        if (['isochronic', 'isochronicTarget', 'isochronicDepth', 'isochronicLevel'].some(key => key in changes)) {
+            this.setGains(move);
+        }
+    }
+
+    hold() {
+        this.generator.holdParams([
+            this.pulse.frequency, this.tone.frequency, this.generator.voiceBus.gain,
+            this.droneDepth.gain, this.toneGate.gain, this.toneDepth.gain, this.output.gain
+        ]);
+    }
+
+    // Whole pulses per loop
+    static snapToLoop(settings, loopSeconds) {
+        settings.isochronicRate = Math.max(1, Math.round(settings.isochronicRate * loopSeconds)) / loopSeconds;
+    }
+}
+
+// Range in Hz for the dedicated tone, which follows the root by octaves
+IsochronicLayer.MIN_TONE = 100;
+IsochronicLayer.MAX_TONE = 500;
+
+IsochronicLayer.DEFAULT_SETTINGS = {
+    isochronic: false,
+    isochronicTarget: 'drone',
+    isochronicShape: 'sine',
+    isochronicRate: 6,
+    isochronicDepth: 0.6,
+    isochronicLevel: 0.3
+};
+
+IsochronicLayer.SETTINGS_SCHEMA = {
+    isochronic: { type: 'boolean' },
+    isochronicTarget: { type: 'enum', values: ['drone', 'tone'] },
+    isochronicShape: { type: 'enum', values: ['sine', 'softSquare', 'ramp'] },
+    isochronicRate: { type: 'number', min: 0.5, max: 40, scale: 'log' },
+    isochronicDepth: { type: 'number', min: 0, max: 1 },
+    isochronicLevel: { type: 'number', min: 0, max: 1 }
+};
+
+DroneGenerator.registerLayer('isochronic', IsochronicLayer);
@@ -0,0 +1,317 @@
+/**
+ * MIDI Input
+ * Plays the drone from a MIDI keyboard and rides its settings from knobs
+ * and faders, through the Web MIDI API.
+ *
+ * A key sets the root to its note, in any octave the engine has (keys
+ * beyond fold in by octaves), and starts the drone if it's stopped.
+ * Without hold the drone sounds while keys are down: letting go of the
+ * newest key returns to the one held before, and letting go of the last
+ * stops it. With hold the root stays where the last key left it.
+ *
+ * Controllers are mapped with MIDI learn: pick a numeric setting, move a
+ * control, and from then on that CC on that channel sweeps the setting
+ * across its range (geometrically for log-scaled ones). Hold, the mappings
+ * and whether MIDI was switched on are kept in localStorage; devices can
+ * come and go while it runs.
+ */
+
+class MidiInput {
+    /**
+     * @param {DroneGenerator} generator
+     * @param {Storage} [storage] - Defaults to window.localStorage
+     */
+    constructor(generator, storage) {
+        this.generator = generator;
+        this.storage = storage === undefined ? PresetStore.getDefaultStorage() : storage;
+        this.access = null;
+        this.listeners = {};
+
+        // Keys down, oldest first, as { key, input }
+        this.held = [];
+        // Setting waiting for a control to be moved
+        this.learning = null;
+        // Message for the last failed read or write of the saved state
+        this.error = null;
+
+        const saved = this.read();
+        this.enabled = saved.enabled === true;
+        this.hold = saved.hold === true;
+        this.mappings = (Array.isArray(saved.mappings) ? saved.mappings : [])
+            .filter(m => m && Number.isInteger(m.channel) && Number.isInteger(m.controller) &&
+                MidiInput.isMappable(m.key));
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    // Settings a controller can sweep: anything with a numeric range
+    static isMappable(key) {
+        const rule = DroneGenerator.SETTINGS_SCHEMA[key];
+        return Boolean(rule) && (rule.type === 'number' || rule.type === 'integer');
+    }
+
+    /**
+     * Subscribe to 'devices' (inputs connected or lost), 'mappings' (learned
+     * or removed), 'learn' (learning started or ended) or 'note' (keys down).
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                // Reported as uncaught without keeping the other listeners from running
+                setTimeout(() => {
+                    throw e;
+                });
+            }
+        });
+    }
+
+    read() {
+        if (!this.storage) return {};
+        try {
+            const raw = this.storage.getItem(MidiInput.STORAGE_KEY);
+            return raw ? JSON.parse(raw) || {} : {};
+        } catch (e) {
+            this.error = 'Saved MIDI settings could not be read, so the defaults are used.';
+            return {};
+        }
+    }
+
+    persist() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(MidiInput.STORAGE_KEY, JSON.stringify({
+                enabled: this.enabled,
+                hold: this.hold,
+                mappings: this.mappings
+            }));
+            this.error = null;
+            return true;
+        } catch (e) {
+            this.error = 'MIDI settings could not be saved in this browser, so they last only until the page closes.';
+            return false;
+        }
+    }
+
+    /**
+     * Ask for MIDI access and listen to every input, now and as they're plugged in.
+     * @returns {Promise<boolean>} False when the browser has no Web MIDI or access is refused
+     */
+    async connect() {
+        if (!MidiInput.isSupported()) return false;
+
+        if (!this.access) {
+            try {
+                this.access = await navigator.requestMIDIAccess();
+            } catch (e) {
+                return false;
+            }
+            this.access.onstatechange = () => this.updateInputs();
+        }
+
+        this.enabled = true;
+        this.persist();
+        this.updateInputs();
+        return true;
+    }
+
+    disconnect() {
+        this.enabled = false;
+        this.persist();
+        this.cancelLearn();
+        this.updateInputs();
+    }
+
+    // Listen to connected inputs and let go of keys on any that have gone,
+    // or on all of them once MIDI is switched off
+    updateInputs() {
+        if (!this.access) return;
+
+        const connected = new Set();
+        this.access.inputs.forEach(input => {
+            const listening = this.enabled && input.state === 'connected';
+            input.onmidimessage = listening ? (e) => this.handleMessage(e.data, input.id) : null;
+            if (listening) connected.add(input.id);
+        });
+
+        const lost = this.held.filter(note => !connected.has(note.input));
+        lost.forEach(note => this.noteOff(note.key, note.input));
+
+        this.emit('devices', { devices: this.getDevices() });
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string, connected: boolean}>}
+     */
+    getDevices() {
+        if (!this.access) return [];
+
+        const devices = [];
+        this.access.inputs.forEach(input => {
+            devices.push({
+                id: input.id,
+                name: input.name || 'MIDI input',
+                connected: input.state === 'connected'
+            });
+        });
+        return devices;
+    }
+
+    /**
+     * Handle one MIDI message.
+     * @param {Uint8Array|number[]} data - Status byte and data bytes
+     * @param {string} [input] - ID of the input it came from
+     */
+    handleMessage(data, input = '') {
+        const type = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        if (type === 0x90 && data[2] > 0) {
+            this.noteOn(data[1], input);
+        } else if (type === 0x80 || type === 0x90) {
+            this.noteOff(data[1], input);
+        } else if (type === 0xb0) {
+            this.controlChange(channel, data[1], data[2], input);
+        }
+    }
+
+    noteOn(key, input) {
+        this.held = this.held.filter(note => note.key !== key || note.input !== input);
+        this.held.push({ key, input });
+
+        this.setRoot(key);
+        if (!this.generator.isPlaying) this.generator.play();
+        this.emit('note', { held: this.held.map(note => note.key) });
+    }
+
+    noteOff(key, input) {
+        const before = this.held.length;
+        this.held = this.held.filter(note => note.key !== key || note.input !== input);
+        if (this.held.length === before) return;
+
+        if (!this.hold) {
+            if (this.held.length > 0) {
+                this.setRoot(this.held[this.held.length - 1].key);
+            } else if (this.generator.isPlaying) {
+                this.generator.stop();
+            }
+        }
+        this.emit('note', { held: this.held.map(note => note.key) });
+    }
+
+    setRoot(key) {
+        const note = MidiInput.getNoteName(key);
+        if (this.generator.settings.rootNote !== note) {
+            this.generator.setSettings({ rootNote: note });
+        }
+    }
+
+    /**
+     * Root note name for a MIDI key, where 60 is C4. Keys outside the
+     * engine's octaves keep their note name in the nearest octave it has.
+     * @param {number} key - 0-127
+     * @returns {string} E.g. "F#2"
+     */
+    static getNoteName(key) {
+        const octave = Math.floor(key / 12) - 1;
+        return DroneGenerator.NOTE_NAMES[key % 12] +
+            Math.max(DroneGenerator.MIN_OCTAVE, Math.min(DroneGenerator.MAX_OCTAVE, octave));
+    }
+
+    controlChange(channel, controller, value, input) {
+        if (controller >= MidiInput.CHANNEL_MODE_CC) {
+            if (controller === MidiInput.ALL_NOTES_OFF) {
+                this.held.filter(note => note.input === input).forEach(note => this.noteOff(note.key, note.input));
+            }
+            return;
+        }
+
+        if (this.learning) {
+            this.addMapping(channel, controller, this.learning);
+            this.cancelLearn();
+        }
+
+        const patch = {};
+        this.mappings.forEach(mapping => {
+            if (mapping.channel === channel && mapping.controller === controller) {
+                patch[mapping.key] = MidiInput.scaleValue(DroneGenerator.SETTINGS_SCHEMA[mapping.key], value);
+            }
+        });
+        if (Object.keys(patch).length > 0) this.generator.setSettings(patch);
+    }
+
+    /**
+     * A controller value across a setting's range.
+     * @param {Object} rule - The setting's SETTINGS_SCHEMA entry
+     * @param {number} value - 0-127
+     * @returns {number}
+     */
+    static scaleValue(rule, value) {
+        const t = value / 127;
+        const scaled = rule.scale === 'log'
+            ? rule.min * Math.pow(rule.max / rule.min, t)
+            : rule.min + (rule.max - rule.min) * t;
+        return rule.type === 'integer' ? Math.round(scaled) : scaled;
+    }
+
+    // The next control moved is mapped to this setting
+    learn(key) {
+        if (!MidiInput.isMappable(key)) return false;
+
+        this.learning = key;
+        this.emit('learn', { key });
+        return true;
+    }
+
+    cancelLearn() {
+        if (!this.learning) return;
+
+        this.learning = null;
+        this.emit('learn', { key: null });
+    }
+
+    // One setting per control; a control can drive several settings
+    addMapping(channel, controller, key) {
+        this.mappings = this.mappings.filter(m => m.key !== key);
+        this.mappings.push({ channel, controller, key });
+        this.persist();
+        this.emit('mappings', { mappings: this.getMappings() });
+    }
+
+    removeMapping(key) {
+        this.mappings = this.mappings.filter(m => m.key !== key);
+        this.persist();
+        this.emit('mappings', { mappings: this.getMappings() });
+    }
+
+    getMappings() {
+        return this.mappings.map(m => Object.assign({}, m));
+    }
+
+    setHold(hold) {
+        this.hold = hold;
+        this.persist();
+    }
+}
+
+// Controllers from 120 up are channel mode messages, never mapped
+MidiInput.CHANNEL_MODE_CC = 120;
+MidiInput.ALL_NOTES_OFF = 123;
+
+MidiInput.STORAGE_KEY = 'omtones:midi';
@@ -0,0 +1,241 @@
+/**
+ * Modulation Matrix
+ * Three LFOs, each with a shape, a rate and a depth, routed to any of the
+ * engine's modulation targets: master volume, filter cutoff, resonance,
+ * stereo width, detune, reverb mix or one voice's level. A slow sine on the
+ * volume is the "breathing" swell; rates can be set in breaths per minute.
+ *
+ * Every shape is a looping buffer, so the random ones repeat the same way
+ * in every render. Each LFO has a route gain per destination, left at 0
+ * until it's routed, so changing the matrix or morphing it only moves
+ * params. Volume and voice levels are dipped from their set level (the LFO
+ * is shifted to run from -1 to 0); the rest swing either side.
+ *
+ * lfo buffer -> bipolar or unipolar -> route gain (depth * range) -> target
+ */
+
+class ModulationLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        // Shifts a unipolar output down so it runs from -1 to 0
+        this.offset = ctx.createConstantSource();
+        this.offset.offset.value = -1;
+        this.offset.start();
+
+        this.lfos = [];
+        for (let index = 1; index <= ModulationLayer.LFO_COUNT; index++) {
+            this.lfos.push(this.createLfo(index));
+        }
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    createLfo(index) {
+        const ctx = this.generator.audioContext;
+        const lfo = { index, source: null, bipolar: ctx.createGain(), unipolar: ctx.createGain(), routes: {} };
+
+        lfo.unipolar.gain.value = 0.5;
+        this.offset.connect(lfo.unipolar);
+
+        Object.keys(ModulationLayer.DESTINATIONS).forEach(name => {
+            const route = ctx.createGain();
+            route.gain.value = this.getRouteGain(index, name);
+            (ModulationLayer.DESTINATIONS[name].unipolar ? lfo.unipolar : lfo.bipolar).connect(route);
+            route.connect(this.generator.modulationTargets[name]);
+            lfo.routes[name] = route;
+        });
+
+        this.startSource(lfo);
+        return lfo;
+    }
+
+    // Swap in a source of the current shape, picking up where the LFO would be
+    startSource(lfo) {
+        const ctx = this.generator.audioContext;
+        const settings = this.generator.settings;
+        const shape = settings[`mod${lfo.index}Shape`];
+        const rate = settings[`mod${lfo.index}Rate`];
+
+        if (lfo.source) {
+            lfo.source.stop();
+            lfo.source.disconnect();
+        }
+
+        const buffer = ModulationLayer.createShapeBuffer(ctx, shape, `modulation:${lfo.index}`);
+        const cycles = (ctx.currentTime + this.generator.timeOffset) * rate;
+        const period = ModulationLayer.getCycles(shape);
+        // Export pre-rolls start before time 0, and a buffer offset can't be negative
+        const offset = ((cycles % period + period) % period) * ModulationLayer.CYCLE_SAMPLES / ctx.sampleRate;
+
+        lfo.source = ctx.createBufferSource();
+        lfo.source.buffer = buffer;
+        lfo.source.loop = true;
+        lfo.source.playbackRate.value = this.getPlaybackRate(rate);
+        lfo.source.connect(lfo.bipolar);
+        lfo.source.connect(lfo.unipolar);
+        lfo.source.start(0, offset);
+    }
+
+    static getCycles(shape) {
+        return shape === 'sine' || shape === 'triangle' ? 1 : ModulationLayer.RANDOM_CYCLES;
+    }
+
+    /**
+     * One period of a shape, from -1 to 1, CYCLE_SAMPLES per LFO cycle.
+     * @param {BaseAudioContext} ctx
+     * @param {string} shape - sine, triangle, smooth (random, eased between values) or step (sample and hold)
+     * @param {string} seed - Random shapes come out the same for the same seed
+     * @returns {AudioBuffer}
+     */
+    static createShapeBuffer(ctx, shape, seed) {
+        const size = ModulationLayer.CYCLE_SAMPLES;
+        const cycles = ModulationLayer.getCycles(shape);
+        const buffer = ctx.createBuffer(1, size * cycles, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        if (cycles === 1) {
+            for (let i = 0; i < size; i++) {
+                const phase = i / size;
+                data[i] = shape === 'sine'
+                    ? Math.sin(2 * Math.PI * phase)
+                    : 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5);
+            }
+            return buffer;
+        }
+
+        const random = new SeededRandom(seed);
+        const values = Array.from({ length: cycles }, () => random.range(-1, 1));
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            const from = values[cycle];
+            const to = values[(cycle + 1) % cycles];
+            for (let i = 0; i < size; i++) {
+                const ease = shape === 'smooth' ? (1 - Math.cos(Math.PI * i / size)) / 2 : 0;
+                data[cycle * size + i] = from + (to - from) * ease;
+            }
+        }
+        return buffer;
+    }
+
+    getPlaybackRate(rate) {
+        return rate * ModulationLayer.CYCLE_SAMPLES / this.generator.audioContext.sampleRate;
+    }
+
+    static getRoutes(text) {
+        return text ? text.split(/\s+/).filter(Boolean) : [];
+    }
+
+    // Depth scaled to the destination; reverb can swing as far as the mix allows either way
+    getRouteGain(index, name) {
+        const settings = this.generator.settings;
+        if (!ModulationLayer.getRoutes(settings[`mod${index}Routes`]).includes(name)) return 0;
+
+        const depth = settings[`mod${index}Depth`];
+        if (name === 'reverb') {
+            return depth * Math.min(settings.reverbAmount, 1 - settings.reverbAmount);
+        }
+        return depth * ModulationLayer.DESTINATIONS[name].range;
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        this.lfos.forEach(lfo => {
+            const prefix = `mod${lfo.index}`;
+            if (`${prefix}Shape` in changes) {
+                this.startSource(lfo);
+            } else if (`${prefix}Rate` in changes) {
+                move(lfo.source.playbackRate, this.getPlaybackRate(changes[`${prefix}Rate`]));
+            }
+
+            if ([`${prefix}Depth`, `${prefix}Routes`, 'reverbAmount'].some(key => key in changes)) {
+                Object.keys(lfo.routes).forEach(name => {
+                    move(lfo.routes[name].gain, this.getRouteGain(lfo.index, name));
+                });
+            }
+        });
+    }
+
+    hold() {
+        const params = [];
+        this.lfos.forEach(lfo => {
+            params.push(lfo.source.playbackRate);
+            Object.values(lfo.routes).forEach(route => params.push(route.gain));
+        });
+        this.generator.holdParams(params);
+    }
+
+    // Whole cycles per loop; the random shapes only repeat every RANDOM_CYCLES
+    // cycles, so they rely on the loop crossfade
+    static snapToLoop(settings, loopSeconds) {
+        for (let index = 1; index <= ModulationLayer.LFO_COUNT; index++) {
+            const key = `mod${index}Rate`;
+            settings[key] = Math.max(1, Math.round(settings[key] * loopSeconds)) / loopSeconds;
+        }
+    }
+}
+
+ModulationLayer.LFO_COUNT = 3;
+ModulationLayer.CYCLE_SAMPLES = 1024;
+ModulationLayer.RANDOM_CYCLES = 64;
+ModulationLayer.SHAPES = ['sine', 'triangle', 'smooth', 'step'];
+
+// Modulation targets and how far a full-depth LFO moves each: gain for volume,
+// width and voice levels, cents for cutoff and detune, dB for resonance
+ModulationLayer.DESTINATIONS = {
+    volume: { label: 'Volume', range: 1, unipolar: true },
+    cutoff: { label: 'Cutoff', range: 1200 },
+    resonance: { label: 'Resonance', range: 6 },
+    width: { label: 'Width', range: 1 },
+    detune: { label: 'Detune', range: 20 },
+    reverb: { label: 'Reverb', range: 1 }
+};
+for (let voice = 1; voice <= DroneGenerator.MAX_VOICES; voice++) {
+    ModulationLayer.DESTINATIONS[`voice${voice}`] = { label: `Voice ${voice}`, range: 1, unipolar: true };
+}
+
+ModulationLayer.DEFAULT_SETTINGS = {
+    mod1Shape: 'sine',
+    mod1Rate: 0.1,
+    mod1Unit: 'bpm',
+    mod1Depth: 0.3,
+    mod1Routes: '',
+    mod2Shape: 'triangle',
+    mod2Rate: 0.05,
+    mod2Unit: 'hz',
+    mod2Depth: 0.3,
+    mod2Routes: '',
+    mod3Shape: 'smooth',
+    mod3Rate: 0.2,
+    mod3Unit: 'hz',
+    mod3Depth: 0.3,
+    mod3Routes: ''
+};
+
+// Routes are destination names separated by spaces, each at most once
+ModulationLayer.SETTINGS_SCHEMA = {};
+for (let index = 1; index <= ModulationLayer.LFO_COUNT; index++) {
+    Object.assign(ModulationLayer.SETTINGS_SCHEMA, {
+        [`mod${index}Shape`]: { type: 'enum', values: ModulationLayer.SHAPES },
+        [`mod${index}Rate`]: { type: 'number', min: 0.01, max: 10, scale: 'log' },
+        [`mod${index}Unit`]: { type: 'enum', values: ['hz', 'bpm'] },
+        [`mod${index}Depth`]: { type: 'number', min: 0, max: 1 },
+        [`mod${index}Routes`]: {
+            type: 'string',
+            maxLength: 200,
+            validate: text => {
+                const routes = ModulationLayer.getRoutes(text);
+                const unknown = routes.find(name => !(name in ModulationLayer.DESTINATIONS));
+                if (unknown) return `"${unknown}" is not a modulation destination`;
+                if (new Set(routes).size !== routes.length) return 'A destination is listed twice';
+                return null;
+            }
+        }
+    });
+}
+
+DroneGenerator.registerLayer('modulation', ModulationLayer);
@@ -0,0 +1,230 @@
+/**
+ * Noise Layer
+ * Procedural white, pink or brown noise under the drone, so there are no
+ * sample files to host or loop. A few seconds of noise are generated into a
+ * looping buffer; at that length the repeat can't be heard. The noise is
+ * seeded and the loop is played from the point a longer render would have
+ * reached, so export chunks carry the same noise where they overlap.
+ *
+ * source -> shaping filter -> swell (slow LFO on gain) -> level -> master gain
+ *
+ * The layer feeds the master gain, so it fades with play() and stop() and
+ * shows in the visualizer. Slow swells on filtered pink noise give "ocean".
+ */
+
+class NoiseLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        this.buffers = {};
+        this.source = null;
+        this.sourceGain = null;
+
+        this.filter = ctx.createBiquadFilter();
+        this.swell = ctx.createGain();
+        this.output = ctx.createGain();
+
+        this.swellLfo = generator.createPhasedSine(generator.settings.noiseSwellRate);
+        this.swellDepth = ctx.createGain();
+        this.swellLfo.connect(this.swellDepth);
+        this.swellDepth.connect(this.swell.gain);
+
+        this.filter.connect(this.swell);
+        this.swell.connect(this.output);
+        this.output.connect(generator.masterGain);
+
+        const set = (param, value) => { param.value = value; };
+        this.setFilter(set);
+        this.setSwell(set);
+        this.setLevel(set);
+        this.setColor(0);
+
+        this.swellLfo.start();
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    getBuffer(color) {
+        if (!this.buffers[color]) {
+            const ctx = this.generator.audioContext;
+            const length = Math.round(NoiseLayer.BUFFER_SECONDS * ctx.sampleRate);
+            const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+
+            // Independent channels keep the noise wide rather than centred
+            for (let ch = 0; ch < 2; ch++) {
+                NoiseLayer.fill(color, buffer.getChannelData(ch), new SeededRandom(`noise:${color}:${ch}`).toFunction());
+            }
+            this.buffers[color] = buffer;
+        }
+        return this.buffers[color];
+    }
+
+    /**
+     * Fill an array with noise of the given color, roughly within -1..1.
+     * @param {string} color - 'white', 'pink' or 'brown'
+     * @param {Float32Array} data
+     * @param {Function} random - Returns numbers in [0, 1)
+     */
+    static fill(color, data, random) {
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        let last = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            const white = random() * 2 - 1;
+
+            switch (color) {
+                case 'pink':
+                    // Paul Kellet's refined pink filter
+                    b0 = 0.99886 * b0 + white * 0.0555179;
+                    b1 = 0.99332 * b1 + white * 0.0750759;
+                    b2 = 0.96900 * b2 + white * 0.1538520;
+                    b3 = 0.86650 * b3 + white * 0.3104856;
+                    b4 = 0.55000 * b4 + white * 0.5329522;
+                    b5 = -0.7616 * b5 - white * 0.0168980;
+                    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                    b6 = white * 0.115926;
+                    break;
+                case 'brown':
+                    // Leaky integrator, so the signal can't wander off
+                    last = (last + 0.02 * white) / 1.02;
+                    data[i] = last * 3.5;
+                    break;
+                default:
+                    data[i] = white;
+            }
+        }
+    }
+
+    // Swap to a new noise color with a short crossfade
+    setColor(fadeTime = 0.3) {
+        const ctx = this.generator.audioContext;
+        const now = ctx.currentTime;
+
+        if (this.source) {
+            const { source, sourceGain } = this;
+            sourceGain.gain.setValueAtTime(sourceGain.gain.value, now);
+            sourceGain.gain.linearRampToValueAtTime(0, now + fadeTime);
+            source.stop(now + fadeTime + 0.05);
+            source.onended = () => sourceGain.disconnect();
+        }
+
+        this.source = ctx.createBufferSource();
+        this.source.buffer = this.getBuffer(this.generator.settings.noiseColor);
+        this.source.loop = true;
+
+        this.sourceGain = ctx.createGain();
+        this.sourceGain.gain.setValueAtTime(fadeTime ? 0 : 1, now);
+        if (fadeTime) this.sourceGain.gain.linearRampToValueAtTime(1, now + fadeTime);
+
+        this.source.connect(this.sourceGain);
+        this.sourceGain.connect(this.filter);
+
+        const loop = NoiseLayer.BUFFER_SECONDS;
+        this.source.start(now, ((now + this.generator.timeOffset) % loop + loop) % loop);
+    }
+
+    setFilter(move) {
+        const settings = this.generator.settings;
+        this.filter.type = settings.noiseFilterType;
+        move(this.filter.frequency, settings.noiseFilterFreq);
+        move(this.filter.Q, settings.noiseFilterType === 'bandpass' ? 1 : 0.7);
+    }
+
+    // Gain swings between 1 - depth and 1 around 1 - depth / 2
+    setSwell(move) {
+        const settings = this.generator.settings;
+        move(this.swell.gain, 1 - settings.noiseSwell / 2);
+        move(this.swellDepth.gain, settings.noiseSwell / 2);
+        move(this.swellLfo.frequency, settings.noiseSwellRate);
+    }
+
+    setLevel(move) {
+        const settings = this.generator.settings;
+        move(this.output.gain, settings.noise ? settings.noiseLevel : 0);
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        if ('noiseColor' in changes) {
+            this.setColor();
+        }
+        if ('noiseFilterType' in changes || 'noiseFilterFreq' in changes) {
+            this.setFilter(move);
+        }
+        if ('noiseSwell' in changes || 'noiseSwellRate' in changes) {
+            this.setSwell(move);
+        }
+        if ('noise' in changes || 'noiseLevel' in changes) {
+            this.setLevel(move);
+        }
+    }
+
+    hold() {
+        this.generator.holdParams([
+            this.filter.frequency, this.filter.Q, this.swell.gain,
+            this.swellDepth.gain, this.swellLfo.frequency, this.output.gain
+        ]);
+    }
+
+    // Whole swells per loop
+    static snapToLoop(settings, loopSeconds) {
+        settings.noiseSwellRate = Math.max(1, Math.round(settings.noiseSwellRate * loopSeconds)) / loopSeconds;
+    }
+}
+
+NoiseLayer.BUFFER_SECONDS = 8;
+
+NoiseLayer.DEFAULT_SETTINGS = {
+    noise: false,
+    noiseColor: 'pink',
+    noiseLevel: 0.3,
+    noiseFilterType: 'lowpass',
+    noiseFilterFreq: 4000,
+    noiseSwell: 0,
+    noiseSwellRate: 0.1
+};
+
+NoiseLayer.SETTINGS_SCHEMA = {
+    noise: { type: 'boolean' },
+    noiseColor: { type: 'enum', values: ['white', 'pink', 'brown'] },
+    noiseLevel: { type: 'number', min: 0, max: 1 },
+    noiseFilterType: { type: 'enum', values: ['lowpass', 'bandpass'] },
+    noiseFilterFreq: { type: 'number', min: 100, max: 10000, scale: 'log' },
+    noiseSwell: { type: 'number', min: 0, max: 1 },
+    noiseSwellRate: { type: 'number', min: 0.02, max: 0.5, scale: 'log' }
+};
+
+// Ready-made noise settings for the layer's quick buttons
+NoiseLayer.STYLES = {
+    ocean: {
+        noise: true,
+        noiseColor: 'pink',
+        noiseFilterType: 'lowpass',
+        noiseFilterFreq: 900,
+        noiseSwell: 0.7,
+        noiseSwellRate: 0.08
+    },
+    rumble: {
+        noise: true,
+        noiseColor: 'brown',
+        noiseFilterType: 'lowpass',
+        noiseFilterFreq: 400,
+        noiseSwell: 0.2,
+        noiseSwellRate: 0.05
+    },
+    air: {
+        noise: true,
+        noiseColor: 'white',
+        noiseFilterType: 'bandpass',
+        noiseFilterFreq: 3000,
+        noiseSwell: 0.3,
+        noiseSwellRate: 0.12
+    }
+};
+
+DroneGenerator.registerLayer('noise', NoiseLayer);
@@ -0,0 +1,330 @@
+/**
+ * Preset Store
+ * Keeps user presets, saved custom chords and the last session in
+ * localStorage, and moves presets in and out as versioned JSON files.
+ *
+ * File format (version 2):
+ *   { "format": "omtones-presets", "version": 2,
+ *     "presets": [{ "id", "name", "created", "updated", "settings": {...} }] }
+ *
+ * Version 1 files hold settings in slider units (levels and amounts 0-100,
+ * LFO rate in hundredths of a Hz), the layout the built-in presets used
+ * before the engine split. They are migrated on import.
+ */
+
+class PresetStore {
+    /**
+     * @param {Storage} [storage] - Defaults to window.localStorage
+     */
+    constructor(storage) {
+        this.storage = storage || PresetStore.getDefaultStorage();
+        // Message for the last failed read or write, cleared by the next good write
+        this.error = null;
+        this.presets = this.read(PresetStore.PRESETS_KEY, []).filter(p => p && p.id && p.settings);
+        this.chords = this.read(PresetStore.CHORDS_KEY, [])
+            .filter(c => c && c.id && typeof c.name === 'string' && !CustomChord.check(c.chord));
+    }
+
+    static getDefaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (e) {
+            // Access throws when storage is disabled
+            return null;
+        }
+    }
+
+    read(key, fallback) {
+        if (!this.storage) return fallback;
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            this.error = 'Some data saved in this browser could not be read, so it was skipped.';
+            return fallback;
+        }
+    }
+
+    write(key, value) {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            this.error = null;
+            return true;
+        } catch (e) {
+            this.error = 'Could not save to this browser\'s storage, so changes last only until the page closes.';
+            return false;
+        }
+    }
+
+    persist() {
+        return this.write(PresetStore.PRESETS_KEY, this.presets);
+    }
+
+    list() {
+        return this.presets.slice();
+    }
+
+    get(id) {
+        return this.presets.find(p => p.id === id) || null;
+    }
+
+    findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return this.presets.find(p => p.name.toLowerCase() === wanted) || null;
+    }
+
+    static createId() {
+        return 'user_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * Save settings under a name. Saving over an existing name replaces that preset.
+     * @returns {Object} The stored preset
+     */
+    save(name, settings) {
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Preset name cannot be empty');
+
+        const now = new Date().toISOString();
+        const existing = this.findByName(trimmed);
+
+        if (existing) {
+            existing.settings = Object.assign({}, settings);
+            existing.updated = now;
+            this.persist();
+            return existing;
+        }
+
+        const preset = {
+            id: PresetStore.createId(),
+            name: trimmed,
+            created: now,
+            updated: now,
+            settings: Object.assign({}, settings)
+        };
+        this.presets.push(preset);
+        this.persist();
+        return preset;
+    }
+
+    rename(id, name) {
+        const preset = this.get(id);
+        const trimmed = name.trim();
+        if (!preset) throw new Error('Preset not found');
+        if (!trimmed) throw new Error('Preset name cannot be empty');
+
+        const clash = this.findByName(trimmed);
+        if (clash && clash.id !== id) throw new Error(`A preset named "${trimmed}" already exists`);
+
+        preset.name = trimmed;
+        preset.updated = new Date().toISOString();
+        this.persist();
+        return preset;
+    }
+
+    remove(id) {
+        const index = this.presets.findIndex(p => p.id === id);
+        if (index === -1) return false;
+
+        this.presets.splice(index, 1);
+        this.persist();
+        return true;
+    }
+
+    // Import / export
+
+    /**
+     * @param {string[]} [ids] - Presets to include, defaults to all
+     * @returns {string} JSON in the current file format
+     */
+    exportJSON(ids) {
+        const presets = ids ? this.presets.filter(p => ids.includes(p.id)) : this.presets;
+        return JSON.stringify({
+            format: PresetStore.FORMAT,
+            version: PresetStore.VERSION,
+            exported: new Date().toISOString(),
+            presets
+        }, null, 2);
+    }
+
+    /**
+     * Validate, migrate and add presets from a JSON file. Presets whose name
+     * already exists are imported under a numbered name.
+     * @param {string} text - File contents
+     * @returns {{presets: Object[], warnings: string[]}} The added presets and
+     *     a message for every value that was clamped or dropped
+     * @throws {Error} When the file is not a preset file at all
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a valid JSON file');
+        }
+
+        const file = PresetStore.migrate(data);
+        const warnings = [];
+        const added = [];
+
+        file.presets.forEach((raw, index) => {
+            const label = raw && typeof raw.name === 'string' && raw.name.trim()
+                ? raw.name.trim()
+                : `Imported preset ${index + 1}`;
+
+            if (!raw || typeof raw.settings !== 'object' || raw.settings === null) {
+                warnings.push(`${label}: no settings, skipped`);
+                return;
+            }
+
+            const presetWarnings = [];
+            const settings = Object.assign(
+                {},
+                DroneGenerator.DEFAULT_SETTINGS,
+                DroneGenerator.sanitizeSettings(raw.settings, presetWarnings)
+            );
+            presetWarnings.forEach(w => warnings.push(`${label}: ${w}`));
+
+            const now = new Date().toISOString();
+            const preset = {
+                id: PresetStore.createId(),
+                name: this.uniqueName(label),
+                created: typeof raw.created === 'string' ? raw.created : now,
+                updated: now,
+                settings
+            };
+            this.presets.push(preset);
+            added.push(preset);
+        });
+
+        this.persist();
+        return { presets: added, warnings };
+    }
+
+    uniqueName(name) {
+        if (!this.findByName(name)) return name;
+
+        let n = 2;
+        while (this.findByName(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    /**
+     * Bring parsed file data up to the current version.
+     * @throws {Error} When the data is not a preset file or is from a newer version
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || data.format !== PresetStore.FORMAT) {
+            throw new Error('Not an OmTones preset file');
+        }
+
+        const version = Number(data.version);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown preset file version "${data.version}"`);
+        }
+        if (version > PresetStore.VERSION) {
+            throw new Error(`Preset file version ${version} is newer than this app supports (${PresetStore.VERSION})`);
+        }
+        if (!Array.isArray(data.presets)) {
+            throw new Error('Preset file has no presets list');
+        }
+
+        let file = data;
+        for (let v = version; v < PresetStore.VERSION; v++) {
+            file = PresetStore.MIGRATIONS[v](file);
+        }
+        return file;
+    }
+
+    // Custom chords
+
+    listChords() {
+        return this.chords.slice();
+    }
+
+    getChord(id) {
+        return this.chords.find(c => c.id === id) || null;
+    }
+
+    /**
+     * Save chord text (see chord.js) under a name, replacing a chord of the same name.
+     * @returns {Object} The stored chord
+     */
+    saveChord(name, chord) {
+        const trimmed = name.trim();
+        if (!trimmed) throw new Error('Chord name cannot be empty');
+        const problem = CustomChord.check(chord);
+        if (problem) throw new Error(problem);
+
+        const wanted = trimmed.toLowerCase();
+        const existing = this.chords.find(c => c.name.toLowerCase() === wanted);
+        if (existing) {
+            existing.chord = chord;
+            this.write(PresetStore.CHORDS_KEY, this.chords);
+            return existing;
+        }
+
+        const saved = { id: PresetStore.createId(), name: trimmed, chord };
+        this.chords.push(saved);
+        this.write(PresetStore.CHORDS_KEY, this.chords);
+        return saved;
+    }
+
+    removeChord(id) {
+        const index = this.chords.findIndex(c => c.id === id);
+        if (index === -1) return false;
+
+        this.chords.splice(index, 1);
+        this.write(PresetStore.CHORDS_KEY, this.chords);
+        return true;
+    }
+
+    // Last session
+
+    saveSession(settings, preset) {
+        return this.write(PresetStore.SESSION_KEY, {
+            version: PresetStore.VERSION,
+            settings,
+            preset: preset || null
+        });
+    }
+
+    /**
+     * @returns {{settings: Object, preset: Object|null}|null} The validated last
+     *     session, or null when there is none
+     */
+    loadSession() {
+        const session = this.read(PresetStore.SESSION_KEY, null);
+        if (!session || typeof session !== 'object') return null;
+
+        const preset = session.preset && typeof session.preset.id === 'string' ? session.preset : null;
+        return {
+            settings: DroneGenerator.sanitizeSettings(session.settings),
+            preset
+        };
+    }
+}
+
+PresetStore.FORMAT = 'omtones-presets';
+PresetStore.VERSION = 2;
+PresetStore.PRESETS_KEY = 'omtones:presets';
+PresetStore.SESSION_KEY = 'omtones:session';
+PresetStore.CHORDS_KEY = 'omtones:chords';
+
+// MIGRATIONS[n] turns a version n file into version n + 1
+PresetStore.MIGRATIONS = {
+    1: file => ({
+        format: file.format,
+        version: 2,
+        presets: file.presets.map(preset => {
+            if (!preset || typeof preset.settings !== 'object' || preset.settings === null) return preset;
+
+            const settings = Object.assign({}, preset.settings);
+            ['osc1Level', 'osc2Level', 'osc3Level', 'reverbAmount', 'lfoRate', 'lfoDepth'].forEach(key => {
+                if (typeof settings[key] === 'number') settings[key] = settings[key] / 100;
+            });
+            return Object.assign({}, preset, { settings });
+        })
+    })
+};
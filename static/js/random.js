@@ -0,0 +1,98 @@
+/**
+ * Seeded Random
+ * A small deterministic random number generator (mulberry32), so anything
+ * generated from a seed sounds the same on every play, export and device.
+ * Math.random() can't be seeded, which is why generative code takes one of
+ * these instead.
+ */
+
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Strings are hashed into a number
+     */
+    constructor(seed) {
+        this.state = (typeof seed === 'string' ? SeededRandom.hash(seed) : seed) >>> 0;
+    }
+
+    // Next number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    // Integer from min to max inclusive
+    int(min, max) {
+        return min + Math.floor((max - min + 1) * this.next());
+    }
+
+    // Pick from an array
+    pick(items) {
+        return items[Math.floor(items.length * this.next())];
+    }
+
+    /**
+     * A plain function, for code that expects Math.random's signature.
+     * @returns {Function}
+     */
+    toFunction() {
+        return () => this.next();
+    }
+
+    // FNV-1a string hash
+    static hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // A fresh seed for when the user asks for a new variation
+    static randomSeed() {
+        return 1 + Math.floor(Math.random() * SeededRandom.MAX_SEED);
+    }
+}
+
+SeededRandom.MAX_SEED = 999999;
+
+/**
+ * Seeded Noise
+ * Smooth random drift (value noise): a seeded value from -1 to 1 at every
+ * whole-number position, eased between, so nearby positions give nearby
+ * values. Any position can be read directly, in any order, which lets
+ * export chunks and a live scheduler agree on where the drift is.
+ */
+class SeededNoise {
+    /**
+     * @param {number|string} seed - Strings are hashed into a number
+     * @param {number} [period] - Whole positions after which the noise repeats; omit for none
+     */
+    constructor(seed, period) {
+        this.seed = (typeof seed === 'string' ? SeededRandom.hash(seed) : seed) >>> 0;
+        this.period = period || 0;
+    }
+
+    // Noise at any position, from -1 to 1
+    at(position) {
+        const index = Math.floor(position);
+        const t = position - index;
+        const ease = t * t * (3 - 2 * t);
+        const from = this.point(index);
+        return from + (this.point(index + 1) - from) * ease;
+    }
+
+    point(index) {
+        if (this.period) {
+            index = ((index % this.period) + this.period) % this.period;
+        }
+        return new SeededRandom((this.seed ^ Math.imul(index, 0x9E3779B1)) >>> 0).range(-1, 1);
+    }
+}
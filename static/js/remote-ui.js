@@ -0,0 +1,228 @@
+/**
+ * Remote View - Page Controller
+ * Binds a RemoteClient to remote.html: the room comes from the link, or
+ * from the pairing form when the link has none, and the controls mirror
+ * the host's state as it arrives. See remote.js for the protocol.
+ */
+
+// Slider-backed settings, as in drone-ui.js
+const REMOTE_SLIDERS = [
+    { key: 'volume', input: 'remoteVolume', display: 'remoteVolumeValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'filterFreq', input: 'remoteFilterFreq', display: 'remoteFilterFreqValue', scale: 1, format: v => Math.round(v) + ' Hz' },
+    { key: 'reverbAmount', input: 'remoteReverbAmount', display: 'remoteReverbAmountValue', scale: 100, format: v => Math.round(v * 100) + '%' },
+    { key: 'detune', input: 'remoteDetune', display: 'remoteDetuneValue', scale: 1, format: v => Math.round(v) + ' cents' }
+];
+
+// Milliseconds a conflict notice stays up
+const REMOTE_NOTICE_MS = 4000;
+
+class RemoteController {
+    constructor() {
+        this.client = null;
+        this.noticeTimeout = null;
+
+        this.init();
+    }
+
+    init() {
+        const params = new URLSearchParams(window.location.search);
+        const room = DroneRemote.normalizeRoom(params.get('room'));
+        const transport = params.get('transport') || DroneRemote.DEFAULT_TRANSPORT;
+        const relay = params.get('relay') || '';
+
+        this.setupControls();
+
+        if (room && DroneRemote.TRANSPORTS[transport]) {
+            this.connect(room, transport, relay);
+        } else {
+            this.setupPairing(transport, relay);
+        }
+    }
+
+    setupPairing(transport, relay) {
+        const select = document.getElementById('pairTransport');
+        const relayInput = document.getElementById('pairRelay');
+
+        if (DroneRemote.TRANSPORTS[transport]) select.value = transport;
+        relayInput.value = relay;
+        document.getElementById('pairRelayField').hidden = select.value !== 'websocket';
+        document.getElementById('remotePair').hidden = false;
+
+        select.addEventListener('change', () => {
+            document.getElementById('pairRelayField').hidden = select.value !== 'websocket';
+        });
+
+        document.getElementById('pairConnect').addEventListener('click', () => {
+            const room = DroneRemote.normalizeRoom(document.getElementById('pairRoom').value);
+            const address = relayInput.value.trim();
+            if (room.length !== DroneRemote.ROOM_LENGTH) {
+                this.showNotice('Enter the six-character room code.', 'pairNotice');
+                return;
+            }
+            if (select.value === 'websocket' && !/^wss?:\/\//.test(address)) {
+                this.showNotice('Enter the relay address, starting ws:// or wss://.', 'pairNotice');
+                return;
+            }
+
+            // Keep the room in the address, so a reload or bookmark reconnects
+            const url = new URL(DroneRemote.getRemoteUrl(window.location.href, room, select.value,
+                select.value === 'websocket' ? address : ''));
+            window.history.replaceState(null, '', url.pathname + url.search);
+
+            document.getElementById('remotePair').hidden = true;
+            this.connect(room, select.value, address);
+        });
+    }
+
+    connect(room, transportName, relay) {
+        const Transport = DroneRemote.TRANSPORTS[transportName];
+        if (!Transport.isSupported()) {
+            document.getElementById('remotePair').hidden = false;
+            this.showNotice('This browser can\'t connect this way.', 'pairNotice');
+            return;
+        }
+
+        const client = new RemoteClient(DroneRemote.createTransport(transportName, { url: relay }), room);
+        client.on('status', () => this.updateStatus());
+        client.on('state', ({ state }) => this.render(state));
+        client.on('conflict', detail => this.showConflict(detail));
+        client.on('error', ({ message }) => this.showNotice(`The drone couldn't do that: ${message}`));
+        this.client = client;
+
+        document.getElementById('remotePanel').hidden = false;
+        client.start();
+        window.addEventListener('pagehide', () => client.close());
+    }
+
+    setupControls() {
+        document.getElementById('remotePlay').addEventListener('click', () => {
+            const state = this.client?.state;
+            if (!state) return;
+            if (state.playing) {
+                this.client.stop();
+            } else {
+                this.client.play();
+            }
+        });
+
+        REMOTE_SLIDERS.forEach(control => {
+            document.getElementById(control.input).addEventListener('input', (e) => {
+                const value = parseInt(e.target.value) / control.scale;
+                document.getElementById(control.display).textContent = control.format(value);
+                this.client?.setSettings({ [control.key]: value });
+            });
+        });
+
+        document.querySelectorAll('#remotePanel .timer-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const minutes = parseInt(btn.dataset.time);
+                if (minutes > 0) {
+                    this.client?.startTimer(minutes);
+                } else {
+                    this.client?.stopTimer();
+                }
+            });
+        });
+    }
+
+    updateStatus() {
+        const badge = document.getElementById('remoteBadge');
+        const text = badge.querySelector('.status-text');
+        const status = this.client.status;
+        const state = this.client.state;
+
+        if (status === 'connected') {
+            badge.className = 'status-badge ' + (state.playing ? 'playing' : 'ready');
+            text.textContent = state.playing ? 'Playing' : 'Stopped';
+        } else {
+            badge.className = 'status-badge waiting';
+            text.textContent = {
+                connecting: 'Connecting…',
+                waiting: 'Waiting for the drone…',
+                closed: 'Disconnected'
+            }[status];
+        }
+
+        const live = status === 'connected';
+        document.querySelectorAll('#remotePanel button, #remotePanel input').forEach(control => {
+            control.disabled = !live;
+        });
+    }
+
+    // Write the mirrored state into the controls
+    render(state) {
+        const settings = state.settings;
+
+        const play = document.getElementById('remotePlay');
+        play.classList.toggle('playing', state.playing);
+        play.querySelector('i').className = state.playing ? 'ri-stop-fill' : 'ri-play-fill';
+        play.querySelector('span').textContent = state.playing ? 'Stop' : 'Play';
+
+        document.getElementById('remoteNow').textContent =
+            [settings.rootNote, state.preset ? state.preset.label : null].filter(Boolean).join(' · ');
+
+        REMOTE_SLIDERS.forEach(control => {
+            const value = settings[control.key];
+            if (typeof value !== 'number') return;
+            document.getElementById(control.input).value = Math.round(value * control.scale);
+            document.getElementById(control.display).textContent = control.format(value);
+        });
+
+        this.renderPresets(state);
+
+        const timer = state.timer;
+        document.getElementById('remoteTimer').classList.toggle('active', timer.active);
+        document.getElementById('remoteTimerValue').textContent = timer.active ? this.formatTime(timer.remaining) : '--:--';
+
+        this.updateStatus();
+    }
+
+    renderPresets(state) {
+        const container = document.getElementById('remotePresets');
+        const ids = state.presets.map(preset => preset.id).join(',');
+
+        // Rebuilt only when the host's list changes
+        if (container.dataset.presets !== ids) {
+            container.dataset.presets = ids;
+            container.innerHTML = '';
+            state.presets.forEach(preset => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'preset-btn';
+                btn.dataset.preset = preset.id;
+                btn.textContent = preset.label;
+                btn.addEventListener('click', () => this.client.applyPreset(preset.id));
+                container.appendChild(btn);
+            });
+        }
+
+        container.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.classList.toggle('active', Boolean(state.preset) && btn.dataset.preset === state.preset.id);
+        });
+    }
+
+    showConflict({ key, by }) {
+        const control = REMOTE_SLIDERS.find(c => c.key === key);
+        const label = control ? document.querySelector(`label[for="${control.input}"]`).textContent : key;
+        this.showNotice(`${label} was just changed ${by === 'host' ? 'on the drone\'s page' : 'from another remote'}, so your change wasn't applied.`);
+    }
+
+    showNotice(text, id = 'remoteNotice') {
+        const notice = document.getElementById(id);
+        notice.textContent = text;
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => {
+            notice.textContent = '';
+        }, REMOTE_NOTICE_MS);
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${rest.toString().padStart(2, '0')}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.remoteController = new RemoteController();
+});
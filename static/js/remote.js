@@ -0,0 +1,733 @@
+/**
+ * Remote Control
+ * Lets other tabs, or another device, drive a drone playing on this page.
+ * The page with the sound runs a RemoteHost; each remote view runs a
+ * RemoteClient that mirrors the host's state and sends it commands. Both
+ * talk through a transport and only listen to messages for their room, a
+ * short code that pairs a remote with one host.
+ *
+ * Transports are registered with DroneRemote.registerTransport(), under
+ * the name a link or the page picks them by, and implement:
+ *
+ *   open(onMessage, onStatus)  Start delivering messages (plain objects)
+ *                              and status changes: 'connecting', 'open'
+ *                              or 'closed'
+ *   send(message)              Deliver to every other endpoint, or drop it
+ *                              while not open
+ *   close()
+ *
+ * 'broadcast' reaches other tabs of this browser over a BroadcastChannel.
+ * 'websocket' goes through a relay: any WebSocket server that sends each
+ * text message it receives to every other connected client, run on the
+ * machine with the drone so a phone on the same network can reach it.
+ *
+ * Messages are { protocol, version, room, from, type, ... }. Remotes send
+ * 'hello' on connecting and every HEARTBEAT after, 'command' to act and
+ * 'bye' on leaving. The host answers with 'state', the full picture, after
+ * every change and every hello, 'conflict' for a rejected setting and
+ * 'error' for a command that failed.
+ *
+ * Conflicts: the host counts changes to each setting and remembers who
+ * made the last one. A remote sends the count it last saw with each
+ * setting it changes; if the setting has moved since, at the hands of
+ * someone else, the change is rejected and the remote is told the value
+ * that won. A remote changing the same setting over and over, like a
+ * dragged slider, never collides with itself.
+ */
+
+class DroneRemote {
+    /**
+     * @param {string} name - Transport name, as used in remote links
+     * @param {Function} Transport - Class constructed with an options object
+     */
+    static registerTransport(name, Transport) {
+        DroneRemote.TRANSPORTS[name] = Transport;
+    }
+
+    /**
+     * @param {string} name - A registered transport
+     * @param {Object} [options] - Passed to its constructor, e.g. { url } for 'websocket'
+     * @returns {Object} The transport, not yet open
+     */
+    static createTransport(name, options = {}) {
+        const Transport = DroneRemote.TRANSPORTS[name];
+        if (!Transport) {
+            throw new Error(`Unknown remote transport: ${name}`);
+        }
+        return new Transport(options);
+    }
+
+    // Random characters from the room alphabet
+    static createId(length = 12) {
+        const alphabet = DroneRemote.ROOM_ALPHABET;
+        const values = new Uint32Array(length);
+        if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+            globalThis.crypto.getRandomValues(values);
+        } else {
+            for (let i = 0; i < length; i++) values[i] = Math.floor(Math.random() * 0x100000000);
+        }
+        return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+    }
+
+    static createRoomCode() {
+        return DroneRemote.createId(DroneRemote.ROOM_LENGTH);
+    }
+
+    // Room codes are read off one screen and typed into another
+    static normalizeRoom(room) {
+        return String(room || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    static createMessage(room, from, type, fields = {}) {
+        return Object.assign({
+            protocol: DroneRemote.PROTOCOL,
+            version: DroneRemote.VERSION,
+            room,
+            from,
+            type
+        }, fields);
+    }
+
+    // A message in this protocol, for this room, from someone else
+    static isForRoom(message, room, self) {
+        return Boolean(message) && typeof message === 'object' &&
+            message.protocol === DroneRemote.PROTOCOL &&
+            message.version === DroneRemote.VERSION &&
+            message.room === room &&
+            typeof message.from === 'string' &&
+            message.from !== self;
+    }
+
+    /**
+     * Page address of the remote view for a room.
+     * @param {string} base - Origin or page URL the path is resolved against
+     * @param {string} room
+     * @param {string} transport - Registered transport name
+     * @param {string} [relay] - WebSocket relay URL, for 'websocket'
+     * @returns {string}
+     */
+    static getRemoteUrl(base, room, transport, relay) {
+        const url = new URL(DroneRemote.PATH, base);
+        url.searchParams.set('room', room);
+        if (transport !== DroneRemote.DEFAULT_TRANSPORT) url.searchParams.set('transport', transport);
+        if (relay) url.searchParams.set('relay', relay);
+        return url.href;
+    }
+}
+
+DroneRemote.PROTOCOL = 'omtones-remote';
+DroneRemote.VERSION = 1;
+DroneRemote.PATH = '/remote';
+DroneRemote.DEFAULT_TRANSPORT = 'broadcast';
+
+// No 0/O or 1/I to misread
+DroneRemote.ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+DroneRemote.ROOM_LENGTH = 6;
+
+// Seconds between hellos and unprompted states; a peer is gone after three missed
+DroneRemote.HEARTBEAT = 10;
+
+DroneRemote.TRANSPORTS = {};
+
+// Tabs of the same browser, on the same origin
+class BroadcastChannelTransport {
+    constructor() {
+        this.channel = null;
+    }
+
+    static isSupported() {
+        return typeof BroadcastChannel === 'function';
+    }
+
+    open(onMessage, onStatus) {
+        this.channel = new BroadcastChannel(BroadcastChannelTransport.CHANNEL);
+        this.channel.onmessage = (e) => onMessage(e.data);
+        onStatus('open');
+    }
+
+    send(message) {
+        if (this.channel) this.channel.postMessage(message);
+    }
+
+    close() {
+        if (!this.channel) return;
+        this.channel.close();
+        this.channel = null;
+    }
+}
+
+BroadcastChannelTransport.CHANNEL = 'omtones:remote';
+
+// Through a relay, reconnecting with a growing delay when it drops
+class WebSocketTransport {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - ws:// or wss:// address of the relay
+     */
+    constructor({ url }) {
+        this.url = url;
+        this.socket = null;
+        this.closed = false;
+        this.retryDelay = WebSocketTransport.RETRY_DELAY;
+        this.retryTimeout = null;
+    }
+
+    static isSupported() {
+        return typeof WebSocket === 'function';
+    }
+
+    open(onMessage, onStatus) {
+        this.onMessage = onMessage;
+        this.onStatus = onStatus;
+        this.closed = false;
+        this.connect();
+    }
+
+    connect() {
+        this.onStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (e) {
+            // A malformed address won't get better by retrying
+            this.onStatus('closed');
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.retryDelay = WebSocketTransport.RETRY_DELAY;
+            this.onStatus('open');
+        };
+        socket.onmessage = (e) => {
+            if (typeof e.data !== 'string') return;
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                // Not ours: the relay may carry other traffic
+                return;
+            }
+            this.onMessage(message);
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            if (this.closed) return;
+
+            this.onStatus('connecting');
+            this.retryTimeout = setTimeout(() => this.connect(), this.retryDelay * 1000);
+            this.retryDelay = Math.min(WebSocketTransport.MAX_RETRY_DELAY, this.retryDelay * 2);
+        };
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimeout);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Seconds before reconnecting, doubling up to the maximum
+WebSocketTransport.RETRY_DELAY = 1;
+WebSocketTransport.MAX_RETRY_DELAY = 30;
+
+DroneRemote.registerTransport('broadcast', BroadcastChannelTransport);
+DroneRemote.registerTransport('websocket', WebSocketTransport);
+
+/**
+ * The drone's side: applies remote commands to the generator and reports
+ * its state back.
+ */
+class RemoteHost {
+    /**
+     * @param {DroneGenerator} generator
+     * @param {Object} transport - From DroneRemote.createTransport()
+     * @param {string} room
+     */
+    constructor(generator, transport, room) {
+        this.generator = generator;
+        this.transport = transport;
+        this.room = room;
+        this.id = DroneRemote.createId();
+        this.listeners = {};
+
+        // Per setting: how many times it has changed, and who changed it last
+        this.versions = {};
+        this.owners = {};
+
+        // Remote whose command is being applied, to credit its changes to
+        this.applying = null;
+
+        // Remotes heard from, by ID, with the time they were last heard
+        this.clients = new Map();
+
+        this.status = 'closed';
+        this.timer = { active: false, remaining: 0 };
+        this.stateTimeout = null;
+        this.heartbeatInterval = null;
+        this.unsubscribe = [];
+    }
+
+    /**
+     * Subscribe to 'status' (the transport connecting or dropping),
+     * 'clients' (remotes joining or leaving) or 'error' (a remote's command failed).
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                // Reported as uncaught without keeping the other listeners from running
+                setTimeout(() => {
+                    throw e;
+                });
+            }
+        });
+    }
+
+    start() {
+        const gen = this.generator;
+        const report = () => this.scheduleState();
+
+        this.unsubscribe = [
+            gen.on('change', ({ changes }) => {
+                Object.keys(changes).forEach(key => {
+                    this.versions[key] = (this.versions[key] || 0) + 1;
+                    this.owners[key] = this.applying || this.id;
+                });
+                report();
+            }),
+            gen.on('play', report),
+            gen.on('stop', report),
+            gen.on('preset', report),
+            gen.on('timer', (timer) => {
+                this.timer = timer;
+                report();
+            })
+        ];
+
+        this.transport.open(
+            message => this.handleMessage(message),
+            status => {
+                this.status = status;
+                if (status === 'open') this.sendState();
+                this.emit('status', { status });
+            }
+        );
+
+        this.heartbeatInterval = setInterval(() => {
+            this.pruneClients();
+            this.sendState();
+        }, DroneRemote.HEARTBEAT * 1000);
+    }
+
+    close() {
+        this.send('bye');
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+        clearTimeout(this.stateTimeout);
+        clearInterval(this.heartbeatInterval);
+        this.transport.close();
+        this.clients.clear();
+        this.status = 'closed';
+    }
+
+    send(type, fields) {
+        this.transport.send(DroneRemote.createMessage(this.room, this.id, type, fields));
+    }
+
+    handleMessage(message) {
+        if (!DroneRemote.isForRoom(message, this.room, this.id)) return;
+
+        switch (message.type) {
+            case 'hello':
+                this.addClient(message.from);
+                this.sendState();
+                break;
+            case 'bye':
+                this.removeClient(message.from);
+                break;
+            case 'command':
+                this.addClient(message.from);
+                this.handleCommand(message);
+                break;
+        }
+    }
+
+    addClient(id) {
+        const known = this.clients.has(id);
+        this.clients.set(id, Date.now());
+        if (!known) this.emit('clients', { count: this.clients.size });
+    }
+
+    removeClient(id) {
+        if (this.clients.delete(id)) this.emit('clients', { count: this.clients.size });
+    }
+
+    // Forget remotes that stopped saying hello, like a phone that went to sleep
+    pruneClients() {
+        const cutoff = Date.now() - 3 * DroneRemote.HEARTBEAT * 1000;
+        this.clients.forEach((heard, id) => {
+            if (heard < cutoff) this.removeClient(id);
+        });
+    }
+
+    getClientCount() {
+        return this.clients.size;
+    }
+
+    handleCommand(message) {
+        const gen = this.generator;
+
+        this.applying = message.from;
+        try {
+            switch (message.action) {
+                case 'play':
+                    if (!gen.isPlaying) gen.play();
+                    break;
+                case 'stop':
+                    gen.stop();
+                    break;
+                case 'set':
+                    this.applySettings(message);
+                    break;
+                case 'preset':
+                    this.applyPreset(message);
+                    break;
+                case 'timer': {
+                    const minutes = Number(message.minutes);
+                    if (minutes > 0) gen.startTimer(Math.min(RemoteHost.MAX_TIMER_MINUTES, minutes));
+                    break;
+                }
+                case 'stopTimer':
+                    gen.stopTimer();
+                    break;
+            }
+        } catch (e) {
+            // The remote that sent it is told too, so it doesn't wait for a change that won't come
+            this.send('error', { to: message.from, action: message.action, message: e.message });
+            this.emit('error', { action: message.action, message: e.message });
+        } finally {
+            this.applying = null;
+        }
+    }
+
+    /**
+     * Apply the settings a remote changed, except those someone else has
+     * changed since the remote last saw them.
+     * @param {{from: string, settings: Object, base: Object}} message - base holds the
+     *     remote's last seen version of each setting
+     */
+    applySettings({ from, settings, base }) {
+        const gen = this.generator;
+        const seen = base && typeof base === 'object' ? base : {};
+        const accepted = {};
+        const conflicts = {};
+
+        const patch = DroneGenerator.sanitizeSettings(settings);
+        Object.keys(patch).forEach(key => {
+            const owner = this.owners[key];
+            if ((this.versions[key] || 0) > (Number(seen[key]) || 0) && owner !== from) {
+                conflicts[key] = { value: gen.settings[key], by: owner === this.id ? 'host' : 'remote' };
+            } else {
+                accepted[key] = patch[key];
+            }
+        });
+
+        if (Object.keys(accepted).length > 0) gen.setSettings(accepted);
+        if (Object.keys(conflicts).length > 0) {
+            this.send('conflict', { to: from, conflicts, versions: this.getVersions(Object.keys(conflicts)) });
+        }
+    }
+
+    // Built-in presets only: a remote can't see this browser's saved ones
+    applyPreset({ name, morph }) {
+        if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(DroneGenerator.PRESETS, name)) return;
+
+        const seconds = Number(morph);
+        if (seconds > 0) {
+            this.generator.morphTo(name, Math.max(RemoteHost.MIN_MORPH, Math.min(RemoteHost.MAX_MORPH, seconds)));
+        } else {
+            this.generator.applyPreset(name);
+        }
+    }
+
+    getVersions(keys) {
+        const versions = {};
+        keys.forEach(key => {
+            versions[key] = this.versions[key] || 0;
+        });
+        return versions;
+    }
+
+    // Coalesce a burst of changes, like a dragged slider, into one state
+    scheduleState() {
+        if (this.stateTimeout) return;
+        this.stateTimeout = setTimeout(() => {
+            this.stateTimeout = null;
+            this.sendState();
+        }, RemoteHost.STATE_DELAY);
+    }
+
+    sendState() {
+        if (this.status !== 'open') return;
+
+        clearTimeout(this.stateTimeout);
+        this.stateTimeout = null;
+        this.send('state', this.getState());
+    }
+
+    /**
+     * What the remotes mirror.
+     * @returns {{settings: Object, versions: Object, playing: boolean,
+     *     preset: ({id: string, label: string}|null), timer: {active: boolean, remaining: number},
+     *     presets: Array<{id: string, label: string}>}}
+     */
+    getState() {
+        const gen = this.generator;
+        return {
+            settings: gen.getSettings(),
+            versions: Object.assign({}, this.versions),
+            playing: gen.isPlaying,
+            preset: gen.currentPreset,
+            timer: this.timer,
+            presets: Object.keys(DroneGenerator.PRESETS).map(id => ({ id, label: DroneGenerator.PRESETS[id].label }))
+        };
+    }
+}
+
+// Milliseconds changes are gathered for before a state goes out
+RemoteHost.STATE_DELAY = 50;
+RemoteHost.MAX_TIMER_MINUTES = 600;
+// Seconds, as morphTo() accepts
+RemoteHost.MIN_MORPH = 5;
+RemoteHost.MAX_MORPH = 1800;
+
+/**
+ * A remote's side: a mirror of the host's state, and commands to change it.
+ * Changes show in the mirror straight away and are kept over incoming
+ * states until the host has had time to apply them.
+ */
+class RemoteClient {
+    /**
+     * @param {Object} transport - From DroneRemote.createTransport()
+     * @param {string} room
+     */
+    constructor(transport, room) {
+        this.transport = transport;
+        this.room = room;
+        this.id = DroneRemote.createId();
+        this.listeners = {};
+
+        // Last state from the host, with local changes laid over its settings
+        this.state = null;
+        // Settings changed here, by key, with the time they were sent
+        this.pending = {};
+
+        // 'connecting', 'waiting' for a host, 'connected' or 'closed'
+        this.status = 'closed';
+        this.hostId = null;
+        this.lastHeard = 0;
+        this.heartbeatInterval = null;
+    }
+
+    /**
+     * Subscribe to 'status' (see this.status), 'state' (the mirror changed),
+     * 'conflict' (a change of ours lost to someone else's) or 'error' (a
+     * command of ours failed on the host).
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    emit(type, detail = {}) {
+        (this.listeners[type] || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                // Reported as uncaught without keeping the other listeners from running
+                setTimeout(() => {
+                    throw e;
+                });
+            }
+        });
+    }
+
+    start() {
+        this.transport.open(
+            message => this.handleMessage(message),
+            status => {
+                if (status === 'open') {
+                    this.setStatus('waiting');
+                    this.send('hello');
+                } else {
+                    this.setStatus(status);
+                }
+            }
+        );
+
+        this.heartbeatInterval = setInterval(() => {
+            if (this.status === 'closed' || this.status === 'connecting') return;
+            if (this.status === 'connected' && Date.now() - this.lastHeard > 3 * DroneRemote.HEARTBEAT * 1000) {
+                this.setStatus('waiting');
+            }
+            this.send('hello');
+        }, DroneRemote.HEARTBEAT * 1000);
+    }
+
+    close() {
+        this.send('bye');
+        clearInterval(this.heartbeatInterval);
+        this.transport.close();
+        this.setStatus('closed');
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.emit('status', { status });
+    }
+
+    send(type, fields) {
+        this.transport.send(DroneRemote.createMessage(this.room, this.id, type, fields));
+    }
+
+    command(action, fields = {}) {
+        this.send('command', Object.assign({ action }, fields));
+    }
+
+    handleMessage(message) {
+        if (!DroneRemote.isForRoom(message, this.room, this.id)) return;
+
+        switch (message.type) {
+            case 'state':
+                this.hostId = message.from;
+                this.lastHeard = Date.now();
+                this.handleState(message);
+                this.setStatus('connected');
+                break;
+            case 'conflict':
+                if (message.to === this.id) this.handleConflict(message);
+                break;
+            case 'error':
+                if (message.to === this.id) this.emit('error', { action: message.action, message: message.message });
+                break;
+            case 'bye':
+                if (message.from === this.hostId) this.setStatus('waiting');
+                break;
+        }
+    }
+
+    handleState({ settings, versions, playing, preset, timer, presets }) {
+        if (!settings || typeof settings !== 'object') return;
+
+        // Our own recent changes may not have reached the host yet
+        const now = Date.now();
+        const local = {};
+        Object.keys(this.pending).forEach(key => {
+            if (now - this.pending[key] < RemoteClient.PENDING_MS && this.state) {
+                local[key] = this.state.settings[key];
+            } else {
+                delete this.pending[key];
+            }
+        });
+
+        this.state = {
+            settings: Object.assign({}, settings, local),
+            versions: versions || {},
+            playing: Boolean(playing),
+            preset: preset || null,
+            timer: timer || { active: false, remaining: 0 },
+            presets: Array.isArray(presets) ? presets : []
+        };
+        this.emit('state', { state: this.state });
+    }
+
+    handleConflict({ conflicts, versions }) {
+        if (!this.state || !conflicts) return;
+
+        Object.keys(conflicts).forEach(key => {
+            delete this.pending[key];
+            this.state.settings[key] = conflicts[key].value;
+            if (versions && key in versions) this.state.versions[key] = versions[key];
+            this.emit('conflict', { key, value: conflicts[key].value, by: conflicts[key].by });
+        });
+        this.emit('state', { state: this.state });
+    }
+
+    play() {
+        this.command('play');
+    }
+
+    stop() {
+        this.command('stop');
+    }
+
+    /**
+     * Change settings on the host, showing them here straight away.
+     * @param {Object} patch - Setting keys to values
+     */
+    setSettings(patch) {
+        if (!this.state) return;
+
+        const base = {};
+        const now = Date.now();
+        Object.keys(patch).forEach(key => {
+            base[key] = this.state.versions[key] || 0;
+            this.state.settings[key] = patch[key];
+            this.pending[key] = now;
+        });
+        this.command('set', { settings: patch, base });
+    }
+
+    /**
+     * @param {string} name - Built-in preset name
+     * @param {number} [morph] - Seconds to glide there, or apply at once
+     */
+    applyPreset(name, morph = 0) {
+        this.command('preset', { name, morph });
+    }
+
+    startTimer(minutes) {
+        this.command('timer', { minutes });
+    }
+
+    stopTimer() {
+        this.command('stopTimer');
+    }
+}
+
+// Milliseconds a local change outranks what the host reports
+RemoteClient.PENDING_MS = 1000;
@@ -0,0 +1,233 @@
+/**
+ * Convolution Reverb
+ * A ConvolverNode fed with room impulse responses generated in code:
+ * scattered early reflections, then a tail of exponentially decaying noise
+ * whose high end dies away faster as damping rises. Every impulse is built
+ * from a fixed seed, so a room always sounds the same, exports included.
+ *
+ * input (pre-delay) -> convolver A -> gain A -> output
+ *                   -> convolver B -> gain B ->
+ *
+ * A new impulse is loaded into whichever convolver is silent and crossfaded
+ * in, so changing the room never interrupts the sound. Rebuilds are
+ * debounced and skipped for changes too small to hear, so dragging a slider
+ * or a session easing the decay doesn't rebuild on every step.
+ */
+
+class ConvolutionReverb {
+    /**
+     * @param {BaseAudioContext} ctx
+     * @param {Object} settings - Generator settings; reads the reverb* keys
+     */
+    constructor(ctx, settings) {
+        this.ctx = ctx;
+
+        this.input = ctx.createDelay(ConvolutionReverb.MAX_PRE_DELAY);
+        this.input.delayTime.value = settings.reverbPreDelay;
+        this.output = ctx.createGain();
+
+        this.slots = [0, 1].map(() => {
+            const convolver = ctx.createConvolver();
+            convolver.normalize = false;
+            const gain = ctx.createGain();
+            gain.gain.value = 0;
+
+            this.input.connect(convolver);
+            convolver.connect(gain);
+            gain.connect(this.output);
+            return { convolver, gain };
+        });
+
+        this.active = 0;
+        this.impulseKey = null;
+        this.fadeEnd = 0;
+        this.updateTimeout = null;
+
+        // Built straight away: an offline render needs its impulse before it starts
+        this.load(settings, 0);
+    }
+
+    /**
+     * Follow new reverb settings. Pre-delay moves at once; a new impulse is
+     * built after a short pause, once any crossfade in progress has finished.
+     * @param {Object} settings
+     */
+    update(settings) {
+        this.input.delayTime.setTargetAtTime(settings.reverbPreDelay, this.ctx.currentTime, 0.1);
+
+        clearTimeout(this.updateTimeout);
+        const wait = Math.max(0, this.fadeEnd - this.ctx.currentTime);
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.load(settings, ConvolutionReverb.CROSSFADE);
+        }, wait * 1000 + ConvolutionReverb.UPDATE_DELAY);
+    }
+
+    load(settings, fadeTime) {
+        const key = ConvolutionReverb.getImpulseKey(settings);
+        if (key === this.impulseKey) return;
+        this.impulseKey = key;
+
+        const now = this.ctx.currentTime;
+        const outgoing = this.slots[this.active];
+        this.active = fadeTime ? 1 - this.active : this.active;
+        const incoming = this.slots[this.active];
+
+        incoming.convolver.buffer = ConvolutionReverb.createImpulse(this.ctx, settings);
+
+        if (!fadeTime) {
+            incoming.gain.gain.value = 1;
+            return;
+        }
+
+        // Equal power: the two tails are uncorrelated
+        incoming.gain.gain.cancelScheduledValues(now);
+        incoming.gain.gain.setValueCurveAtTime(DroneGenerator.createFadeCurve(true), now, fadeTime);
+        outgoing.gain.gain.cancelScheduledValues(now);
+        outgoing.gain.gain.setValueCurveAtTime(DroneGenerator.createFadeCurve(false), now, fadeTime);
+        this.fadeEnd = now + fadeTime;
+    }
+
+    // Decay and damping are rounded to steps too small to hear
+    static getImpulseKey(settings) {
+        const decayStep = Math.round(Math.log(settings.reverbDecay) / Math.log(1.05));
+        const dampingStep = Math.round(settings.reverbDamping * 20);
+        return `${settings.reverbRoom}:${decayStep}:${dampingStep}`;
+    }
+
+    // Seconds of sound left after the input stops
+    static getTailSeconds(settings) {
+        const room = ConvolutionReverb.ROOMS[settings.reverbRoom];
+        return Math.min(ConvolutionReverb.MAX_SECONDS,
+            settings.reverbPreDelay + room.earlyTime + settings.reverbDecay);
+    }
+
+    /**
+     * Generate a stereo impulse response.
+     * @param {BaseAudioContext} ctx
+     * @param {Object} settings - reverbRoom, reverbDecay and reverbDamping
+     * @returns {AudioBuffer}
+     */
+    static createImpulse(ctx, settings) {
+        const room = ConvolutionReverb.ROOMS[settings.reverbRoom];
+        const sampleRate = ctx.sampleRate;
+        const decay = settings.reverbDecay;
+        const seconds = Math.min(ConvolutionReverb.MAX_SECONDS, room.earlyTime + decay);
+        const length = Math.max(1, Math.round(seconds * sampleRate));
+        const buffer = ctx.createBuffer(2, length, sampleRate);
+        const random = new SeededRandom(`reverb:${settings.reverbRoom}`);
+
+        // 60 dB down after `decay` seconds
+        const decayRate = 6.91 / (decay * sampleRate);
+        // Damping pulls the tail's cutoff down over time, from the room's brightness
+        const darkening = settings.reverbDamping * 4 / (decay * sampleRate);
+        const onset = room.earlyTime * 0.5 * sampleRate + 1;
+        const fadeStart = length - Math.min(length / 4, 0.5 * sampleRate);
+
+        for (let ch = 0; ch < 2; ch++) {
+            const data = buffer.getChannelData(ch);
+            const wobble = random.range(0.3, 0.7);
+            const wobblePhase = random.range(0, 2 * Math.PI);
+            let lowpass = 0;
+            let coefficient = 1;
+
+            for (let i = 0; i < length; i++) {
+                if (i % 64 === 0) {
+                    const cutoff = Math.max(200, room.brightness * Math.exp(-darkening * i));
+                    coefficient = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+                }
+                lowpass += coefficient * (random.next() * 2 - 1 - lowpass);
+
+                let value = lowpass * Math.exp(-decayRate * i) * (1 - Math.exp(-i / onset));
+                if (room.shimmer) {
+                    // Slow movement in the tail in place of a static wash
+                    value *= 1 + 0.3 * Math.sin(2 * Math.PI * wobble * i / sampleRate + wobblePhase);
+                }
+                if (i > fadeStart) {
+                    value *= (length - i) / (length - fadeStart);
+                }
+                data[i] = value;
+            }
+
+            // Early reflections: sparse taps at slightly different times in each ear
+            for (let n = 0; n < room.reflections; n++) {
+                const time = random.range(0.002, room.earlyTime);
+                const index = Math.min(length - 1, Math.round(time * sampleRate));
+                const level = room.reflectionLevel * (1 - 0.7 * time / room.earlyTime);
+                data[index] += level * (random.next() < 0.5 ? -1 : 1);
+            }
+        }
+
+        ConvolutionReverb.normalize(buffer);
+        return buffer;
+    }
+
+    // Scale to a fixed energy so the wet level doesn't depend on the room or decay
+    static normalize(buffer) {
+        let energy = 0;
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const data = buffer.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) energy += data[i] * data[i];
+        }
+        energy /= buffer.numberOfChannels;
+        if (!energy) return;
+
+        const scale = Math.sqrt(ConvolutionReverb.ENERGY / energy);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const data = buffer.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) data[i] *= scale;
+        }
+    }
+}
+
+ConvolutionReverb.MAX_PRE_DELAY = 0.5;
+ConvolutionReverb.MAX_SECONDS = 15;
+ConvolutionReverb.CROSSFADE = 0.8;
+ConvolutionReverb.UPDATE_DELAY = 150;
+ConvolutionReverb.ENERGY = 0.5;
+
+// Room character. `defaults` are the reverb settings a room is chosen with;
+// `brightness` is the tail's starting cutoff in Hz.
+ConvolutionReverb.ROOMS = {
+    smallRoom: {
+        label: 'Small Room',
+        earlyTime: 0.03,
+        reflections: 8,
+        reflectionLevel: 0.5,
+        brightness: 9000,
+        defaults: { reverbDecay: 0.8, reverbPreDelay: 0.005, reverbDamping: 0.5 }
+    },
+    hall: {
+        label: 'Hall',
+        earlyTime: 0.08,
+        reflections: 14,
+        reflectionLevel: 0.4,
+        brightness: 7000,
+        defaults: { reverbDecay: 2.8, reverbPreDelay: 0.02, reverbDamping: 0.4 }
+    },
+    cathedral: {
+        label: 'Cathedral',
+        earlyTime: 0.15,
+        reflections: 18,
+        reflectionLevel: 0.3,
+        brightness: 6000,
+        defaults: { reverbDecay: 6, reverbPreDelay: 0.04, reverbDamping: 0.55 }
+    },
+    cave: {
+        label: 'Cave',
+        earlyTime: 0.3,
+        reflections: 24,
+        reflectionLevel: 0.8,
+        brightness: 3500,
+        defaults: { reverbDecay: 4, reverbPreDelay: 0.03, reverbDamping: 0.75 }
+    },
+    shimmer: {
+        label: 'Infinite Shimmer',
+        earlyTime: 0.01,
+        reflections: 0,
+        reflectionLevel: 0,
+        brightness: 12000,
+        shimmer: true,
+        defaults: { reverbDecay: 12, reverbPreDelay: 0.06, reverbDamping: 0.1 }
+    }
+};
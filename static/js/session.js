@@ -0,0 +1,302 @@
+/**
+ * Drone Session
+ * Runs a timeline of stages against a DroneGenerator. Each stage moves the
+ * settings from wherever they were when it began toward a target preset
+ * and/or target settings over its duration, shaped by a transition curve.
+ * When the last stage ends the drone stops.
+ *
+ * Time comes from audioContext.currentTime rather than from counting timer
+ * ticks, so a throttled background tab catches up on the right stage
+ * instead of drifting.
+ *
+ * Progress is announced through the generator: 'timer' events carry the
+ * total remaining seconds, 'session' events the full state (see getState()).
+ */
+
+class DroneSession {
+    /**
+     * @param {DroneGenerator} generator
+     * @param {Object} template
+     * @param {string} [template.label]
+     * @param {Array<Object>} template.stages - Each `{ label, minutes, preset, settings, curve }`.
+     *     `preset` is a built-in preset name or a saved preset object, `settings`
+     *     is laid over it, `curve` is a key of DroneSession.CURVES (default 'linear').
+     * @param {boolean} [template.restore=true] - Put the starting settings back once
+     *     the drone has faded out at the end
+     */
+    constructor(generator, template) {
+        if (!template || !Array.isArray(template.stages) || !template.stages.length) {
+            throw new Error('A session needs at least one stage');
+        }
+        template.stages.forEach(stage => {
+            if (!(stage.minutes > 0)) {
+                throw new RangeError(`Invalid stage length: ${stage.minutes}`);
+            }
+        });
+
+        this.generator = generator;
+        this.label = template.label || 'Session';
+        this.stages = template.stages.map(stage => Object.assign({}, stage));
+        this.restore = template.restore !== false;
+
+        this.isRunning = false;
+        this.index = -1;
+        this.stageStart = 0;
+        this.stageDuration = 0;
+        this.pausedAt = null;
+
+        // Settings at the start of the session and of the current stage, and the stage target
+        this.initial = null;
+        this.from = null;
+        this.target = null;
+
+        this.tickInterval = null;
+        this.unsubscribe = null;
+        this.lastReported = null;
+    }
+
+    now() {
+        return this.generator.audioContext.currentTime;
+    }
+
+    start() {
+        this.generator.initAudioContext();
+        this.initial = this.generator.getSettings();
+        this.isRunning = true;
+
+        // Stopping the drone by hand ends the session
+        this.unsubscribe = this.generator.on('stop', () => this.cancel());
+
+        this.enterStage(0, this.now());
+        this.tickInterval = setInterval(() => this.tick(), DroneSession.TICK_MS);
+        this.tick();
+    }
+
+    enterStage(index, startTime) {
+        if (index >= this.stages.length) {
+            this.finish();
+            return;
+        }
+
+        const stage = this.stages[index];
+        this.index = index;
+        this.stageStart = startTime;
+        this.stageDuration = stage.minutes * 60;
+        this.from = this.generator.getSettings();
+        this.target = DroneSession.resolveTarget(stage);
+    }
+
+    tick() {
+        if (!this.isRunning || this.pausedAt !== null) return;
+
+        const now = this.now();
+
+        // Finish every stage that ended since the last tick, back to back
+        while (this.isRunning && now >= this.stageStart + this.stageDuration) {
+            this.applyProgress(1);
+            this.enterStage(this.index + 1, this.stageStart + this.stageDuration);
+        }
+        if (!this.isRunning) return;
+
+        this.applyProgress((now - this.stageStart) / this.stageDuration);
+        this.report();
+    }
+
+    applyProgress(t) {
+        const curve = DroneSession.CURVES[this.stages[this.index].curve] || DroneSession.CURVES.linear;
+        const values = DroneGenerator.interpolateSettings(this.from, this.target, curve(Math.min(1, t)));
+        const current = this.generator.settings;
+
+        // Only pass what moved, so discrete settings don't rebuild voices every tick
+        const patch = {};
+        Object.keys(values).forEach(key => {
+            const changed = typeof values[key] === 'number' && typeof current[key] === 'number'
+                ? Math.abs(values[key] - current[key]) > 1e-6
+                : values[key] !== current[key];
+            if (changed) patch[key] = values[key];
+        });
+
+        if (Object.keys(patch).length) {
+            this.generator.setSettings(patch);
+        }
+    }
+
+    pause() {
+        if (!this.isRunning || this.pausedAt !== null) return;
+        this.pausedAt = this.now();
+        this.report(true);
+    }
+
+    resume() {
+        if (!this.isRunning || this.pausedAt === null) return;
+        this.stageStart += this.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.tick();
+        this.report(true);
+    }
+
+    // Jump to the end of the current stage and carry on with the next one
+    skip() {
+        if (!this.isRunning) return;
+
+        this.applyProgress(1);
+        if (this.pausedAt !== null) this.pausedAt = this.now();
+        this.enterStage(this.index + 1, this.now());
+        if (this.isRunning) this.report(true);
+    }
+
+    /**
+     * Add time to the current stage. A transition in progress carries on from
+     * where it is now and spreads over the longer remaining time.
+     */
+    extend(minutes) {
+        if (!this.isRunning || !(minutes > 0)) return;
+
+        const now = this.pausedAt !== null ? this.pausedAt : this.now();
+        const remaining = Math.max(0, this.stageStart + this.stageDuration - now);
+
+        this.from = this.generator.getSettings();
+        this.stageStart = now;
+        this.stageDuration = remaining + minutes * 60;
+        this.report(true);
+    }
+
+    // Stop following the timeline and leave the settings where they are
+    cancel() {
+        if (!this.isRunning) return;
+        this.end();
+    }
+
+    finish() {
+        const gen = this.generator;
+        this.end();
+        gen.stop();
+
+        if (this.restore) {
+            // Wait out the fade so the listener doesn't hear the jump back
+            const initial = this.initial;
+            setTimeout(() => {
+                if (!gen.isPlaying) gen.setSettings(initial);
+            }, (gen.settings.fadeTime + 0.1) * 1000);
+        }
+    }
+
+    end() {
+        this.isRunning = false;
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.generator.session === this) {
+            this.generator.session = null;
+        }
+
+        this.generator.emit('timer', { active: false, remaining: 0 });
+        this.generator.emit('session', this.getState());
+    }
+
+    getRemaining() {
+        if (!this.isRunning) return 0;
+
+        const now = this.pausedAt !== null ? this.pausedAt : this.now();
+        let remaining = Math.max(0, this.stageStart + this.stageDuration - now);
+        for (let i = this.index + 1; i < this.stages.length; i++) {
+            remaining += this.stages[i].minutes * 60;
+        }
+        return remaining;
+    }
+
+    /**
+     * @returns {{active: boolean, paused: boolean, label: string, stage: number,
+     *     stageCount: number, stageLabel: string|null, stageRemaining: number,
+     *     remaining: number}} Times in whole seconds
+     */
+    getState() {
+        const stage = this.isRunning ? this.stages[this.index] : null;
+        const now = this.pausedAt !== null ? this.pausedAt : this.now();
+
+        return {
+            active: this.isRunning,
+            paused: this.pausedAt !== null,
+            label: this.label,
+            stage: this.index,
+            stageCount: this.stages.length,
+            stageLabel: stage ? stage.label || null : null,
+            stageRemaining: stage ? Math.ceil(Math.max(0, this.stageStart + this.stageDuration - now)) : 0,
+            remaining: Math.ceil(this.getRemaining())
+        };
+    }
+
+    // Emit once per displayed second, or straight away when `force` is set
+    report(force = false) {
+        const state = this.getState();
+        if (!force && state.remaining === this.lastReported) return;
+        this.lastReported = state.remaining;
+
+        this.generator.emit('timer', { active: true, remaining: state.remaining });
+        this.generator.emit('session', state);
+    }
+
+    // Settings a stage moves toward: its preset, with its own settings laid over
+    static resolveTarget(stage) {
+        let target = {};
+
+        if (stage.preset) {
+            const preset = DroneGenerator.resolvePreset(stage.preset);
+            if (!preset) throw new Error(`Unknown preset "${stage.preset}"`);
+            target = Object.assign({}, preset.settings);
+        }
+
+        return Object.assign(target, stage.settings);
+    }
+}
+
+DroneSession.TICK_MS = 250;
+
+// Transition curves map stage progress (0-1) to how far the settings have moved
+DroneSession.CURVES = {
+    step: () => 1,
+    linear: t => t,
+    easeIn: t => t * t,
+    // Falls fast then settles; on volume this is close to a constant dB fade
+    easeOut: t => 1 - (1 - t) * (1 - t),
+    easeInOut: t => (1 - Math.cos(t * Math.PI)) / 2
+};
+
+DroneSession.TEMPLATES = {
+    yogaClass: {
+        label: 'Yoga Class',
+        stages: [
+            { label: 'Arrival', minutes: 5, preset: 'meditation', curve: 'step' },
+            { label: 'Flow', minutes: 40, preset: 'yogaFlow', curve: 'easeInOut' },
+            { label: 'Savasana', minutes: 10, preset: 'deepGrounding', curve: 'easeInOut' },
+            { label: 'Closing', minutes: 5, settings: { volume: 0 }, curve: 'easeOut' }
+        ]
+    },
+    sleep: {
+        label: 'Sleep',
+        stages: [
+            // Binaural and isochronic rates, if those layers are on, ease from alpha to theta to delta
+            { label: 'Settle', minutes: 10, preset: 'meditation', settings: { binauralBeat: 10, isochronicRate: 10 }, curve: 'step' },
+            { label: 'Darken', minutes: 20, preset: 'sleep', settings: { binauralBeat: 6, isochronicRate: 6 }, curve: 'easeInOut' },
+            {
+                label: 'Fade',
+                minutes: 15,
+                settings: { volume: 0, filterFreq: 200, binauralBeat: 2, isochronicRate: 2 },
+                curve: 'easeOut'
+            }
+        ]
+    },
+    soundBath: {
+        label: 'Sound Bath',
+        stages: [
+            { label: 'Opening', minutes: 5, preset: 'soundBath', curve: 'step' },
+            { label: 'Expansion', minutes: 20, preset: 'cosmicDrift', curve: 'easeInOut' },
+            { label: 'Grounding', minutes: 15, preset: 'deepGrounding', curve: 'easeInOut' },
+            { label: 'Closing', minutes: 5, settings: { volume: 0 }, curve: 'easeOut' }
+        ]
+    }
+};
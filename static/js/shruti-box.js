@@ -0,0 +1,148 @@
+/**
+ * Shruti Box Layer
+ * The sustained reed drone of a shruti box: Sa, the tanpura's first note an
+ * octave up (usually Pa) and the upper Sa, each sounded by a pair of free
+ * reeds tuned a few cents apart so they beat gently. A slow swell on the
+ * gain stands in for the bellows.
+ *
+ * reeds -> body filter -> bellows -> level -> dry and reverb
+ *
+ * Pitches come from the same Sa as the tanpura (see tanpura.js), so both
+ * follow the generator's root and tuning together.
+ */
+
+class ShrutiBoxLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        // Reeds are pressed by the bellows into a wooden box, which rounds off the top
+        this.body = ctx.createBiquadFilter();
+        this.body.type = 'lowpass';
+        this.body.frequency.value = ShrutiBoxLayer.BODY_CUTOFF;
+        this.body.Q.value = 0.9;
+
+        this.bellows = ctx.createGain();
+        this.bellowsLfo = generator.createPhasedSine(ShrutiBoxLayer.BELLOWS_RATE);
+        this.bellowsDepth = ctx.createGain();
+        this.bellowsLfo.connect(this.bellowsDepth);
+        this.bellowsDepth.connect(this.bellows.gain);
+
+        this.output = ctx.createGain();
+
+        // Each reed starts where a longer render would have it, so export chunks line up
+        const frequencies = this.getFrequencies();
+        this.reeds = ShrutiBoxLayer.NOTE_LEVELS.map((level, index) => {
+            const gain = ctx.createGain();
+            gain.gain.value = level;
+            gain.connect(this.body);
+
+            const pair = [-1, 1].map(side => {
+                const detune = side * ShrutiBoxLayer.REED_DETUNE;
+                const phase = generator.getPhase(frequencies[index] * Math.pow(2, detune / 1200));
+                const osc = ctx.createOscillator();
+                osc.setPeriodicWave(ShrutiBoxLayer.createReedWave(ctx, phase));
+                osc.detune.value = detune;
+                osc.connect(gain);
+                osc.start();
+                return osc;
+            });
+            return { gain, pair };
+        });
+
+        this.body.connect(this.bellows);
+        this.bellows.connect(this.output);
+        this.output.connect(generator.dryGain);
+        this.output.connect(generator.reverb.input);
+
+        const set = (param, value) => { param.value = value; };
+        this.setFrequencies(set);
+        this.setBellows(set);
+        this.setLevel(set);
+        this.bellowsLfo.start();
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    // A reed's spectrum: strong low harmonics rolling off slowly, odd ones a
+    // little louder, starting `phase` radians in
+    static createReedWave(ctx, phase = 0, harmonics = 24) {
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+
+        for (let n = 1; n <= harmonics; n++) {
+            const amplitude = (n % 2 ? 1 : 0.6) / Math.pow(n, 0.9);
+            real[n] = amplitude * Math.sin(n * phase);
+            imag[n] = amplitude * Math.cos(n * phase);
+        }
+
+        return ctx.createPeriodicWave(real, imag);
+    }
+
+    // Sa, the first note an octave above the tanpura's, and the upper Sa
+    getFrequencies() {
+        const [first, sa] = TanpuraLayer.getStringFrequencies(this.generator);
+        return [sa, first * 2, sa * 2];
+    }
+
+    setFrequencies(move) {
+        this.getFrequencies().forEach((frequency, index) => {
+            this.reeds[index].pair.forEach(osc => move(osc.frequency, frequency));
+        });
+    }
+
+    // The bellows swing the gain between 1 - depth and 1
+    setBellows(move) {
+        const depth = this.generator.settings.shrutiBellows;
+        move(this.bellows.gain, 1 - depth / 2);
+        move(this.bellowsDepth.gain, depth / 2);
+    }
+
+    setLevel(move) {
+        const settings = this.generator.settings;
+        move(this.output.gain, settings.shrutiBox ? settings.shrutiLevel : 0);
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        if (['tanpuraFirst', ...DroneGenerator.PITCH_SETTINGS].some(key => key in changes)) {
+            this.setFrequencies(move);
+        }
+        if ('shrutiBellows' in changes) {
+            this.setBellows(move);
+        }
+        if ('shrutiBox' in changes || 'shrutiLevel' in changes) {
+            this.setLevel(move);
+        }
+    }
+
+    hold() {
+        const params = [this.bellows.gain, this.bellowsDepth.gain, this.output.gain];
+        this.reeds.forEach(reed => reed.pair.forEach(osc => params.push(osc.frequency)));
+        this.generator.holdParams(params);
+    }
+}
+
+// Sa, first note, upper Sa
+ShrutiBoxLayer.NOTE_LEVELS = [0.4, 0.3, 0.25];
+ShrutiBoxLayer.REED_DETUNE = 3;
+ShrutiBoxLayer.BODY_CUTOFF = 2200;
+ShrutiBoxLayer.BELLOWS_RATE = 0.15;
+
+ShrutiBoxLayer.DEFAULT_SETTINGS = {
+    shrutiBox: false,
+    shrutiLevel: 0.3,
+    shrutiBellows: 0.3
+};
+
+ShrutiBoxLayer.SETTINGS_SCHEMA = {
+    shrutiBox: { type: 'boolean' },
+    shrutiLevel: { type: 'number', min: 0, max: 1 },
+    shrutiBellows: { type: 'number', min: 0, max: 1 }
+};
+
+DroneGenerator.registerLayer('shrutiBox', ShrutiBoxLayer);
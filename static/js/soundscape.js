@@ -0,0 +1,402 @@
+/**
+ * Soundscape Layer
+ * Rain, wind, a stream or surf, synthesized from noise and grains rather
+ * than played from samples.
+ *
+ * Each soundscape is rendered sample by sample into a loop of two stereo
+ * buffers: a steady bed and the detail on top of it (droplets, gusts,
+ * bubbles, breaking waves). Every random choice comes from a SeededRandom,
+ * so a soundscape and seed always render the same loop. Filters run over the
+ * loop twice so their state wraps around and the seam can't be heard, and
+ * slow movement completes whole cycles within the loop.
+ *
+ * Intensity mixes the detail against the bed and opens a tone filter:
+ *
+ * bed ----\
+ *          tone filter -> level -> master gain
+ * detail -/
+ */
+
+class SoundscapeLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        this.player = null;
+
+        this.bedGain = ctx.createGain();
+        this.detailGain = ctx.createGain();
+        this.tone = ctx.createBiquadFilter();
+        this.tone.type = 'lowpass';
+        this.output = ctx.createGain();
+
+        this.bedGain.connect(this.tone);
+        this.detailGain.connect(this.tone);
+        this.tone.connect(this.output);
+        this.output.connect(generator.masterGain);
+
+        const set = (param, value) => { param.value = value; };
+        this.setIntensity(set);
+        this.setLevel(set);
+        this.setScene(0);
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+    }
+
+    /**
+     * Render a soundscape loop.
+     * @param {BaseAudioContext} ctx
+     * @param {string} name - Key of SoundscapeLayer.RENDERERS
+     * @param {number} seed
+     * @returns {{bed: AudioBuffer, detail: AudioBuffer}}
+     */
+    static render(ctx, name, seed) {
+        const length = Math.round(SoundscapeLayer.LOOP_SECONDS * ctx.sampleRate);
+        const bed = ctx.createBuffer(2, length, ctx.sampleRate);
+        const detail = ctx.createBuffer(2, length, ctx.sampleRate);
+        const channels = buffer => [buffer.getChannelData(0), buffer.getChannelData(1)];
+
+        SoundscapeLayer.RENDERERS[name](
+            channels(bed), channels(detail), ctx.sampleRate, new SeededRandom(`${name}:${seed}`));
+
+        SoundscapeLayer.normalize(channels(bed));
+        SoundscapeLayer.normalize(channels(detail));
+        return { bed, detail };
+    }
+
+    static normalize(channels, peak = 0.8) {
+        let max = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) max = Math.max(max, Math.abs(data[i]));
+        });
+        if (!max) return;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) data[i] *= peak / max;
+        });
+    }
+
+    // Run `step(i, write)` over the loop twice; only the second pass writes
+    static runLoop(length, step) {
+        for (let pass = 0; pass < 2; pass++) {
+            const write = pass === 1;
+            for (let i = 0; i < length; i++) step(i, write);
+        }
+    }
+
+    // Coefficient for a one-pole low-pass: y += a * (x - y)
+    static onePole(cutoff, sampleRate) {
+        return 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+    }
+
+    static whiteNoise(length, random) {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) data[i] = random.next() * 2 - 1;
+        return data;
+    }
+
+    /**
+     * Slow movement from 0 to 1 made of sines that complete whole cycles in
+     * the loop, so it repeats seamlessly.
+     * @returns {Float32Array}
+     */
+    static slowCycle(length, random, cycles) {
+        const terms = cycles.map(count => ({
+            count,
+            phase: random.range(0, 2 * Math.PI),
+            weight: random.range(0.5, 1)
+        }));
+        const total = terms.reduce((sum, term) => sum + term.weight, 0);
+        const data = new Float32Array(length);
+
+        for (let i = 0; i < length; i++) {
+            let value = 0;
+            terms.forEach(term => {
+                value += term.weight * Math.sin(2 * Math.PI * term.count * i / length + term.phase);
+            });
+            data[i] = (value / total + 1) / 2;
+        }
+        return data;
+    }
+
+    /**
+     * Add a short grain into both channels, wrapping past the end of the loop.
+     * @param {Float32Array[]} channels
+     * @param {number} start - First sample
+     * @param {number} length - In samples
+     * @param {number} pan - 0 (left) to 1 (right)
+     * @param {Function} sample - Grain value for sample j
+     */
+    static addGrain(channels, start, length, pan, sample) {
+        const size = channels[0].length;
+        const left = Math.cos(pan * Math.PI / 2);
+        const right = Math.sin(pan * Math.PI / 2);
+
+        for (let j = 0; j < length; j++) {
+            const value = sample(j);
+            const index = (start + j) % size;
+            channels[0][index] += value * left;
+            channels[1][index] += value * right;
+        }
+    }
+
+    getFadeTime(morph) {
+        return morph
+            ? Math.min(morph.duration, SoundscapeLayer.MORPH_FADE_MAX)
+            : SoundscapeLayer.FADE_TIME;
+    }
+
+    // Swap to the current soundscape and seed, crossfading from the old loop
+    setScene(fadeTime) {
+        const ctx = this.generator.audioContext;
+        const now = ctx.currentTime;
+        const settings = this.generator.settings;
+
+        if (this.player) {
+            const { sources, gains } = this.player;
+            gains.forEach(gain => {
+                gain.gain.setValueAtTime(gain.gain.value, now);
+                gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+            });
+            sources.forEach(source => source.stop(now + fadeTime + 0.05));
+            sources[0].onended = () => gains.forEach(gain => gain.disconnect());
+            this.player = null;
+        }
+
+        if (settings.soundscape === 'off') return;
+
+        const buffers = SoundscapeLayer.render(ctx, settings.soundscape, settings.soundscapeSeed);
+        const sources = [];
+        const gains = [];
+
+        [[buffers.bed, this.bedGain], [buffers.detail, this.detailGain]].forEach(([buffer, destination]) => {
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(fadeTime ? 0 : 1, now);
+            if (fadeTime) gain.gain.linearRampToValueAtTime(1, now + fadeTime);
+
+            source.connect(gain);
+            gain.connect(destination);
+            sources.push(source);
+            gains.push(gain);
+        });
+
+        // Started together, so bed and detail stay aligned, and at the point in
+        // the loop a longer render would have reached, so export chunks line up
+        const loop = SoundscapeLayer.LOOP_SECONDS;
+        const offset = ((now + this.generator.timeOffset) % loop + loop) % loop;
+        sources.forEach(source => source.start(now, offset));
+        this.player = { sources, gains };
+    }
+
+    setIntensity(move) {
+        const intensity = this.generator.settings.soundscapeIntensity;
+        move(this.bedGain.gain, 0.6 + 0.4 * intensity);
+        move(this.detailGain.gain, 0.15 + 0.85 * intensity);
+        move(this.tone.frequency, 1000 * Math.pow(12, intensity));
+    }
+
+    setLevel(move) {
+        const settings = this.generator.settings;
+        move(this.output.gain, settings.soundscape === 'off' ? 0 : settings.soundscapeLevel);
+    }
+
+    handleChange(changes, morph) {
+        const move = (param, value) => this.generator.moveParam(param, value, morph);
+
+        if ('soundscape' in changes || 'soundscapeSeed' in changes) {
+            this.setScene(this.getFadeTime(morph));
+        }
+        if ('soundscapeIntensity' in changes) {
+            this.setIntensity(move);
+        }
+        if ('soundscape' in changes || 'soundscapeLevel' in changes) {
+            this.setLevel(move);
+        }
+    }
+
+    hold() {
+        this.generator.holdParams([
+            this.bedGain.gain, this.detailGain.gain, this.tone.frequency, this.output.gain
+        ]);
+    }
+}
+
+SoundscapeLayer.LOOP_SECONDS = 20;
+SoundscapeLayer.FADE_TIME = 1;
+SoundscapeLayer.MORPH_FADE_MAX = 10;
+
+// Each renderer fills `bed` and `detail` ([left, right] arrays) from `random`
+SoundscapeLayer.RENDERERS = {
+    // Hiss of distant rain under droplets landing close by
+    rain(bed, detail, sampleRate, random) {
+        const length = bed[0].length;
+        const low = SoundscapeLayer.onePole(2500, sampleRate);
+        const high = SoundscapeLayer.onePole(400, sampleRate);
+
+        bed.forEach(data => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            let lp = 0, hp = 0;
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                lp += low * (white[i] - lp);
+                hp += high * (lp - hp);
+                if (write) data[i] = lp - hp;
+            });
+        });
+
+        const drops = Math.round(70 * SoundscapeLayer.LOOP_SECONDS);
+        for (let n = 0; n < drops; n++) {
+            const start = random.int(0, length - 1);
+            const frequency = random.range(1800, 6000);
+            const decay = random.range(0.004, 0.02) * sampleRate;
+            const amplitude = Math.pow(random.next(), 2);
+            const size = Math.ceil(decay * 5);
+
+            SoundscapeLayer.addGrain(detail, start, size, random.next(), j => {
+                // Pitch sags a little as the droplet rings out
+                const pitch = frequency * (1 - 0.2 * j / size);
+                return amplitude * Math.exp(-j / decay) * Math.sin(2 * Math.PI * pitch * j / sampleRate);
+            });
+        }
+    },
+
+    // A low rumble with gusts sweeping a band-pass filter up and down
+    wind(bed, detail, sampleRate, random) {
+        const length = bed[0].length;
+        const gust = SoundscapeLayer.slowCycle(length, random, [1, 2, 3, 5]);
+        const low = SoundscapeLayer.onePole(300, sampleRate);
+
+        bed.forEach(data => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            let lp1 = 0, lp2 = 0;
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                lp1 += low * (white[i] - lp1);
+                lp2 += low * (lp1 - lp2);
+                if (write) data[i] = lp2 * (0.5 + 0.5 * gust[i]);
+            });
+        });
+
+        detail.forEach((data, channel) => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            // Gusts reach one ear a moment before the other
+            const offset = Math.round(channel * 0.7 * sampleRate);
+            let lowState = 0, band = 0;
+
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                const g = gust[(i + offset) % length];
+                const f = 2 * Math.sin(Math.PI * (250 + 1100 * g) / sampleRate);
+
+                // Chamberlin state-variable filter, band-pass output
+                lowState += f * band;
+                const highState = white[i] - lowState - 0.25 * band;
+                band += f * highState;
+
+                if (write) data[i] = band * g * g;
+            });
+        });
+    },
+
+    // Water over stones: a band of noise and a stream of rising bubbles
+    stream(bed, detail, sampleRate, random) {
+        const length = bed[0].length;
+        const flow = SoundscapeLayer.slowCycle(length, random, [2, 3]);
+        const low = SoundscapeLayer.onePole(1200, sampleRate);
+        const high = SoundscapeLayer.onePole(200, sampleRate);
+
+        bed.forEach(data => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            let lp = 0, hp = 0;
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                lp += low * (white[i] - lp);
+                hp += high * (lp - hp);
+                if (write) data[i] = (lp - hp) * (0.7 + 0.3 * flow[i]);
+            });
+        });
+
+        const bubbles = Math.round(45 * SoundscapeLayer.LOOP_SECONDS);
+        for (let n = 0; n < bubbles; n++) {
+            const start = random.int(0, length - 1);
+            const frequency = random.range(400, 1400);
+            const rise = random.range(0.5, 1.5);
+            const size = Math.round(random.range(0.02, 0.07) * sampleRate);
+            const amplitude = random.range(0.2, 1) * (0.6 + 0.4 * flow[start]);
+            let phase = 0;
+
+            SoundscapeLayer.addGrain(detail, start, size, random.next(), j => {
+                // A bubble's pitch climbs as it nears the surface
+                const t = j / size;
+                phase += 2 * Math.PI * frequency * (1 + rise * t) / sampleRate;
+                return amplitude * Math.pow(Math.sin(Math.PI * t), 2) * Math.exp(-3 * t) * Math.sin(phase);
+            });
+        }
+    },
+
+    // Waves build, break into bright foam and draw back on a slow cycle
+    surf(bed, detail, sampleRate, random) {
+        const length = bed[0].length;
+        const envelope = new Float32Array(length);
+        const waves = random.int(2, 3);
+        const period = length / waves;
+
+        for (let n = 0; n < waves; n++) {
+            const start = Math.round(n * period + random.range(-0.15, 0.15) * period);
+            const attack = random.range(1.2, 2.2) * sampleRate;
+            const decay = random.range(3, 5) * sampleRate;
+            const peak = random.range(0.6, 1);
+            const size = Math.round(Math.min(attack + decay * 3, period * 1.4));
+
+            for (let j = 0; j < size; j++) {
+                const value = j < attack
+                    ? (1 - Math.cos(Math.PI * j / attack)) / 2
+                    : Math.exp(-(j - attack) / decay);
+                envelope[((start + j) % length + length) % length] += peak * value;
+            }
+        }
+
+        const low = SoundscapeLayer.onePole(250, sampleRate);
+        const high = SoundscapeLayer.onePole(150, sampleRate);
+
+        bed.forEach(data => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            let lp1 = 0, lp2 = 0;
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                lp1 += low * (white[i] - lp1);
+                lp2 += low * (lp1 - lp2);
+                if (write) data[i] = lp2 * (0.4 + 0.6 * envelope[i]);
+            });
+        });
+
+        detail.forEach(data => {
+            const white = SoundscapeLayer.whiteNoise(length, random);
+            let lp = 0, hp = 0;
+            SoundscapeLayer.runLoop(length, (i, write) => {
+                const e = Math.min(1, envelope[i]);
+                // The foam brightens as the wave breaks
+                lp += SoundscapeLayer.onePole(400 + 4000 * e * e, sampleRate) * (white[i] - lp);
+                hp += high * (lp - hp);
+                if (write) data[i] = (lp - hp) * e;
+            });
+        });
+    }
+};
+
+SoundscapeLayer.DEFAULT_SETTINGS = {
+    soundscape: 'off',
+    soundscapeIntensity: 0.5,
+    soundscapeLevel: 0.4,
+    soundscapeSeed: 1
+};
+
+SoundscapeLayer.SETTINGS_SCHEMA = {
+    soundscape: { type: 'enum', values: ['off', 'rain', 'wind', 'stream', 'surf'] },
+    soundscapeIntensity: { type: 'number', min: 0, max: 1 },
+    soundscapeLevel: { type: 'number', min: 0, max: 1 },
+    soundscapeSeed: { type: 'integer', min: 1, max: SeededRandom.MAX_SEED }
+};
+
+DroneGenerator.registerLayer('soundscape', SoundscapeLayer);
@@ -0,0 +1,213 @@
+/**
+ * Harmonic Series
+ * The partials of the drone's voices, for the spectrum view: each voice's
+ * fundamental and its first overtones, and where partials of different
+ * voices meet. The view itself is the spectrum visualizer below.
+ *
+ * Two partials closer than COINCIDE_HZ beat more slowly than once every
+ * ten seconds and are heard as one reinforced tone. Further apart but
+ * within BEAT_HZ they beat, a pulse at the difference frequency that turns
+ * into roughness toward the top of the range.
+ */
+
+class HarmonicSeries {
+    /**
+     * @param {number[]} frequencies - Fundamental of each voice in Hz
+     * @param {number} [count] - Partials per voice, the fundamental included
+     * @returns {Array<{voice: number, partial: number, frequency: number}>} Voices
+     *     count from 0 and partials from 1; sorted by frequency
+     */
+    static getPartials(frequencies, count = HarmonicSeries.PARTIALS) {
+        const partials = [];
+        frequencies.forEach((frequency, voice) => {
+            for (let partial = 1; partial <= count; partial++) {
+                partials.push({ voice, partial, frequency: frequency * partial });
+            }
+        });
+        return partials.sort((a, b) => a.frequency - b.frequency);
+    }
+
+    /**
+     * Pairs of partials from different voices that coincide or beat.
+     * @param {Array<{voice: number, partial: number, frequency: number}>} partials - Sorted, from getPartials()
+     * @returns {Array<{low: Object, high: Object, difference: number, type: string}>} Type
+     *     is 'coincide' or 'beat'; the difference is the beat rate in Hz
+     */
+    static findInteractions(partials) {
+        const interactions = [];
+
+        partials.forEach((low, i) => {
+            for (let j = i + 1; j < partials.length; j++) {
+                const high = partials[j];
+                const difference = high.frequency - low.frequency;
+                if (difference >= HarmonicSeries.BEAT_HZ) break;
+                if (high.voice === low.voice) continue;
+
+                interactions.push({
+                    low,
+                    high,
+                    difference,
+                    type: difference < HarmonicSeries.COINCIDE_HZ ? 'coincide' : 'beat'
+                });
+            }
+        });
+
+        return interactions;
+    }
+}
+
+HarmonicSeries.PARTIALS = 8;
+HarmonicSeries.COINCIDE_HZ = 0.1;
+HarmonicSeries.BEAT_HZ = 15;
+
+/**
+ * Spectrum: the analyser's log-frequency spectrum with the voices'
+ * harmonic series marked over it. Stopped, it shows the markers alone.
+ */
+class SpectrumVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    draw(ctx, frame) {
+        this.drawSpectrum(ctx, frame, this.generator.analyser);
+    }
+
+    drawIdle(ctx, frame) {
+        this.drawSpectrum(ctx, frame, null);
+    }
+
+    drawSpectrum(ctx, { width, height }, analyser) {
+        const span = Math.log(SpectrumVisualizer.MAX_HZ / SpectrumVisualizer.MIN_HZ);
+        const toX = frequency => width * Math.log(frequency / SpectrumVisualizer.MIN_HZ) / span;
+        const toFrequency = x => SpectrumVisualizer.MIN_HZ * Math.exp(span * x / width);
+        const labelSpace = SpectrumVisualizer.LABEL_SPACE;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // A grid line at every C
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#1e293b';
+        ctx.fillStyle = '#475569';
+        ctx.font = SpectrumVisualizer.FONT;
+        for (let octave = 1; octave <= 8; octave++) {
+            const x = toX(440 * Math.pow(2, octave - 4 - 9 / 12));
+            ctx.beginPath();
+            ctx.moveTo(x, labelSpace);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(`C${octave}`, x + 2, height - 3);
+        }
+
+        if (analyser) {
+            const data = new Float32Array(analyser.frequencyBinCount);
+            analyser.getFloatFrequencyData(data);
+            const binHz = this.generator.audioContext.sampleRate / analyser.fftSize;
+            const floor = height - labelSpace;
+            const range = SpectrumVisualizer.MAX_DB - SpectrumVisualizer.MIN_DB;
+
+            // Each pixel column shows the loudest bin it covers
+            ctx.beginPath();
+            ctx.moveTo(0, height);
+            for (let x = 0; x <= width; x++) {
+                const first = Math.floor(toFrequency(x) / binHz);
+                const last = Math.max(first, Math.floor(toFrequency(x + 1) / binHz));
+                let level = -Infinity;
+                for (let bin = first; bin <= last && bin < data.length; bin++) {
+                    level = Math.max(level, data[bin]);
+                }
+                const t = Math.max(0, Math.min(1, (level - SpectrumVisualizer.MIN_DB) / range));
+                ctx.lineTo(x, height - t * floor);
+            }
+            ctx.lineTo(width, height);
+            ctx.closePath();
+            ctx.fillStyle = 'rgba(16, 185, 129, 0.25)';
+            ctx.fill();
+            ctx.strokeStyle = '#10b981';
+            ctx.stroke();
+        }
+
+        this.drawHarmonicMarkers(ctx, width, height, toX);
+    }
+
+    // Partials as lines in their voice's color, solid for the fundamental. Gold dots mark
+    // partials two voices share, red bars join those close enough to beat.
+    drawHarmonicMarkers(ctx, width, height, toX) {
+        const gen = this.generator;
+        const colors = SpectrumVisualizer.VOICE_COLORS;
+        const frequencies = gen.getVoiceFrequencies();
+        const partials = HarmonicSeries.getPartials(frequencies).filter(partial =>
+            partial.frequency <= SpectrumVisualizer.MAX_HZ &&
+            DroneGenerator.getVoiceGain(gen.settings, partial.voice, frequencies.length) > 0);
+        const top = SpectrumVisualizer.LABEL_SPACE;
+
+        partials.forEach(partial => {
+            const x = toX(partial.frequency);
+            ctx.strokeStyle = colors[partial.voice % colors.length];
+            ctx.globalAlpha = partial.partial === 1 ? 0.9 : 0.5;
+            ctx.setLineDash(partial.partial === 1 ? [] : [2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+        ctx.globalAlpha = 1;
+        ctx.setLineDash([]);
+
+        ctx.font = SpectrumVisualizer.FONT;
+        HarmonicSeries.findInteractions(partials).forEach(({ low, high, difference, type }) => {
+            const x = toX(low.frequency);
+            if (type === 'coincide') {
+                ctx.fillStyle = '#facc15';
+                ctx.beginPath();
+                ctx.arc(x, top + 6, 4, 0, 2 * Math.PI);
+                ctx.fill();
+            } else {
+                ctx.fillStyle = '#f87171';
+                ctx.fillRect(x, top + 4, Math.max(3, toX(high.frequency) - x), 4);
+                ctx.fillText(`${difference.toFixed(1)} Hz`, x + 3, top + 18);
+            }
+        });
+
+        // Fundamentals are labelled first, then overtones wherever a row has room
+        const rows = Array.from({ length: SpectrumVisualizer.LABEL_ROWS }, () => []);
+        const ordered = partials.filter(partial => partial.partial === 1)
+            .concat(partials.filter(partial => partial.partial > 1));
+
+        ordered.forEach(partial => {
+            const frequency = partial.frequency;
+            const text = `${DroneGenerator.getNearestNote(frequency).name} ` +
+                `${frequency < 100 ? frequency.toFixed(1) : Math.round(frequency)} Hz`;
+            const textWidth = ctx.measureText(text).width;
+            const left = Math.max(0, Math.min(width - textWidth, toX(frequency) - textWidth / 2));
+            const right = left + textWidth;
+
+            const row = rows.findIndex(spans => spans.every(([start, end]) => right + 4 < start || left > end + 4));
+            if (row === -1) return;
+
+            rows[row].push([left, right]);
+            ctx.fillStyle = colors[partial.voice % colors.length];
+            ctx.globalAlpha = partial.partial === 1 ? 1 : 0.7;
+            ctx.fillText(text, left, 10 + row * 11);
+        });
+        ctx.globalAlpha = 1;
+    }
+}
+
+SpectrumVisualizer.LABEL = 'Spectrum';
+SpectrumVisualizer.HEIGHT = 200;
+// Bins a few Hz wide, to resolve low partials
+SpectrumVisualizer.FFT_SIZE = 16384;
+
+// Frequency and level range, and rows of partial labels across the top
+SpectrumVisualizer.MIN_HZ = 20;
+SpectrumVisualizer.MAX_HZ = 10000;
+SpectrumVisualizer.MIN_DB = -100;
+SpectrumVisualizer.MAX_DB = -20;
+SpectrumVisualizer.LABEL_ROWS = 3;
+SpectrumVisualizer.LABEL_SPACE = 36;
+SpectrumVisualizer.FONT = '9px "SF Mono", "Fira Code", Consolas, monospace';
+
+// One color per voice
+SpectrumVisualizer.VOICE_COLORS = ['#10b981', '#38bdf8', '#a78bfa', '#f472b6', '#fb923c', '#2dd4bf', '#818cf8', '#e879f9'];
@@ -0,0 +1,332 @@
+/**
+ * Tanpura Layer
+ * Four plucked strings in the classic cycle: the first string (Pa, Ma or
+ * Ni below Sa), Sa, Sa, then the low Sa an octave down, with a breath
+ * before the cycle starts again.
+ *
+ * Each string is a Karplus-Strong model rendered into a buffer: a burst of
+ * noise circulating through a delay line one period long, losing a little
+ * high end on every pass. The jawari, the tanpura's wide curved bridge, is
+ * modelled as a one-sided contact on the string's motion: whenever the
+ * string swings down past the bridge it gets a sharp push back. The bridge
+ * sits at a fraction of the string's current swing, so the grazing buzz
+ * carries on as the note dies away instead of stopping after the attack.
+ *
+ * Sa follows the generator's root and tuning, folded by octaves into a
+ * typical tanpura range, and the first string takes its interval from the
+ * same tuning. Plucks are scheduled a little ahead on a timer while the
+ * drone plays, or all at once in an offline render. The strings bypass the drone's filter
+ * but share its reverb.
+ */
+
+class TanpuraLayer {
+    constructor(generator) {
+        this.generator = generator;
+        const ctx = generator.audioContext;
+
+        // Rendered strings by frequency, cleared when the pitches change
+        this.strings = {};
+        // Latest pluck of each string, so a repluck can damp it
+        this.ringing = [];
+
+        this.step = 0;
+        this.nextTime = 0;
+        this.scheduleInterval = null;
+        this.stopTimeout = null;
+
+        this.output = ctx.createGain();
+        this.output.gain.value = this.getLevel();
+        this.output.connect(generator.dryGain);
+        this.output.connect(generator.reverb.input);
+
+        if (generator.settings.tanpura) this.start();
+
+        generator.on('change', ({ changes, morph }) => this.handleChange(changes, morph));
+        generator.on('morph', ({ active, completed }) => {
+            if (!active && !completed) this.hold();
+        });
+
+        // Live, the timer only runs while the drone can be heard
+        generator.on('play', () => {
+            clearTimeout(this.stopTimeout);
+            if (generator.settings.tanpura && !generator.isOffline()) this.start();
+        });
+        generator.on('stop', ({ fadeTime }) => {
+            clearTimeout(this.stopTimeout);
+            this.stopTimeout = setTimeout(() => this.stop(), fadeTime * 1000);
+        });
+    }
+
+    getLevel() {
+        const settings = this.generator.settings;
+        return settings.tanpura ? settings.tanpuraLevel : 0;
+    }
+
+    // Seconds between plucks
+    getBeat() {
+        return 60 / this.generator.settings.tanpuraTempo;
+    }
+
+    /**
+     * String frequencies in cycle order: first string, Sa, Sa, low Sa.
+     * @param {DroneGenerator} generator
+     * @returns {number[]}
+     */
+    static getStringFrequencies(generator) {
+        const sa = generator.getRootFrequencyInRange(TanpuraLayer.MIN_SA, TanpuraLayer.MAX_SA);
+        const first = generator.getIntervalRatio(TanpuraLayer.FIRST_STRINGS[generator.settings.tanpuraFirst]) / 2;
+        return [sa * first, sa, sa, sa / 2];
+    }
+
+    start() {
+        if (this.generator.isOffline()) {
+            this.scheduleAll();
+            return;
+        }
+        if (this.scheduleInterval || !this.generator.isPlaying) return;
+
+        // Live, the cycle starts from its first string; a new tempo applies from the next pluck
+        this.step = 0;
+        this.nextTime = this.generator.audioContext.currentTime + 0.05;
+        this.schedule();
+        this.scheduleInterval = setInterval(() => this.schedule(), TanpuraLayer.SCHEDULE_MS);
+    }
+
+    stop() {
+        clearInterval(this.scheduleInterval);
+        this.scheduleInterval = null;
+    }
+
+    // Find the first pluck at or after local `time`, counting whole cycles from
+    // global time 0 so that export chunks agree
+    seek(time) {
+        const beat = this.getBeat();
+        const cycle = TanpuraLayer.CYCLE_BEATS * beat;
+        const global = time + this.generator.timeOffset;
+        const cycleIndex = Math.floor(global / cycle);
+
+        this.step = cycleIndex * TanpuraLayer.PATTERN.length;
+        this.nextTime = cycleIndex * cycle - this.generator.timeOffset;
+        while (this.nextTime < time) this.advance();
+    }
+
+    // Place of a pluck within its cycle; steps before global time 0 are negative
+    static getPosition(step) {
+        const length = TanpuraLayer.PATTERN.length;
+        return ((step % length) + length) % length;
+    }
+
+    advance() {
+        const pattern = TanpuraLayer.PATTERN;
+        const position = TanpuraLayer.getPosition(this.step);
+        const gap = position === pattern.length - 1
+            ? TanpuraLayer.CYCLE_BEATS - pattern[position]
+            : pattern[position + 1] - pattern[position];
+
+        this.step++;
+        this.nextTime += gap * this.getBeat();
+    }
+
+    schedule() {
+        const horizon = this.generator.audioContext.currentTime + TanpuraLayer.SCHEDULE_AHEAD;
+        while (this.nextTime < horizon) {
+            this.pluck(this.step, this.nextTime);
+            this.advance();
+        }
+    }
+
+    // An offline render knows its length, so every pluck goes in up front
+    scheduleAll() {
+        const ctx = this.generator.audioContext;
+        // Start early enough that strings already ringing at time 0 are heard
+        this.seek(-TanpuraLayer.STRING_SECONDS);
+        const end = ctx.length / ctx.sampleRate;
+
+        while (this.nextTime < end) {
+            if (this.nextTime + TanpuraLayer.STRING_SECONDS > 0) {
+                this.pluck(this.step, this.nextTime);
+            }
+            this.advance();
+        }
+    }
+
+    pluck(step, time) {
+        const ctx = this.generator.audioContext;
+        const string = TanpuraLayer.getPosition(step);
+        const frequency = TanpuraLayer.getStringFrequencies(this.generator)[string];
+
+        const source = ctx.createBufferSource();
+        source.buffer = this.getString(frequency);
+
+        // Every pluck is a touch different, and the same for a given step
+        const gain = ctx.createGain();
+        gain.gain.value = TanpuraLayer.STRING_LEVELS[string] * (0.85 + 0.15 * new SeededRandom(step).next());
+
+        source.connect(gain);
+        gain.connect(this.output);
+
+        const offset = Math.max(0, -time);
+        source.start(Math.max(0, time), offset);
+
+        // Replucking a string damps what is left of its last note
+        const previous = this.ringing[string];
+        if (previous) {
+            previous.gain.gain.setTargetAtTime(0, Math.max(0, time), 0.03);
+            previous.source.stop(Math.max(0, time) + 0.2);
+        }
+        this.ringing[string] = { source, gain };
+        source.onended = () => {
+            gain.disconnect();
+            if (this.ringing[string] && this.ringing[string].source === source) {
+                this.ringing[string] = null;
+            }
+        };
+    }
+
+    getString(frequency) {
+        const key = frequency.toFixed(3);
+        if (!this.strings[key]) {
+            const ctx = this.generator.audioContext;
+            const buffer = ctx.createBuffer(1, Math.round(TanpuraLayer.STRING_SECONDS * ctx.sampleRate), ctx.sampleRate);
+            TanpuraLayer.renderString(buffer.getChannelData(0), ctx.sampleRate, frequency,
+                this.generator.settings.tanpuraJawari, new SeededRandom(`tanpura:${key}`));
+            this.strings[key] = buffer;
+        }
+        return this.strings[key];
+    }
+
+    /**
+     * Karplus-Strong string through a jawari bridge.
+     * @param {Float32Array} data - Filled with the pluck
+     * @param {number} sampleRate
+     * @param {number} frequency - In Hz
+     * @param {number} jawari - Buzz amount, 0 to 1
+     * @param {SeededRandom} random
+     */
+    static renderString(data, sampleRate, frequency, jawari, random) {
+        const period = sampleRate / frequency;
+        const excitation = Math.ceil(period);
+        // Per-pass loss for the decay time, 60 dB down after DECAY seconds
+        const loss = Math.pow(0.001, 1 / (frequency * TanpuraLayer.DECAY));
+
+        // A soft pluck: smoothed noise, shaped like a string pulled aside at one point
+        let smooth = 0;
+        for (let i = 0; i < excitation && i < data.length; i++) {
+            smooth += 0.5 * (random.next() * 2 - 1 - smooth);
+            const shape = i < excitation * 0.3 ? i / (excitation * 0.3) : (excitation - i) / (excitation * 0.7);
+            data[i] = smooth * shape;
+        }
+
+        // Read one period back, allowing for the delay of the two-tap loop filter
+        const damping = TanpuraLayer.DAMPING;
+        const read = position => {
+            const index = Math.floor(position);
+            const fraction = position - index;
+            return index < 0 ? 0 : data[index] * (1 - fraction) + data[index + 1] * fraction;
+        };
+
+        for (let i = excitation; i < data.length; i++) {
+            const back = i - period + damping;
+            data[i] = loss * ((1 - damping) * read(back) + damping * read(back - 1));
+        }
+
+        // Jawari: the downward swing is tracked over about two periods, and the bridge
+        // sits that far down less the jawari amount
+        const follow = Math.exp(-1 / (2 * period));
+        let swing = 0;
+        // Then block the DC the one-sided contact adds, and fade the very end
+        let lastIn = 0, lastOut = 0;
+        const fadeStart = data.length - Math.round(0.5 * sampleRate);
+
+        for (let i = 0; i < data.length; i++) {
+            let input = data[i];
+            swing = Math.max(-input, swing * follow);
+            const contact = -input - swing * (1 - 0.8 * jawari);
+            if (jawari > 0 && contact > 0) {
+                input += 10 * contact * contact / swing;
+            }
+
+            lastOut = input - lastIn + 0.995 * lastOut;
+            lastIn = input;
+            data[i] = lastOut * (i > fadeStart ? (data.length - i) / (data.length - fadeStart) : 1);
+        }
+
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+        if (peak) {
+            for (let i = 0; i < data.length; i++) data[i] *= 0.8 / peak;
+        }
+    }
+
+    // Fit a whole number of cycles into an exported loop
+    static snapToLoop(settings, loopSeconds) {
+        if (!settings.tanpura) return;
+
+        const cycle = TanpuraLayer.CYCLE_BEATS * 60 / settings.tanpuraTempo;
+        const cycles = Math.max(1, Math.round(loopSeconds / cycle));
+        settings.tanpuraTempo = cycles * TanpuraLayer.CYCLE_BEATS * 60 / loopSeconds;
+    }
+
+    handleChange(changes, morph) {
+        if (['tanpuraFirst', 'tanpuraJawari', ...DroneGenerator.PITCH_SETTINGS].some(key => key in changes)) {
+            this.strings = {};
+        }
+
+        if ('tanpura' in changes) {
+            if (this.generator.settings.tanpura) {
+                this.start();
+            } else {
+                this.stop();
+            }
+        }
+
+        if ('tanpura' in changes || 'tanpuraLevel' in changes) {
+            this.generator.moveParam(this.output.gain, this.getLevel(), morph);
+        }
+    }
+
+    hold() {
+        this.generator.holdParams([this.output.gain]);
+    }
+}
+
+// Range in Hz that Sa is folded into
+TanpuraLayer.MIN_SA = 110;
+TanpuraLayer.MAX_SA = 220;
+
+// First string in semitones above Sa, played an octave down: Pa, Ma or Ni
+TanpuraLayer.FIRST_STRINGS = {
+    pa: 7,
+    ma: 5,
+    ni: 11
+};
+
+// Pluck times in beats within a cycle, and the cycle length with its pause
+TanpuraLayer.PATTERN = [0, 1, 2, 3];
+TanpuraLayer.CYCLE_BEATS = 4.5;
+TanpuraLayer.STRING_LEVELS = [0.8, 0.7, 0.7, 1];
+
+TanpuraLayer.STRING_SECONDS = 8;
+TanpuraLayer.DECAY = 16;
+// Weight of the loop filter's second tap; higher dulls the string faster
+TanpuraLayer.DAMPING = 0.3;
+TanpuraLayer.SCHEDULE_MS = 250;
+TanpuraLayer.SCHEDULE_AHEAD = 1.2;
+
+TanpuraLayer.DEFAULT_SETTINGS = {
+    tanpura: false,
+    tanpuraFirst: 'pa',
+    tanpuraTempo: 50,
+    tanpuraJawari: 0.5,
+    tanpuraLevel: 0.5
+};
+
+TanpuraLayer.SETTINGS_SCHEMA = {
+    tanpura: { type: 'boolean' },
+    tanpuraFirst: { type: 'enum', values: ['pa', 'ma', 'ni'] },
+    tanpuraTempo: { type: 'number', min: 20, max: 90 },
+    tanpuraJawari: { type: 'number', min: 0, max: 1 },
+    tanpuraLevel: { type: 'number', min: 0, max: 1 }
+};
+
+DroneGenerator.registerLayer('tanpura', TanpuraLayer);
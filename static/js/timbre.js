@@ -0,0 +1,135 @@
+/**
+ * Additive Timbres
+ * A voice's waveform as the amplitudes of its first 32 harmonics, built
+ * into a PeriodicWave so one oscillator pair per voice does the work of
+ * the three-oscillator stack.
+ *
+ * Spectra travel as text, one amplitude from 0 to 1 per partial, with
+ * silent partials at the top left off: "1 0.5 0.33" is three partials.
+ *
+ * A PeriodicWave can only hold whole multiples of its fundamental, so a
+ * preset may also list `modes`, [ratio, amplitude] pairs between the
+ * harmonics that each voice plays as extra sines while that exact spectrum
+ * is chosen. The singing bowl uses them for its inharmonic modes (roughly
+ * 1 : 2.7 : 5.2 : 8.3); the chorus detune supplies the beating.
+ */
+
+class HarmonicSpectrum {
+    /**
+     * @param {string} text
+     * @returns {number[]} MAX_PARTIALS amplitudes, zero past the last one given
+     * @throws {Error} Naming the partial that can't be read
+     */
+    static parse(text) {
+        const tokens = typeof text === 'string' ? text.trim().split(/\s+/).filter(Boolean) : [];
+        if (!tokens.length) {
+            throw new Error('A spectrum needs at least one partial');
+        }
+        if (tokens.length > HarmonicSpectrum.MAX_PARTIALS) {
+            throw new Error(`A spectrum can have up to ${HarmonicSpectrum.MAX_PARTIALS} partials, not ${tokens.length}`);
+        }
+
+        const amplitudes = tokens.map((token, index) => {
+            const amplitude = Number(token);
+            if (!(amplitude >= 0 && amplitude <= 1)) {
+                throw new Error(`Partial ${index + 1}: "${token}" is not an amplitude from 0 to 1`);
+            }
+            return amplitude;
+        });
+        if (!amplitudes.some(amplitude => amplitude > 0)) {
+            throw new Error('At least one partial must be above 0');
+        }
+
+        while (amplitudes.length < HarmonicSpectrum.MAX_PARTIALS) amplitudes.push(0);
+        return amplitudes;
+    }
+
+    /**
+     * @param {number[]} amplitudes
+     * @returns {string} Spectrum text that parse() reads back, to two decimals
+     */
+    static format(amplitudes) {
+        const rounded = amplitudes.map(amplitude => Math.round(amplitude * 100) / 100);
+        while (rounded.length > 1 && rounded[rounded.length - 1] === 0) rounded.pop();
+        return rounded.join(' ');
+    }
+
+    // Error message for spectrum text that can't be used, or null
+    static check(text) {
+        try {
+            HarmonicSpectrum.parse(text);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    /**
+     * @param {BaseAudioContext} ctx
+     * @param {number[]} amplitudes - Partial 1 first
+     * @param {number} [phase] - Radians of the fundamental the wave starts at
+     * @returns {PeriodicWave} Normalized, so spectra of any strength play at the same peak level
+     */
+    static createWave(ctx, amplitudes, phase = 0) {
+        const real = new Float32Array(amplitudes.length + 1);
+        const imag = new Float32Array(amplitudes.length + 1);
+        amplitudes.forEach((amplitude, index) => {
+            // Partial n turns n times as far
+            const angle = (index + 1) * phase;
+            real[index + 1] = amplitude * Math.sin(angle);
+            imag[index + 1] = amplitude * Math.cos(angle);
+        });
+        return ctx.createPeriodicWave(real, imag);
+    }
+
+    /**
+     * Sine amplitudes of an oscillator type, as the Web Audio spec defines them,
+     * so createWave() can start one at any phase.
+     * @param {string} type - 'sine', 'triangle' or 'sawtooth'
+     * @returns {number[]} WAVEFORM_PARTIALS amplitudes
+     */
+    static getWaveformPartials(type) {
+        return Array.from({ length: HarmonicSpectrum.WAVEFORM_PARTIALS }, (_, index) => {
+            const n = index + 1;
+            switch (type) {
+                case 'triangle':
+                    return 8 * Math.sin(n * Math.PI / 2) / Math.pow(Math.PI * n, 2);
+                case 'sawtooth':
+                    return (n % 2 === 1 ? 2 : -2) / (n * Math.PI);
+                default:
+                    return n === 1 ? 1 : 0;
+            }
+        });
+    }
+
+    // Name of the preset with exactly this spectrum, or null
+    static findPreset(text) {
+        return Object.keys(HarmonicSpectrum.PRESETS)
+            .find(name => HarmonicSpectrum.PRESETS[name].partials === text) || null;
+    }
+}
+
+HarmonicSpectrum.MAX_PARTIALS = 32;
+// Harmonics of a basic waveform built by getWaveformPartials(); the browser drops those past Nyquist
+HarmonicSpectrum.WAVEFORM_PARTIALS = 256;
+
+// Spectra in partial order; the bowl's energy is mostly in its modes
+HarmonicSpectrum.PRESETS = {
+    sine: { label: 'Sine', partials: '1' },
+    organ: { label: 'Organ', partials: '1 0.8 0.6 0.5 0 0.3 0 0.25 0 0.1 0 0.08 0 0 0 0.05' },
+    choir: { label: 'Choir Pad', partials: '0.55 0.8 1 0.75 0.5 0.35 0.25 0.2 0.25 0.2 0.12 0.08 0.05' },
+    clarinet: {
+        label: 'Clarinet (Odd Harmonics)',
+        partials: '1 0.04 0.75 0.03 0.5 0 0.35 0 0.22 0 0.15 0 0.1 0 0.07 0 0.05 0 0.03'
+    },
+    strings: {
+        label: 'Bowed Strings',
+        partials: '1 0.5 0.33 0.25 0.2 0.17 0.14 0.13 0.11 0.1 0.09 0.08 0.08 0.07 0.07 0.06 ' +
+            '0.06 0.06 0.05 0.05 0.05 0.05 0.04 0.04 0.04 0.04 0.04 0.04 0.03 0.03 0.03 0.03'
+    },
+    bowl: {
+        label: 'Singing Bowl (Inharmonic)',
+        partials: '1 0.08',
+        modes: [[2.7, 0.5], [5.2, 0.35], [8.3, 0.22], [12.2, 0.12], [16.8, 0.06]]
+    }
+};
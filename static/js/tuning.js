@@ -0,0 +1,287 @@
+/**
+ * Tuning Scales
+ * A scale in the Scala model: pitches in cents above degree 0, repeating at
+ * a period (usually the 2/1 octave), with an optional keyboard mapping that
+ * pins keys to degrees and one key to a reference frequency.
+ *
+ * Built-in temperaments live in TuningScale.TEMPERAMENTS. Scala files are
+ * read with parseScale() (.scl) and parseMapping() (.kbm); both throw an
+ * Error naming the offending line when a file can't be used.
+ *
+ * See https://www.huygens-fokker.org/scala/scl_format.html for the formats.
+ */
+
+class TuningScale {
+    /**
+     * @param {Object} options
+     * @param {string} [options.description]
+     * @param {number[]} options.pitches - Cents of degrees 1..n; the last is the period
+     * @param {boolean} [options.fixed=false] - Degree 0 is C on the keyboard, rather
+     *     than whatever the root is
+     * @param {Object} [options.mapping] - Parsed keyboard mapping (see parseMapping)
+     */
+    constructor({ description = '', pitches, fixed = false, mapping = null }) {
+        this.description = description;
+        this.pitches = pitches;
+        this.size = pitches.length;
+        this.period = pitches[pitches.length - 1];
+        this.fixed = fixed;
+        this.mapping = mapping;
+    }
+
+    // Whether degrees line up with the twelve keys of an octave
+    isTwelveTone() {
+        return this.size === 12 && Math.abs(this.period - 1200) < 1e-6;
+    }
+
+    // Cents of any degree, negative or beyond the period, above degree 0
+    getCents(degree) {
+        const octave = Math.floor(degree / this.size);
+        const step = degree - octave * this.size;
+        return octave * this.period + (step === 0 ? 0 : this.pitches[step - 1]);
+    }
+
+    getNearestDegree(cents) {
+        const start = Math.floor(cents / this.period) * this.size - 1;
+        let best = start;
+        for (let degree = start; degree <= start + this.size + 1; degree++) {
+            if (Math.abs(this.getCents(degree) - cents) < Math.abs(this.getCents(best) - cents)) {
+                best = degree;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Degree played by a MIDI key under the keyboard mapping.
+     * @param {number} key
+     * @returns {number|null} Null when the key is unmapped
+     */
+    getKeyDegree(key) {
+        const mapping = this.mapping;
+        const offset = key - mapping.middleNote;
+        if (mapping.size === 0) return offset;
+
+        const shift = Math.floor(offset / mapping.size);
+        const entry = mapping.degrees[offset - shift * mapping.size];
+        if (entry === null || entry === undefined) return null;
+        return entry + shift * (mapping.octaveDegree || this.size);
+    }
+
+    // Frequency of a MIDI key under the keyboard mapping, or null when unmapped
+    getKeyFrequency(key) {
+        const degree = this.getKeyDegree(key);
+        if (degree === null) return null;
+
+        const reference = this.getKeyDegree(this.mapping.referenceNote);
+        return this.mapping.referenceFrequency *
+            Math.pow(2, (this.getCents(degree) - this.getCents(reference)) / 1200);
+    }
+
+    /**
+     * Parse a Scala .scl file.
+     * @param {string} text
+     * @returns {{description: string, pitches: number[]}}
+     */
+    static parseScale(text) {
+        const lines = TuningScale.readLines(text);
+        if (lines.length < 2) {
+            throw new Error('A scale file needs a description line and a note count');
+        }
+
+        const description = lines[0].text;
+        const countLine = lines[1];
+        const count = Number(countLine.text.split(/\s+/)[0]);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Line ${countLine.number}: "${countLine.text}" is not a note count`);
+        }
+        if (count > TuningScale.MAX_NOTES) {
+            throw new Error(`Line ${countLine.number}: ${count} notes is more than the ${TuningScale.MAX_NOTES} supported`);
+        }
+
+        const pitchLines = lines.slice(2, 2 + count);
+        if (pitchLines.length < count) {
+            throw new Error(`Expected ${count} pitches but found ${pitchLines.length}`);
+        }
+
+        const pitches = pitchLines.map(line => TuningScale.parsePitch(line));
+        pitches.forEach((cents, index) => {
+            const previous = index === 0 ? 0 : pitches[index - 1];
+            if (!(cents > previous)) {
+                throw new Error(`Line ${pitchLines[index].number}: pitches must rise, ` +
+                    `but ${TuningScale.formatCents(cents)} is not above ${TuningScale.formatCents(previous)}`);
+            }
+        });
+
+        return { description, pitches };
+    }
+
+    // A pitch line: cents if it has a period, otherwise a ratio or a whole number
+    static parsePitch(line) {
+        const token = line.text.split(/\s+/)[0];
+
+        if (token.includes('.')) {
+            const cents = Number(token);
+            if (!Number.isFinite(cents)) {
+                throw new Error(`Line ${line.number}: "${token}" is not a cents value`);
+            }
+            return cents;
+        }
+
+        const match = /^(\d+)(?:\/(\d+))?$/.exec(token);
+        if (!match) {
+            throw new Error(`Line ${line.number}: "${token}" is not a ratio or a cents value`);
+        }
+        const numerator = Number(match[1]);
+        const denominator = match[2] === undefined ? 1 : Number(match[2]);
+        if (!numerator || !denominator) {
+            throw new Error(`Line ${line.number}: "${token}" is not a positive ratio`);
+        }
+        return 1200 * Math.log2(numerator / denominator);
+    }
+
+    /**
+     * Parse a Scala .kbm keyboard mapping.
+     * @param {string} text
+     * @param {number} scaleSize - Degrees in the scale it maps, to check entries against
+     * @returns {{size: number, firstNote: number, lastNote: number, middleNote: number,
+     *     referenceNote: number, referenceFrequency: number, octaveDegree: number,
+     *     degrees: Array<number|null>}} Unmapped keys are null
+     */
+    static parseMapping(text, scaleSize) {
+        const lines = TuningScale.readLines(text);
+        const fields = ['map size', 'first MIDI note', 'last MIDI note', 'middle note',
+            'reference note', 'reference frequency', 'formal octave degree'];
+
+        if (lines.length < fields.length) {
+            throw new Error(`A keyboard mapping needs ${fields.length} header lines, found ${lines.length}`);
+        }
+
+        const values = fields.map((field, index) => {
+            const line = lines[index];
+            const value = Number(line.text.split(/\s+/)[0]);
+            const valid = field === 'reference frequency'
+                ? Number.isFinite(value) && value > 0
+                : Number.isInteger(value) && value >= 0;
+            if (!valid) {
+                throw new Error(`Line ${line.number}: "${line.text}" is not a valid ${field}`);
+            }
+            return value;
+        });
+
+        const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = values;
+        [firstNote, lastNote, middleNote, referenceNote].forEach((note, index) => {
+            if (note > 127) {
+                throw new Error(`Line ${lines[index + 1].number}: ${note} is not a MIDI note (0-127)`);
+            }
+        });
+
+        // Missing entries at the end are unmapped, as in Scala
+        const degrees = [];
+        for (let i = 0; i < size; i++) {
+            const line = lines[fields.length + i];
+            const token = line ? line.text.split(/\s+/)[0] : 'x';
+            if (token.toLowerCase() === 'x') {
+                degrees.push(null);
+                continue;
+            }
+            const degree = Number(token);
+            if (!Number.isInteger(degree) || degree < 0) {
+                throw new Error(`Line ${line.number}: "${token}" is not a scale degree or "x"`);
+            }
+            if (degree > scaleSize) {
+                throw new Error(`Line ${line.number}: degree ${degree} is beyond the ${scaleSize}-note scale`);
+            }
+            degrees.push(degree);
+        }
+
+        const mapping = { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, degrees };
+        if (new TuningScale({ pitches: [1200], mapping }).getKeyDegree(referenceNote) === null) {
+            throw new Error(`The reference note ${referenceNote} is not mapped to a scale degree`);
+        }
+        return mapping;
+    }
+
+    /**
+     * Build a scale from Scala file text.
+     * @param {string} scaleText - Contents of a .scl file
+     * @param {string} [mappingText] - Contents of a .kbm file
+     * @returns {TuningScale}
+     */
+    static fromScala(scaleText, mappingText) {
+        const { description, pitches } = TuningScale.parseScale(scaleText);
+        const mapping = mappingText ? TuningScale.parseMapping(mappingText, pitches.length) : null;
+        return new TuningScale({ description, pitches, mapping });
+    }
+
+    /**
+     * Build one of TuningScale.TEMPERAMENTS.
+     * @param {string} name
+     * @returns {TuningScale}
+     */
+    static fromTemperament(name) {
+        const temperament = TuningScale.TEMPERAMENTS[name];
+        const pitches = temperament.cents
+            ? temperament.cents.slice(1).concat(1200)
+            : temperament.ratios.slice(1).concat(2).map(ratio => 1200 * Math.log2(ratio));
+        return new TuningScale({ description: temperament.label, pitches, fixed: !!temperament.fixed });
+    }
+
+    // Non-comment lines with their 1-based line numbers; the description may be blank
+    static readLines(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Tuning files must be text');
+        }
+        return text.split(/\r\n|\r|\n/)
+            .map((raw, index) => ({ text: raw.trim(), number: index + 1 }))
+            .filter((line, index, lines) => !line.text.startsWith('!') &&
+                (line.text !== '' || lines.slice(0, index).every(previous => previous.text.startsWith('!'))));
+    }
+
+    static formatCents(cents) {
+        return `${Math.round(cents * 100) / 100} cents`;
+    }
+}
+
+TuningScale.MAX_NOTES = 256;
+
+// Just ratios for each semitone above the root. Chord tones in scales that
+// don't have twelve steps to the octave use the nearest degree to these.
+TuningScale.JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+// `fixed` temperaments are keyboard tunings laid from C, so each key has its own colour;
+// the others are built up from whatever the root is
+TuningScale.TEMPERAMENTS = {
+    equal: {
+        label: 'Equal temperament',
+        cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+    },
+    just: {
+        label: 'Just intonation',
+        ratios: TuningScale.JUST_RATIOS
+    },
+    pythagorean: {
+        label: 'Pythagorean',
+        ratios: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128]
+    },
+    meantone: {
+        label: 'Quarter-comma meantone',
+        fixed: true,
+        cents: [0, 76.05, 193.16, 310.26, 386.31, 503.42, 579.47, 696.58, 772.63, 889.74, 1006.84, 1082.89]
+    },
+    werckmeister3: {
+        label: 'Werckmeister III',
+        fixed: true,
+        cents: [0, 90.22, 192.18, 294.13, 390.22, 498.04, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18]
+    },
+    kirnberger3: {
+        label: 'Kirnberger III',
+        fixed: true,
+        cents: [0, 90.22, 193.16, 294.13, 386.31, 498.04, 590.22, 696.58, 792.18, 889.74, 996.09, 1088.27]
+    },
+    shruti22: {
+        label: '22 shrutis',
+        ratios: [1, 256 / 243, 16 / 15, 10 / 9, 9 / 8, 32 / 27, 6 / 5, 5 / 4, 81 / 64, 4 / 3, 27 / 20,
+            45 / 32, 729 / 512, 3 / 2, 128 / 81, 8 / 5, 5 / 3, 27 / 16, 16 / 9, 9 / 5, 15 / 8, 243 / 128]
+    }
+};
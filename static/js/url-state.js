@@ -0,0 +1,237 @@
+/**
+ * URL State
+ * Reads and writes generator settings in the page URL.
+ *
+ * Full state travels in the fragment as `#s=<version>.<payload>`, where the
+ * payload is base64url-encoded JSON: an array of setting values in FIELDS
+ * order. New settings are only ever appended to FIELDS, so older links
+ * decode with defaults for whatever they lack.
+ *
+ * Landing pages link with query parameters instead:
+ *   /?preset=sleep&timer=30   built-in preset, sleep timer in minutes
+ */
+
+class UrlState {
+    /**
+     * @param {Object} settings
+     * @returns {string} Fragment without the leading '#'
+     */
+    static encode(settings) {
+        const values = UrlState.FIELDS.map(key => {
+            const value = settings[key];
+            // Trim float noise so links stay short
+            return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+        });
+        return `s=${UrlState.VERSION}.${UrlState.toBase64Url(JSON.stringify(values))}`;
+    }
+
+    /**
+     * @param {string} fragment - With or without the leading '#'
+     * @param {string[]} [warnings] - Receives messages for dropped or clamped values
+     * @returns {Object|null} Validated settings, or null when the fragment holds no state
+     */
+    static decode(fragment, warnings = []) {
+        const match = /^#?s=(\d+)\.([A-Za-z0-9_-]+)$/.exec(fragment || '');
+        if (!match) return null;
+
+        const version = parseInt(match[1]);
+        if (version > UrlState.VERSION) {
+            warnings.push(`Link version ${version} is newer than this page supports`);
+            return null;
+        }
+
+        let values;
+        try {
+            values = JSON.parse(UrlState.fromBase64Url(match[2]));
+        } catch (e) {
+            warnings.push('Link settings could not be read');
+            return null;
+        }
+        if (!Array.isArray(values)) {
+            warnings.push('Link settings could not be read');
+            return null;
+        }
+
+        const raw = {};
+        UrlState.FIELDS.forEach((key, index) => {
+            if (index < values.length && values[index] !== null) raw[key] = values[index];
+        });
+        return DroneGenerator.sanitizeSettings(raw, warnings);
+    }
+
+    /**
+     * Read everything the page should start with from a location.
+     * @param {Location|URL} location
+     * @returns {{settings: Object, preset: string|null, custom: boolean,
+     *     timer: number|null, hasState: boolean, warnings: string[]}} `custom` is
+     *     set when fragment settings were read, on top of any preset
+     */
+    static parse(location) {
+        const warnings = [];
+        const params = new URLSearchParams(location.search);
+        const result = { settings: {}, preset: null, custom: false, timer: null, hasState: false, warnings };
+
+        const presetParam = params.get('preset');
+        if (presetParam) {
+            result.preset = UrlState.findPreset(presetParam);
+            if (result.preset) {
+                const { label, ...settings } = DroneGenerator.PRESETS[result.preset];
+                Object.assign(result.settings, settings);
+            } else {
+                warnings.push(`Unknown preset "${presetParam}"`);
+            }
+        }
+
+        const timerParam = params.get('timer');
+        if (timerParam) {
+            const minutes = parseInt(timerParam);
+            if (minutes > UrlState.MAX_TIMER_MINUTES) {
+                warnings.push(`Timer limited to ${UrlState.MAX_TIMER_MINUTES} minutes`);
+                result.timer = UrlState.MAX_TIMER_MINUTES;
+            } else if (minutes > 0) {
+                result.timer = minutes;
+            } else {
+                warnings.push(`Invalid timer "${timerParam}"`);
+            }
+        }
+
+        const fragmentSettings = UrlState.decode(location.hash, warnings);
+        if (fragmentSettings) {
+            Object.assign(result.settings, fragmentSettings);
+            result.custom = true;
+        }
+
+        result.hasState = !!(result.preset || result.timer || result.custom);
+        return result;
+    }
+
+    // Match a preset parameter loosely: "yogaFlow", "yoga-flow" and "YogaFlow" all work
+    static findPreset(name) {
+        const wanted = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        return Object.keys(DroneGenerator.PRESETS).find(key => key.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * @param {Object} settings
+     * @param {Location|URL} location - Page to link to; its query and fragment are replaced
+     * @returns {string} Absolute share URL
+     */
+    static createLink(settings, location) {
+        return `${location.origin}${location.pathname}#${UrlState.encode(settings)}`;
+    }
+
+    static toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+UrlState.VERSION = 1;
+UrlState.MAX_TIMER_MINUTES = 240;
+
+// Append-only: the position of each key is part of the link format
+UrlState.FIELDS = [
+    'rootNote',
+    'droneType',
+    'osc1Level',
+    'osc2Level',
+    'osc3Level',
+    'detune',
+    'volume',
+    'fadeTime',
+    'filterFreq',
+    'filterRes',
+    'reverbAmount',
+    'lfoRate',
+    'lfoDepth',
+    'tuning',
+    'justIntonation',
+    'evolution',
+    'evolutionSpeed',
+    'binaural',
+    'binauralBeat',
+    'binauralLevel',
+    'isochronic',
+    'isochronicTarget',
+    'isochronicShape',
+    'isochronicRate',
+    'isochronicDepth',
+    'isochronicLevel',
+    'noise',
+    'noiseColor',
+    'noiseLevel',
+    'noiseFilterType',
+    'noiseFilterFreq',
+    'noiseSwell',
+    'noiseSwellRate',
+    'soundscape',
+    'soundscapeIntensity',
+    'soundscapeLevel',
+    'soundscapeSeed',
+    'reverbRoom',
+    'reverbDecay',
+    'reverbDamping',
+    'reverbPreDelay',
+    'tanpura',
+    'tanpuraFirst',
+    'tanpuraTempo',
+    'tanpuraJawari',
+    'tanpuraLevel',
+    'shrutiBox',
+    'shrutiLevel',
+    'shrutiBellows',
+    'temperament',
+    'scalaScale',
+    'scalaMapping',
+    'rootFrequency',
+    'a4Reference',
+    'customChord',
+    ...DroneGenerator.VOICE_MIX_KEYS,
+    'timbre',
+    'partials',
+    'harmonicEmphasis',
+    'emphasisRate',
+    'mod1Shape',
+    'mod1Rate',
+    'mod1Unit',
+    'mod1Depth',
+    'mod1Routes',
+    'mod2Shape',
+    'mod2Rate',
+    'mod2Unit',
+    'mod2Depth',
+    'mod2Routes',
+    'mod3Shape',
+    'mod3Rate',
+    'mod3Unit',
+    'mod3Depth',
+    'mod3Routes',
+    'evolutionSeed',
+    'evolveFilter',
+    'evolveFilterRange',
+    'evolveLfoDepth',
+    'evolveLfoDepthRange',
+    'evolveDetune',
+    'evolveDetuneRange',
+    'evolveBalance',
+    'evolveBalanceRange',
+    'evolveReverb',
+    'evolveReverbRange',
+    'evolveEmphasis',
+    'evolveEmphasisRange',
+    'breath',
+    'breathInhale',
+    'breathHoldIn',
+    'breathExhale',
+    'breathHoldOut',
+    'breathSwell',
+    'breathDepth'
+];
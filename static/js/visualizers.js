@@ -0,0 +1,464 @@
+/**
+ * Visualizers
+ * Drawing modes for the display canvas. Each is a class registered with
+ * DroneVisualizer.register(), constructed with the generator when it's
+ * picked, and handed one frame at a time:
+ *
+ *   draw(ctx, frame)       Required. frame is { width, height, time,
+ *                          reducedMotion }, in CSS pixels and seconds
+ *   drawIdle(ctx, frame)   Optional, while the drone is stopped; the
+ *                          canvas is cleared to black without one
+ *   resize()               Optional, when the canvas changes size
+ *   stop()                 Optional, when another mode takes over
+ *
+ * Static LABEL and HEIGHT give the mode's button text and canvas height,
+ * FFT_SIZE the analyser size it reads at, if it cares. The generator's
+ * analyser only exists once the drone has played, so draw() is only
+ * called while it's playing.
+ *
+ * This file holds the waveform, spectrogram, stereo scope, mandala and
+ * breathing guide, and registers them with the spectrum view from
+ * spectrum.js in button order.
+ */
+
+class DroneVisualizer {
+    /**
+     * @param {string} name - Mode name, as used by the display's buttons
+     * @param {Function} Visualizer - Class constructed with the generator
+     */
+    static register(name, Visualizer) {
+        DroneVisualizer.MODES[name] = Visualizer;
+    }
+
+    static clear(ctx, frame) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, frame.width, frame.height);
+    }
+
+    // Frequency in Hz of position t (0-1) along a log axis from min to max
+    static getLogFrequency(t, min, max) {
+        return min * Math.pow(max / min, t);
+    }
+}
+
+DroneVisualizer.MODES = {};
+
+// The classic oscilloscope line
+class WaveformVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    draw(ctx, frame) {
+        const analyser = this.generator.analyser;
+        const bufferLength = analyser.frequencyBinCount;
+        const dataArray = new Uint8Array(bufferLength);
+        analyser.getByteTimeDomainData(dataArray);
+
+        DroneVisualizer.clear(ctx, frame);
+
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#10b981';
+        ctx.beginPath();
+
+        const sliceWidth = frame.width / bufferLength;
+        let x = 0;
+
+        for (let i = 0; i < bufferLength; i++) {
+            const v = dataArray[i] / 128.0;
+            const y = (v * frame.height) / 2;
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+
+            x += sliceWidth;
+        }
+
+        ctx.lineTo(frame.width, frame.height / 2);
+        ctx.stroke();
+    }
+
+    drawIdle(ctx, frame) {
+        DroneVisualizer.clear(ctx, frame);
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, frame.height / 2);
+        ctx.lineTo(frame.width, frame.height / 2);
+        ctx.stroke();
+    }
+}
+
+WaveformVisualizer.LABEL = 'Waveform';
+WaveformVisualizer.HEIGHT = 120;
+WaveformVisualizer.FFT_SIZE = 2048;
+
+/**
+ * Spectrogram: a waterfall scrolling right to left, low frequencies at the
+ * bottom on a log scale, brighter where it's louder. The history is kept
+ * in an offscreen canvas one pixel per CSS pixel, and one column is added
+ * per frame.
+ */
+class SpectrogramVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+        this.history = null;
+        this.data = null;
+    }
+
+    resize() {
+        this.history = null;
+    }
+
+    draw(ctx, frame) {
+        const analyser = this.generator.analyser;
+        const width = Math.max(1, Math.round(frame.width));
+        const height = Math.max(1, Math.round(frame.height));
+
+        if (!this.history || this.history.width !== width || this.history.height !== height) {
+            this.history = document.createElement('canvas');
+            this.history.width = width;
+            this.history.height = height;
+            this.historyCtx = this.history.getContext('2d');
+            this.historyCtx.fillStyle = '#000';
+            this.historyCtx.fillRect(0, 0, width, height);
+        }
+        if (!this.data || this.data.length !== analyser.frequencyBinCount) {
+            this.data = new Float32Array(analyser.frequencyBinCount);
+        }
+        analyser.getFloatFrequencyData(this.data);
+
+        const binHz = this.generator.audioContext.sampleRate / analyser.fftSize;
+        const column = this.historyCtx.createImageData(1, height);
+        for (let y = 0; y < height; y++) {
+            const frequency = DroneVisualizer.getLogFrequency(1 - y / height,
+                SpectrogramVisualizer.MIN_HZ, SpectrogramVisualizer.MAX_HZ);
+            const level = this.data[Math.min(this.data.length - 1, Math.round(frequency / binHz))];
+            const t = Math.max(0, Math.min(1, (level - SpectrogramVisualizer.MIN_DB) /
+                (SpectrogramVisualizer.MAX_DB - SpectrogramVisualizer.MIN_DB)));
+            const [r, g, b] = SpectrogramVisualizer.getColor(t);
+            column.data.set([r, g, b, 255], y * 4);
+        }
+
+        this.historyCtx.drawImage(this.history, -1, 0);
+        this.historyCtx.putImageData(column, width - 1, 0);
+        ctx.drawImage(this.history, 0, 0, frame.width, frame.height);
+    }
+
+    drawIdle(ctx, frame) {
+        DroneVisualizer.clear(ctx, frame);
+        if (this.history) {
+            ctx.globalAlpha = 0.5;
+            ctx.drawImage(this.history, 0, 0, frame.width, frame.height);
+            ctx.globalAlpha = 1;
+        }
+    }
+
+    // Black through deep blue and green to pale yellow
+    static getColor(t) {
+        const stops = SpectrogramVisualizer.COLORS;
+        const position = t * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const mix = position - index;
+        return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * mix));
+    }
+}
+
+SpectrogramVisualizer.LABEL = 'Spectrogram';
+SpectrogramVisualizer.HEIGHT = 200;
+SpectrogramVisualizer.FFT_SIZE = 8192;
+SpectrogramVisualizer.MIN_HZ = 30;
+SpectrogramVisualizer.MAX_HZ = 8000;
+SpectrogramVisualizer.MIN_DB = -110;
+SpectrogramVisualizer.MAX_DB = -30;
+SpectrogramVisualizer.COLORS = [[0, 0, 0], [15, 23, 80], [16, 185, 129], [250, 240, 160]];
+
+/**
+ * Stereo scope: left against right, turned 45 degrees so a mono signal is
+ * a vertical line and width spreads it sideways. The left and right
+ * channels are read through their own analysers, split off the
+ * generator's, which are built the first time it draws.
+ */
+class LissajousVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+        this.splitter = null;
+        this.left = null;
+        this.right = null;
+    }
+
+    connect() {
+        const ctx = this.generator.audioContext;
+        this.splitter = ctx.createChannelSplitter(2);
+        this.left = ctx.createAnalyser();
+        this.right = ctx.createAnalyser();
+        [this.left, this.right].forEach(analyser => {
+            analyser.fftSize = LissajousVisualizer.FFT_SIZE;
+        });
+
+        this.generator.analyser.connect(this.splitter);
+        this.splitter.connect(this.left, 0);
+        this.splitter.connect(this.right, 1);
+        this.leftData = new Float32Array(LissajousVisualizer.FFT_SIZE);
+        this.rightData = new Float32Array(LissajousVisualizer.FFT_SIZE);
+    }
+
+    stop() {
+        if (!this.splitter) return;
+
+        this.generator.analyser.disconnect(this.splitter);
+        this.splitter.disconnect();
+        this.splitter = null;
+    }
+
+    draw(ctx, frame) {
+        if (!this.splitter) this.connect();
+
+        this.left.getFloatTimeDomainData(this.leftData);
+        this.right.getFloatTimeDomainData(this.rightData);
+
+        // Fade the last frames rather than clearing, so the trace leaves a short trail
+        ctx.fillStyle = frame.reducedMotion ? '#000' : 'rgba(0, 0, 0, 0.25)';
+        ctx.fillRect(0, 0, frame.width, frame.height);
+
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const scale = Math.min(frame.width, frame.height) * LissajousVisualizer.SCALE;
+
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = 'rgba(16, 185, 129, 0.8)';
+        ctx.beginPath();
+        for (let i = 0; i < this.leftData.length; i++) {
+            const side = (this.leftData[i] - this.rightData[i]) * Math.SQRT1_2;
+            const mid = (this.leftData[i] + this.rightData[i]) * Math.SQRT1_2;
+            const x = centerX + side * scale;
+            const y = centerY - mid * scale;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    drawIdle(ctx, frame) {
+        DroneVisualizer.clear(ctx, frame);
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(frame.width / 2, 0);
+        ctx.lineTo(frame.width / 2, frame.height);
+        ctx.stroke();
+    }
+}
+
+LissajousVisualizer.LABEL = 'Stereo Scope';
+LissajousVisualizer.HEIGHT = 200;
+LissajousVisualizer.FFT_SIZE = 2048;
+// Screen size of a full-scale signal, as a share of the canvas
+LissajousVisualizer.SCALE = 0.9;
+
+/**
+ * Mandala: rings of petals, one ring per frequency band from the bass
+ * outward, each swelling with its band's energy and turning slowly. The
+ * energies are smoothed heavily so the figure breathes with the drone
+ * rather than flickering. With reduced motion it stays still.
+ */
+class MandalaVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+        this.data = null;
+        this.energies = MandalaVisualizer.BANDS.map(() => 0);
+    }
+
+    // Mean level of each band, 0-1
+    readBands() {
+        const analyser = this.generator.analyser;
+        if (!this.data || this.data.length !== analyser.frequencyBinCount) {
+            this.data = new Float32Array(analyser.frequencyBinCount);
+        }
+        analyser.getFloatFrequencyData(this.data);
+
+        const binHz = this.generator.audioContext.sampleRate / analyser.fftSize;
+        return MandalaVisualizer.BANDS.map(([low, high]) => {
+            const first = Math.max(1, Math.floor(low / binHz));
+            const last = Math.max(first, Math.min(this.data.length - 1, Math.ceil(high / binHz)));
+            let sum = 0;
+            for (let bin = first; bin <= last; bin++) sum += this.data[bin];
+            const level = sum / (last - first + 1);
+            return Math.max(0, Math.min(1, (level - MandalaVisualizer.MIN_DB) /
+                (MandalaVisualizer.MAX_DB - MandalaVisualizer.MIN_DB)));
+        });
+    }
+
+    draw(ctx, frame) {
+        const smoothing = frame.reducedMotion ? 0.98 : MandalaVisualizer.SMOOTHING;
+        this.readBands().forEach((energy, band) => {
+            this.energies[band] = this.energies[band] * smoothing + energy * (1 - smoothing);
+        });
+
+        const rotation = frame.reducedMotion ? 0 : frame.time * MandalaVisualizer.ROTATION;
+        this.drawFigure(ctx, frame, rotation);
+    }
+
+    drawIdle(ctx, frame) {
+        this.drawFigure(ctx, frame, 0);
+    }
+
+    drawFigure(ctx, frame, rotation) {
+        DroneVisualizer.clear(ctx, frame);
+
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const radius = Math.min(frame.width, frame.height) / 2;
+        const bands = MandalaVisualizer.BANDS.length;
+        const petals = MandalaVisualizer.PETALS;
+
+        this.energies.forEach((energy, band) => {
+            const ringRadius = radius * (band + 1) / (bands + 1);
+            const length = radius / (bands + 1) * (0.4 + 1.6 * energy);
+            const width = Math.PI / petals * (0.3 + 0.5 * energy);
+            // Alternate rings turn opposite ways
+            const turn = (band % 2 === 0 ? rotation : -rotation) + (band % 2) * Math.PI / petals;
+            const hue = MandalaVisualizer.HUE + band * MandalaVisualizer.HUE_STEP;
+
+            ctx.fillStyle = `hsla(${hue}, 70%, ${30 + 35 * energy}%, ${0.35 + 0.5 * energy})`;
+            for (let petal = 0; petal < petals; petal++) {
+                const angle = turn + petal * 2 * Math.PI / petals;
+                const inner = ringRadius - length / 2;
+                const outer = ringRadius + length / 2;
+
+                ctx.beginPath();
+                ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+                ctx.quadraticCurveTo(
+                    centerX + Math.cos(angle - width) * ringRadius, centerY + Math.sin(angle - width) * ringRadius,
+                    centerX + Math.cos(angle) * outer, centerY + Math.sin(angle) * outer
+                );
+                ctx.quadraticCurveTo(
+                    centerX + Math.cos(angle + width) * ringRadius, centerY + Math.sin(angle + width) * ringRadius,
+                    centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner
+                );
+                ctx.fill();
+            }
+        });
+    }
+}
+
+MandalaVisualizer.LABEL = 'Mandala';
+MandalaVisualizer.HEIGHT = 240;
+MandalaVisualizer.FFT_SIZE = 4096;
+// Bands in Hz, innermost ring first
+MandalaVisualizer.BANDS = [[30, 80], [80, 160], [160, 320], [320, 640], [640, 1280], [1280, 2560], [2560, 6000]];
+MandalaVisualizer.PETALS = 12;
+MandalaVisualizer.MIN_DB = -100;
+MandalaVisualizer.MAX_DB = -40;
+// Share of the last energy kept each frame, and turning speed in radians per second
+MandalaVisualizer.SMOOTHING = 0.92;
+MandalaVisualizer.ROTATION = 0.05;
+MandalaVisualizer.HUE = 160;
+MandalaVisualizer.HUE_STEP = 25;
+
+/**
+ * Breathing guide: a circle that grows on the inhale and shrinks on the
+ * exhale, following the breath layer's pattern on the audio clock, with
+ * the phase and a countdown in the middle. An arc round the edge shows how
+ * far through the phase it is.
+ */
+class BreathVisualizer {
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    draw(ctx, frame) {
+        const breath = this.generator.layers.breath;
+        if (!this.generator.settings.breath || !breath) {
+            this.drawIdle(ctx, frame);
+            return;
+        }
+
+        const state = breath.getState();
+        this.drawGuide(ctx, frame, state.level, state.progress);
+        this.drawText(ctx, frame, BreathVisualizer.PHASE_LABELS[state.phase], String(Math.ceil(state.remaining)));
+    }
+
+    drawIdle(ctx, frame) {
+        this.drawGuide(ctx, frame, 0, 0);
+        this.drawText(ctx, frame, this.generator.settings.breath ? 'Press play' : 'Turn on the breathing guide', '');
+    }
+
+    drawGuide(ctx, frame, level, progress) {
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const outer = Math.min(frame.width, frame.height) * 0.42;
+        const inner = outer * BreathVisualizer.MIN_SIZE;
+        const radius = inner + (outer - inner) * level;
+
+        DroneVisualizer.clear(ctx, frame);
+
+        // Where the breath starts and ends
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#1e293b';
+        [inner, outer].forEach(r => {
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, r, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+
+        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+        gradient.addColorStop(0, 'rgba(16, 185, 129, 0.55)');
+        gradient.addColorStop(1, 'rgba(16, 185, 129, 0.12)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        ctx.fill();
+
+        if (progress > 0) {
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#10b981';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, outer + 6, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI);
+            ctx.stroke();
+        }
+    }
+
+    drawText(ctx, frame, label, count) {
+        const size = Math.max(12, Math.min(frame.width, frame.height) * 0.07);
+
+        ctx.fillStyle = '#e5e5e5';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `600 ${size}px system-ui, sans-serif`;
+        ctx.fillText(label, frame.width / 2, frame.height / 2 - (count ? size * 0.6 : 0));
+        if (count) {
+            ctx.font = `${size * 0.9}px "SF Mono", "Fira Code", Consolas, monospace`;
+            ctx.fillStyle = '#a3a3a3';
+            ctx.fillText(count, frame.width / 2, frame.height / 2 + size * 0.7);
+        }
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+    }
+}
+
+BreathVisualizer.LABEL = 'Breath';
+BreathVisualizer.HEIGHT = 240;
+// Size of the empty-lung circle against the full one
+BreathVisualizer.MIN_SIZE = 0.4;
+BreathVisualizer.PHASE_LABELS = {
+    inhale: 'Breathe in',
+    holdIn: 'Hold',
+    exhale: 'Breathe out',
+    holdOut: 'Hold'
+};
+
+DroneVisualizer.register('waveform', WaveformVisualizer);
+DroneVisualizer.register('spectrum', SpectrumVisualizer);
+DroneVisualizer.register('spectrogram', SpectrogramVisualizer);
+DroneVisualizer.register('lissajous', LissajousVisualizer);
+DroneVisualizer.register('mandala', MandalaVisualizer);
+DroneVisualizer.register('breath', BreathVisualizer);
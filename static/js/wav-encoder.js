@@ -0,0 +1,186 @@
+/**
+ * WAV Encoder
+ * Writes 16/24-bit PCM RIFF/WAVE files piece by piece so long renders never
+ * need the whole recording in one typed array. Samples go in as Float32Array
+ * channels; each encoded block is folded into a running Blob straight away,
+ * so the browser can keep it out of script memory, and the result is that
+ * Blob behind a header.
+ */
+
+class WavEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleRate
+     * @param {number} [options.channels=2]
+     * @param {number} [options.bitDepth=16] - 16 or 24
+     */
+    constructor({ sampleRate, channels = 2, bitDepth = 16 }) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new RangeError(`Unsupported bit depth: ${bitDepth}`);
+        }
+
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.bitDepth = bitDepth;
+        this.bytesPerSample = bitDepth / 8;
+
+        this.blob = new Blob([]);
+        this.dataBytes = 0;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Encode and append interleaved PCM for one block of audio.
+     * @param {Float32Array[]} channelData - One array per channel, equal lengths
+     */
+    write(channelData) {
+        const frames = channelData[0].length;
+        const bytes = new Uint8Array(frames * this.channels * this.bytesPerSample);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < this.channels; ch++) {
+                const data = channelData[Math.min(ch, channelData.length - 1)];
+                const sample = Math.max(-1, Math.min(1, data[i]));
+
+                if (this.bitDepth === 16) {
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                } else {
+                    const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += this.bytesPerSample;
+            }
+        }
+
+        this.blob = new Blob([this.blob, bytes]);
+        this.dataBytes += bytes.length;
+        this.frameCount += frames;
+    }
+
+    /**
+     * Close the file and return it as a Blob.
+     * @param {Object} [metadata]
+     * @param {string} [metadata.title] - Stored as the LIST/INFO INAM tag
+     * @param {string} [metadata.software] - Stored as the LIST/INFO ISFT tag
+     * @param {{start: number, end: number}} [metadata.loop] - Inclusive loop frames,
+     *     stored as a forward, infinitely repeating loop in a `smpl` chunk
+     * @returns {Blob}
+     */
+    finish(metadata = {}) {
+        // `smpl` sits before `data` so samplers that stop parsing there still see it
+        const leading = [];
+        if (metadata.loop) leading.push(this.createSamplerChunk(metadata.loop));
+
+        const trailing = [];
+        if (this.dataBytes % 2) trailing.push(new Uint8Array(1));
+        const info = this.createInfoChunk(metadata);
+        if (info) trailing.push(info);
+
+        const extraBytes = leading.concat(trailing).reduce((sum, chunk) => sum + chunk.length, 0);
+
+        return new Blob(
+            [this.createHeader(extraBytes)]
+                .concat(leading, [this.createDataHeader(), this.blob], trailing),
+            { type: 'audio/wav' }
+        );
+    }
+
+    // RIFF header and `fmt ` chunk
+    createHeader(extraBytes) {
+        const header = new Uint8Array(36);
+        const view = new DataView(header.buffer);
+        const blockAlign = this.channels * this.bytesPerSample;
+
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + this.dataBytes + extraBytes, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, this.channels, true);
+        view.setUint32(24, this.sampleRate, true);
+        view.setUint32(28, this.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, this.bitDepth, true);
+
+        return header;
+    }
+
+    createDataHeader() {
+        const header = new Uint8Array(8);
+        const view = new DataView(header.buffer);
+
+        WavEncoder.writeString(view, 0, 'data');
+        view.setUint32(4, this.dataBytes, true);
+
+        return header;
+    }
+
+    createSamplerChunk({ start, end }) {
+        const chunk = new Uint8Array(8 + 36 + 24);
+        const view = new DataView(chunk.buffer);
+
+        WavEncoder.writeString(view, 0, 'smpl');
+        view.setUint32(4, 36 + 24, true);
+        view.setUint32(8, 0, true);                                      // Manufacturer
+        view.setUint32(12, 0, true);                                     // Product
+        view.setUint32(16, Math.round(1e9 / this.sampleRate), true);     // Sample period (ns)
+        view.setUint32(20, 60, true);                                    // MIDI unity note
+        view.setUint32(24, 0, true);                                     // MIDI pitch fraction
+        view.setUint32(28, 0, true);                                     // SMPTE format
+        view.setUint32(32, 0, true);                                     // SMPTE offset
+        view.setUint32(36, 1, true);                                     // Sample loops
+        view.setUint32(40, 0, true);                                     // Sampler data
+
+        view.setUint32(44, 0, true);                                     // Cue point ID
+        view.setUint32(48, 0, true);                                     // Type: forward
+        view.setUint32(52, start, true);
+        view.setUint32(56, end, true);
+        view.setUint32(60, 0, true);                                     // Fraction
+        view.setUint32(64, 0, true);                                     // Play count: infinite
+
+        return chunk;
+    }
+
+    createInfoChunk({ title, software }) {
+        const tags = [];
+        if (title) tags.push(['INAM', title]);
+        if (software) tags.push(['ISFT', software]);
+        if (!tags.length) return null;
+
+        const encoder = new TextEncoder();
+        const entries = tags.map(([id, text]) => {
+            const bytes = encoder.encode(text + '\0');
+            return { id, bytes, size: bytes.length + (bytes.length % 2) };
+        });
+
+        const bodySize = 4 + entries.reduce((sum, entry) => sum + 8 + entry.size, 0);
+        const chunk = new Uint8Array(8 + bodySize);
+        const view = new DataView(chunk.buffer);
+
+        WavEncoder.writeString(view, 0, 'LIST');
+        view.setUint32(4, bodySize, true);
+        WavEncoder.writeString(view, 8, 'INFO');
+
+        let offset = 12;
+        entries.forEach(entry => {
+            WavEncoder.writeString(view, offset, entry.id);
+            view.setUint32(offset + 4, entry.bytes.length, true);
+            chunk.set(entry.bytes, offset + 8);
+            offset += 8 + entry.size;
+        });
+
+        return chunk;
+    }
+
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}